@@ -4,7 +4,11 @@ import { createBallot, setupTally } from './api';
 export default function BallotManagement() {
   const [title, setTitle] = useState('');
   const [options, setOptions] = useState(['Alice', 'Bob']);
+  const [selectionType, setSelectionType] = useState('single');
+  const [selectionK, setSelectionK] = useState(2);
+  const [allowRevote, setAllowRevote] = useState(false);
   const [status, setStatus] = useState({ loading: false, error: null, success: null });
+  const [adminToken, setAdminToken] = useState('');
   const [setupBallotId, setSetupBallotId] = useState('');
   const [setupStatus, setSetupStatus] = useState({ loading: false, error: null, success: null });
 
@@ -16,11 +20,11 @@ export default function BallotManagement() {
     }
     setSetupStatus({ loading: true, error: null, success: null });
     try {
-      const res = await setupTally(setupBallotId);
+      const res = await setupTally(setupBallotId, adminToken);
       if (res.error || res.ok === false) {
          setSetupStatus({ loading: false, error: res.error || 'Setup failed.', success: null });
       } else {
-         setSetupStatus({ loading: false, error: null, success: 'Tally setup successful!' });
+         setSetupStatus({ loading: false, error: null, success: 'Trustee key ceremony started — trustees must now deal and confirm their key shares.' });
          setSetupBallotId('');
       }
     } catch (err) {
@@ -37,17 +41,24 @@ export default function BallotManagement() {
 
     setStatus({ loading: true, error: null, success: null });
     try {
-      const res = await createBallot({ title, options });
+      const selectionRule = selectionType === 'upTo'
+        ? { type: 'upTo', k: Number(selectionK) }
+        : selectionType === 'stv'
+          ? { type: 'ranked', method: 'stv', seats: Number(selectionK) }
+          : selectionType === 'irv'
+            ? { type: 'ranked', method: 'irv' }
+            : { type: selectionType };
+      const res = await createBallot({ title, options, selectionRule, allowMultipleVotes: allowRevote });
       if (res.error || res.ok === false) {
          setStatus({ loading: false, error: res.error || 'Failed to create ballot', success: null });
       } else {
          const ballotId = res.ballot?.id || res.id || res.ballotId;
          if (ballotId) {
-             const setupRes = await setupTally(ballotId);
+             const setupRes = await setupTally(ballotId, adminToken);
              if (setupRes.error || setupRes.ok === false) {
-                 setStatus({ loading: false, error: `Ballot created, but homomorphic setup failed: ${setupRes.error || 'Unknown error'}`, success: null });
+                 setStatus({ loading: false, error: `Ballot created, but trustee key ceremony failed to start: ${setupRes.error || 'Unknown error'}`, success: null });
              } else {
-                 setStatus({ loading: false, error: null, success: `Ballot created & homomorphic setup successful! Ballot ID: ${ballotId}` });
+                 setStatus({ loading: false, error: null, success: `Ballot created & trustee key ceremony started! Ballot ID: ${ballotId}` });
                  setTitle('');
                  setOptions(['', '']);
              }
@@ -93,6 +104,16 @@ export default function BallotManagement() {
         </div>
       )}
 
+      <div className="form-group">
+        <label>Operator Token</label>
+        <input
+          type="password"
+          placeholder="ADMIN_API_TOKEN (needed to start the trustee key ceremony)"
+          value={adminToken}
+          onChange={e => setAdminToken(e.target.value)}
+        />
+      </div>
+
       <form onSubmit={handleCreate}>
         <div className="form-group">
           <label>Ballot Title</label>
@@ -129,6 +150,41 @@ export default function BallotManagement() {
           </button>
         </div>
 
+        <div className="form-group">
+          <label>Selection Rule</label>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select value={selectionType} onChange={e => setSelectionType(e.target.value)} style={{ flex: 1 }}>
+              <option value="single">Single choice</option>
+              <option value="upTo">Choose up to k</option>
+              <option value="approval">Approve any</option>
+              <option value="irv">Ranked (instant-runoff)</option>
+              <option value="stv">Ranked (STV, k seats)</option>
+            </select>
+            {(selectionType === 'upTo' || selectionType === 'stv') && (
+              <input
+                type="number"
+                min={1}
+                max={options.length}
+                value={selectionK}
+                onChange={e => setSelectionK(e.target.value)}
+                style={{ width: '6rem', marginBottom: 0 }}
+              />
+            )}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <input
+              type="checkbox"
+              checked={allowRevote}
+              onChange={e => setAllowRevote(e.target.checked)}
+              style={{ width: 'auto', marginBottom: 0 }}
+            />
+            Allow re-voting (only the last vote of each voter counts)
+          </label>
+        </div>
+
         <button type="submit" disabled={status.loading} style={{ width: '100%', marginTop: '1rem' }}>
           {status.loading ? 'Creating...' : 'Create Ballot'}
         </button>
@@ -16,6 +16,8 @@ export default function TallyResult() {
       const res = await computeTally(ballotId);
       if (res.error) {
          setStatus({ loading: false, error: res.error, success: null, data: null });
+      } else if (res.status === 'awaiting_shares') {
+         setStatus({ loading: false, error: null, success: `Awaiting trustee decryption shares (${res.sharesReceived}/${res.threshold}).`, data: res });
       } else {
          setStatus({ loading: false, error: null, success: 'Tally computed successfully!', data: res });
       }
@@ -1,20 +1,57 @@
 import React, { useState, useRef } from 'react';
-import { castVote } from './api';
+import {
+  castVote, castProvenVote, circuitArtifactUrl, getBallot, getBallotPublicKey,
+  getCommitments, getGroupCommitments, openBallot, verifyAudit
+} from './api';
+import { encryptVote, trackingCode } from './voteEncryption';
+import { FEATURE_SERVICE, commitmentOf, decodeQrFile, decryptQrPayload, getLiveEmbedding, proveFaceVote } from './browserProver';
+
+// Face commitments to prove membership over: all registered voters, or on a
+// ballot restricted to eligibility groups, the first group the voter is in.
+// Ballots freeze their voter trees when they open; the first leafCount
+// commitments rebuild that snapshot, and only its root is accepted.
+async function eligibleTree(ballot, credentials) {
+  const groups = ballot.eligibilityGroups || [];
+  const own = commitmentOf(BigInt(credentials.poseidonFaceHash), BigInt(credentials.secretKey), BigInt(credentials.weight || 1));
+
+  for (const groupId of groups.length > 0 ? groups : [null]) {
+    const res = groupId ? await getGroupCommitments(groupId) : await getCommitments();
+    if (res.error) throw new Error(res.error);
+
+    const snapshot = ballot.eligibilitySnapshot.trees
+      .find(t => t.biometricType === 'face' && t.groupId === groupId);
+    const commitments = snapshot ? res.commitments.slice(0, snapshot.leafCount) : [];
+    if (!commitments.some(c => BigInt(c) === own)) continue;
+
+    return { commitments, root: snapshot.root };
+  }
+  throw new Error(groups.length > 0
+    ? 'You are not a member of any eligibility group for this ballot (as of when it opened)'
+    : 'Your credentials are not in this ballot\'s voter set. You may have registered after it opened.');
+}
 
 export default function VoteCasting() {
+  const [ballotId, setBallotId] = useState('');
   const [qrCode, setQrCode] = useState(null);
   const [password, setPassword] = useState('');
   const [faceImg, setFaceImg] = useState(null);
   const [voteChoice, setVoteChoice] = useState('');
+  const [weight, setWeight] = useState('1');
+  const [proveLocally, setProveLocally] = useState(false);
+  const [prepared, setPrepared] = useState(null);
+  const [audit, setAudit] = useState(null);
   const [status, setStatus] = useState({ loading: false, error: null, success: null });
   const qrCodeRef = useRef(null);
   const faceImgRef = useRef(null);
 
   const resetForm = () => {
+    setBallotId('');
     setQrCode(null);
     setPassword('');
     setFaceImg(null);
     setVoteChoice('');
+    setWeight('1');
+    setPrepared(null);
     if (qrCodeRef.current) {
       qrCodeRef.current.value = '';
     }
@@ -23,26 +60,123 @@ export default function VoteCasting() {
     }
   };
 
-  const handleSubmit = async (e) => {
+  const credentialsForm = () => {
+    const formData = new FormData();
+    formData.append('ballotId', ballotId);
+    formData.append('qrCode', qrCode);
+    formData.append('password', password);
+    return formData;
+  };
+
+  // Step 1: encrypt the ballot in the browser and show its tracking code.
+  // Only ciphertexts and proofs ever leave the device.
+  const handlePrepare = async (e) => {
     e.preventDefault();
-    if (!qrCode || !faceImg) {
-      setStatus({ ...status, error: 'Both QR Code and Face image are required.' });
+    setStatus({ loading: true, error: null, success: null });
+    setAudit(null);
+    try {
+      const ballotRes = await getBallot(ballotId);
+      if (ballotRes.error) {
+        setStatus({ loading: false, error: ballotRes.error, success: null });
+        return;
+      }
+      const keyRes = await getBallotPublicKey(ballotId);
+      if (keyRes.error) {
+        setStatus({ loading: false, error: keyRes.error, success: null });
+        return;
+      }
+
+      // Multi-select and ranked ballots: comma-separated options, in order
+      const voteChoices = voteChoice.split(',').map(c => c.trim()).filter(Boolean);
+      const encrypted = encryptVote(ballotRes.ballot, keyRes.publicKey, voteChoices, Number(weight) || 1);
+      setPrepared({
+        ...encrypted,
+        ballot: ballotRes.ballot,
+        voteChoices,
+        trackingCode: trackingCode(ballotId, encrypted.encryptedVote)
+      });
+      setStatus({ loading: false, error: null, success: null });
+    } catch (err) {
+      setStatus({ loading: false, error: err.message || 'Encrypting the ballot failed.', success: null });
+    }
+  };
+
+  // Proves the vote on this device: the QR (with the voter's SNARK
+  // credentials), the live embedding and the face_auth witness stay in
+  // the browser, only the Groth16 proof is sent
+  const castWithLocalProof = async () => {
+    const qrData = await decryptQrPayload(await decodeQrFile(qrCode), password);
+    if (!qrData.credentials) {
+      throw new Error('This QR code has no proving credentials. Register again, or cast without proving on this device.');
+    }
+    // A ballot past its startTime that nobody opened yet has no snapshot to prove over
+    let ballot = prepared.ballot;
+    if (!ballot.eligibilitySnapshot) {
+      const opened = await openBallot(ballotId);
+      if (opened.error) throw new Error(opened.error);
+      ballot = opened.ballot;
+    }
+    const tree = await eligibleTree(ballot, qrData.credentials);
+
+    const { proof, publicSignals, nullifier, merkleRoot } = await proveFaceVote({
+      ballot,
+      qrData,
+      credentials: qrData.credentials,
+      liveEmbedding: await getLiveEmbedding(faceImg),
+      commitments: tree.commitments,
+      trackingCode: prepared.trackingCode,
+      wasmUrl: circuitArtifactUrl('face_auth.wasm'),
+      zkeyUrl: circuitArtifactUrl('face_auth.zkey')
+    });
+
+    // The tree rebuilt here must be the ballot's snapshot
+    if (BigInt(tree.root).toString() !== merkleRoot) {
+      throw new Error('Commitment list does not match the on-chain Merkle root. Try again.');
+    }
+
+    return castProvenVote({
+      ballotId,
+      biometricMode: 'face',
+      proof,
+      publicSignals,
+      nullifier,
+      encryptedVote: prepared.encryptedVote,
+      sumProof: prepared.sumProof
+    });
+  };
+
+  // Step 2a: cast the encrypted ballot
+  const handleCast = async () => {
+    if (!faceImg) {
+      setStatus({ ...status, error: 'A face image is required to cast the ballot.' });
+      return;
+    }
+
+    if (!qrCode) {
+      setStatus({ ...status, error: 'QR Code is required.' });
       return;
     }
 
     setStatus({ loading: true, error: null, success: null });
     try {
-      const formData = new FormData();
-      formData.append('qrCode', qrCode);
-      formData.append('password', password);
-      formData.append('faceImg', faceImg);
-      formData.append('voteChoice', voteChoice);
-
-      const res = await castVote(formData);
+      let res;
+      if (proveLocally) {
+        res = await castWithLocalProof();
+      } else {
+        const formData = credentialsForm();
+        formData.append('faceImg', faceImg);
+        formData.append('encryptedVote', JSON.stringify(prepared.encryptedVote));
+        formData.append('sumProof', JSON.stringify(prepared.sumProof));
+        res = await castVote(formData);
+      }
       if (res.error) {
          setStatus({ loading: false, error: res.error, success: null });
       } else {
-         setStatus({ loading: false, error: null, success: 'Vote cast successfully!' });
+         // The voter tree the proof used is the whole anonymity set: its root is public on the vote
+         const anonymity = res.anonymitySetSize
+           ? ` Your vote is anonymous among the ${res.anonymitySetSize} voters in the voter tree your proof used.`
+           : '';
+         setStatus({ loading: false, error: null, success: `Vote cast successfully! Tracking code: ${res.trackingCode}.${anonymity}` });
          resetForm();
       }
     } catch (err) {
@@ -50,6 +184,31 @@ export default function VoteCasting() {
     }
   };
 
+  // Step 2b: audit the encrypted ballot — the randomness is revealed to an
+  // independent check, so this ballot is spoiled and never cast
+  const handleAudit = async () => {
+    setStatus({ loading: true, error: null, success: null });
+    try {
+      const check = await verifyAudit({
+        ballotId,
+        encryptedVote: prepared.encryptedVote,
+        plaintext: prepared.plaintext,
+        randomness: prepared.randomness,
+        trackingCode: prepared.trackingCode,
+        voteChoices: prepared.voteChoices
+      });
+      if (check.error) {
+        setStatus({ loading: false, error: check.error, success: null });
+        return;
+      }
+      setAudit({ ...check, randomness: prepared.randomness, plaintext: prepared.plaintext });
+      setPrepared(null);
+      setStatus({ loading: false, error: null, success: null });
+    } catch (err) {
+      setStatus({ loading: false, error: err.message || 'Audit failed.', success: null });
+    }
+  };
+
   return (
     <div className="card">
       <h2 style={{ marginBottom: '1.5rem' }}>Cast your Vote</h2>
@@ -59,57 +218,128 @@ export default function VoteCasting() {
         </div>
       )}
       {status.success && (
-        <div style={{ color: 'var(--success-color)', marginBottom: '1rem', padding: '0.75rem', backgroundColor: '#ecfdf5', borderRadius: 'var(--radius-md)' }}>
+        <div style={{ color: 'var(--success-color)', marginBottom: '1rem', padding: '0.75rem', backgroundColor: '#ecfdf5', borderRadius: 'var(--radius-md)', wordBreak: 'break-all' }}>
           {status.success}
         </div>
       )}
 
-      <form onSubmit={handleSubmit}>
+      <form onSubmit={handlePrepare}>
+        <div className="form-group">
+          <label>Ballot ID</label>
+          <input
+            type="text"
+            placeholder="ballot_..."
+            value={ballotId}
+            onChange={e => setBallotId(e.target.value)}
+            disabled={!!prepared}
+            required
+          />
+        </div>
         <div className="form-group">
           <label>QR Code Image</label>
-          <input 
-            type="file" 
-            accept="image/*" 
-            onChange={e => setQrCode(e.target.files[0])} 
+          <input
+            type="file"
+            accept="image/*"
+            onChange={e => setQrCode(e.target.files[0])}
             ref={qrCodeRef}
-            required 
+            required
           />
         </div>
         <div className="form-group">
           <label>Password</label>
-          <input 
-            type="password" 
-            placeholder="Your password" 
-            value={password} 
-            onChange={e => setPassword(e.target.value)} 
-            required 
+          <input
+            type="password"
+            placeholder="Your password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            required
           />
         </div>
         <div className="form-group">
-          <label>Face Image</label>
-          <input 
-            type="file" 
-            accept="image/*" 
-            onChange={e => setFaceImg(e.target.files[0])} 
-            ref={faceImgRef}
-            required 
+          <label>Vote Choice</label>
+          <input
+            type="text"
+            placeholder="Candidate name (comma-separate for multi-select, in preference order for ranked)"
+            value={voteChoice}
+            onChange={e => setVoteChoice(e.target.value)}
+            disabled={!!prepared}
+            required
           />
         </div>
         <div className="form-group">
-          <label>Vote Choice</label>
-          <input 
-            type="text" 
-            placeholder="Enter candidate name or ID" 
-            value={voteChoice} 
-            onChange={e => setVoteChoice(e.target.value)} 
-            required 
+          <label>Vote Weight (as registered)</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={weight}
+            onChange={e => setWeight(e.target.value)}
+            disabled={!!prepared}
           />
         </div>
+        <div className="form-group">
+          <label>Face Image (needed to cast)</label>
+          <input
+            type="file"
+            accept="image/*"
+            onChange={e => setFaceImg(e.target.files[0])}
+            ref={faceImgRef}
+          />
+        </div>
+        <div className="form-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={proveLocally}
+              onChange={e => setProveLocally(e.target.checked)}
+              style={{ width: 'auto', marginRight: '0.5rem' }}
+            />
+            Prove on this device (face data never leaves the browser; needs a feature service running on this machine at {FEATURE_SERVICE})
+          </label>
+        </div>
 
-        <button type="submit" disabled={status.loading} style={{ width: '100%', marginTop: '1rem' }}>
-          {status.loading ? 'Casting Vote...' : 'Submit Vote'}
-        </button>
+        {!prepared && (
+          <button type="submit" disabled={status.loading} style={{ width: '100%', marginTop: '1rem' }}>
+            {status.loading ? 'Encrypting Ballot...' : 'Encrypt Ballot'}
+          </button>
+        )}
       </form>
+
+      {prepared && (
+        <div style={{ marginTop: '1.5rem', padding: '1rem', border: '1px solid var(--border-color)', borderRadius: 'var(--radius-md)' }}>
+          <p><strong>Tracking code</strong> (write it down before choosing):</p>
+          <code style={{ display: 'block', wordBreak: 'break-all', margin: '0.5rem 0 1rem' }}>{prepared.trackingCode}</code>
+          <p style={{ fontSize: '0.9rem' }}>
+            Cast this encrypted ballot, or audit it to check it encrypts your choice.
+            An audited ballot is spoiled: you then encrypt a fresh one to vote.
+          </p>
+          <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1rem' }}>
+            <button type="button" onClick={handleCast} disabled={status.loading} style={{ flex: 1 }}>
+              {status.loading ? (proveLocally ? 'Generating Proof...' : 'Working...') : 'Cast Ballot'}
+            </button>
+            <button type="button" onClick={handleAudit} disabled={status.loading} style={{ flex: 1 }}>
+              Audit (Spoil) Ballot
+            </button>
+          </div>
+        </div>
+      )}
+
+      {audit && (
+        <div style={{ marginTop: '1.5rem', padding: '1rem', borderRadius: 'var(--radius-md)', backgroundColor: audit.valid ? '#ecfdf5' : '#fef2f2' }}>
+          <p><strong>{audit.valid ? 'Audit passed' : 'Audit FAILED'}</strong> — this ballot is spoiled and was not cast.</p>
+          <ul style={{ margin: '0.5rem 0 0 1.25rem' }}>
+            <li>Ciphertexts match revealed randomness: {audit.encryptionValid ? 'yes' : `no (entries ${audit.invalidEntries.join(', ')})`}</li>
+            <li>Tracking code matches: {audit.trackingCodeValid ? 'yes' : 'no'}</li>
+            <li>Encrypted choice: {audit.decodedChoices.join(', ') || '(none)'} {audit.choicesMatch ? '' : '— does not match your selection'}</li>
+          </ul>
+          <details style={{ marginTop: '0.5rem' }}>
+            <summary>Revealed plaintext and randomness</summary>
+            <code style={{ display: 'block', wordBreak: 'break-all', whiteSpace: 'pre-wrap', fontSize: '0.8rem' }}>
+              {audit.plaintext.map((value, j) => `${j}: ${value} / r=${audit.randomness[j]}`).join('\n')}
+            </code>
+          </details>
+        </div>
+      )}
     </div>
   );
 }
@@ -29,15 +29,75 @@ export const createBallot = async (data) => {
 export const castVote = async (formData) => {
   const res = await fetch(`${API_BASE}/vote`, {
     method: 'POST',
-    body: formData // contains qrCode, password, faceImg, voteChoice
+    body: formData // contains ballotId, qrCode, password, faceImg, encryptedVote, sumProof
   });
   return res.json();
 };
 
-export const setupTally = async (ballotId) => {
-  // Assuming POST since it might be a state-changing operation setup.
+export const getBallot = async (ballotId) => {
+  const res = await fetch(`${API_BASE}/ballot/${encodeURIComponent(ballotId)}`);
+  return res.json();
+};
+
+// Freeze the voter set of a ballot whose startTime has passed
+export const openBallot = async (ballotId) => {
+  const res = await fetch(`${API_BASE}/ballot/${encodeURIComponent(ballotId)}/open`, { method: 'POST' });
+  return res.json();
+};
+
+// Joint ElGamal key the browser encrypts votes under
+export const getBallotPublicKey = async (ballotId) => {
+  const res = await fetch(`${API_BASE}/tally/publickey/${encodeURIComponent(ballotId)}`);
+  return res.json();
+};
+
+// Benaloh audit: checks revealed plaintext/randomness against the ciphertexts
+export const verifyAudit = async (audit) => {
+  const res = await fetch(`${API_BASE}/vote/audit/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(audit) // ballotId, encryptedVote, plaintext, randomness, trackingCode, voteChoices
+  });
+  return res.json();
+};
+
+export const getCommitments = async () => {
+  const res = await fetch(`${API_BASE}/commitments`);
+  return res.json();
+};
+
+export const getMerkleRoot = async () => {
+  const res = await fetch(`${API_BASE}/commitments/root`);
+  return res.json();
+};
+
+export const getGroupCommitments = async (groupId) => {
+  const res = await fetch(`${API_BASE}/groups/${encodeURIComponent(groupId)}/commitments`);
+  return res.json();
+};
+
+export const getGroupMerkleRoot = async (groupId) => {
+  const res = await fetch(`${API_BASE}/groups/${encodeURIComponent(groupId)}/root`);
+  return res.json();
+};
+
+export const circuitArtifactUrl = (name) => `${API_BASE}/circuits/${name}`;
+
+// Cast a vote proven in the browser: only the proof and ciphertexts are sent
+export const castProvenVote = async (vote) => {
+  const res = await fetch(`${API_BASE}/vote/proof`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(vote) // ballotId, biometricMode, proof, publicSignals, nullifier, encryptedVote, sumProof
+  });
+  return res.json();
+};
+
+// Operator only: adminToken is the server's ADMIN_API_TOKEN
+export const setupTally = async (ballotId, adminToken) => {
   const res = await fetch(`${API_BASE}/tally/setup/${ballotId}`, {
-    method: 'POST'
+    method: 'POST',
+    headers: { Authorization: `Bearer ${adminToken}` }
   });
   return res.json();
 };
@@ -0,0 +1,192 @@
+// ============================
+// In-browser face ZK-SNARK proving
+// Decodes the QR, takes the live embedding on this device and runs
+// the face_auth Groth16 prover locally, so the registered and live
+// embeddings never reach the API server. Mirrors the API server's
+// crypto/snark.js (scaling, sparse Merkle tree, commitment, nullifier)
+// and the chaincode's lib/electionId.js / lib/biometricPolicy.js.
+// ============================
+
+import jsQR from 'jsqr';
+import { groth16 } from 'snarkjs';
+import { poseidon2 } from 'poseidon-lite';
+import hash from 'hash.js';
+
+// Python feature service (zkp-chain/model/app.py) that turns the live face
+// image into an embedding. In-browser proving needs one the voter trusts —
+// normally run on the voter's own machine, since it sees the face image.
+// Set VITE_FEATURE_SERVICE_URL at build time to point elsewhere.
+export const FEATURE_SERVICE = import.meta.env.VITE_FEATURE_SERVICE_URL || 'http://localhost:8000';
+
+const MERKLE_TREE_LEVELS = 20;
+const SCALE_FACTOR = 1000000;
+const BN128_PRIME = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const toFieldString = (val) => (((BigInt(val) % BN128_PRIME) + BN128_PRIME) % BN128_PRIME).toString();
+const base64Bytes = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+// Read the QR code image into its (encrypted) text payload
+export async function decodeQrFile(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  const { data, width, height } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  const code = jsQR(data, width, height);
+  if (!code) throw new Error('Unable to decode QR code');
+  return code.data;
+}
+
+// AES-256-CBC payload from registration: PBKDF2-SHA256 key, or sha256(password) for legacy QRs
+export async function decryptQrPayload(encryptedPayload, password) {
+  const { iv, data, salt } = JSON.parse(encryptedPayload);
+  const passwordBytes = new TextEncoder().encode(password);
+
+  let keyBytes;
+  if (salt) {
+    const baseKey = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+    keyBytes = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: base64Bytes(salt), iterations: 100000, hash: 'SHA-256' },
+      baseKey,
+      256
+    );
+  } else {
+    keyBytes = await crypto.subtle.digest('SHA-256', passwordBytes);
+  }
+
+  const key = await crypto.subtle.importKey('raw', keyBytes, 'AES-CBC', false, ['decrypt']);
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-CBC', iv: base64Bytes(iv) }, key, base64Bytes(data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new Error('Wrong password or corrupted QR code');
+  }
+}
+
+export async function getLiveEmbedding(faceImg) {
+  const form = new FormData();
+  form.append('file', faceImg);
+  let res;
+  try {
+    res = await fetch(`${FEATURE_SERVICE}/face/get-embedding`, { method: 'POST', body: form });
+  } catch {
+    throw new Error(`No feature service at ${FEATURE_SERVICE}. Proving on this device needs a local one (zkp-chain/model/app.py), or cast without proving on this device.`);
+  }
+  const body = await res.json();
+  if (!res.ok || !body.embedding) {
+    throw new Error(body.detail || 'Feature service did not return an embedding');
+  }
+  return body.embedding;
+}
+
+// electionId = first 128 bits of sha256(ballotId)
+export const electionIdOf = (ballotId) =>
+  BigInt('0x' + hash.sha256().update(String(ballotId)).digest('hex').slice(0, 32));
+
+// commitment = Poseidon(Poseidon(faceHash, sk), weight), the leaf the chaincode derived at registration
+export const commitmentOf = (faceHash, secretKey, weight = 1n) =>
+  poseidon2([poseidon2([faceHash, secretKey]), BigInt(weight)]);
+
+// Cosine threshold c from the ballot policy as the squared fraction the circuit checks
+function faceThreshold(policy) {
+  const minCosine = policy && policy.minCosineSimilarity !== undefined ? Number(policy.minCosineSimilarity) : 0.5;
+  const scaled = BigInt(Math.round(minCosine * 100));
+  return { thresholdSqNum: scaled * scaled, thresholdSqDen: 10000n };
+}
+
+/**
+ * Merkle path for one leaf of the sparse Poseidon tree of all commitments.
+ * Built from the full commitment list so the server never learns which leaf is proving.
+ * @param {bigint[]} commitments
+ * @param {number} leafIndex
+ * @returns {{ root: bigint, pathElements: bigint[], pathIndices: number[] }}
+ */
+export function merklePath(commitments, leafIndex) {
+  const zeroHashes = [0n];
+  for (let i = 0; i < MERKLE_TREE_LEVELS; i++) {
+    zeroHashes.push(poseidon2([zeroHashes[i], zeroHashes[i]]));
+  }
+
+  let layer = new Map();
+  commitments.forEach((c, i) => { if (c !== 0n) layer.set(i, c); });
+
+  const pathElements = [];
+  const pathIndices = [];
+  let index = leafIndex;
+  for (let level = 0; level < MERKLE_TREE_LEVELS; level++) {
+    const sibling = index % 2 ? index - 1 : index + 1;
+    pathElements.push(layer.has(sibling) ? layer.get(sibling) : zeroHashes[level]);
+    pathIndices.push(index % 2);
+
+    const next = new Map();
+    for (const parent of new Set([...layer.keys()].map(i => Math.floor(i / 2)))) {
+      const left = layer.has(parent * 2) ? layer.get(parent * 2) : zeroHashes[level];
+      const right = layer.has(parent * 2 + 1) ? layer.get(parent * 2 + 1) : zeroHashes[level];
+      next.set(parent, poseidon2([left, right]));
+    }
+    layer = next;
+    index = Math.floor(index / 2);
+  }
+
+  return { root: layer.has(0) ? layer.get(0) : zeroHashes[MERKLE_TREE_LEVELS], pathElements, pathIndices };
+}
+
+/**
+ * Prove a face vote on this device
+ * @param {Object} params
+ * @param {Object} params.ballot - as returned by GET /ballot/:ballotId
+ * @param {Object} params.qrData - decrypted QR payload ({ salt, faceEmbedding, ... })
+ * @param {Object} params.credentials - qrData.credentials ({ poseidonFaceHash, secretKey, weight })
+ * @param {number[]} params.liveEmbedding - from the local feature service
+ * @param {string[]} params.commitments - GET /commitments, cut to the ballot's eligibility snapshot
+ * @param {string} params.trackingCode - hex signalHash of the encrypted vote (voteEncryption.trackingCode)
+ * @param {string} params.wasmUrl / params.zkeyUrl - face_auth circuit artifacts
+ * @returns {Promise<{ proof, publicSignals, nullifier: string, merkleRoot: string }>}
+ */
+export async function proveFaceVote({ ballot, qrData, credentials, liveEmbedding, commitments, trackingCode, wasmUrl, zkeyUrl }) {
+  if (!qrData.faceEmbedding) {
+    throw new Error('No face embedding found in QR code');
+  }
+
+  const faceHash = BigInt(credentials.poseidonFaceHash);
+  const secretKey = BigInt(credentials.secretKey);
+  const weight = BigInt(credentials.weight || 1);
+
+  const leaves = commitments.map(c => BigInt(c));
+  const leafIndex = leaves.indexOf(commitmentOf(faceHash, secretKey, weight));
+  if (leafIndex === -1) {
+    throw new Error('Voter commitment not found in the registered commitments. User may not be registered.');
+  }
+
+  const { root, pathElements, pathIndices } = merklePath(leaves, leafIndex);
+  const electionId = electionIdOf(ballot.id);
+  const nullifier = poseidon2([secretKey, electionId]);
+  const { thresholdSqNum, thresholdSqDen } = faceThreshold(ballot.biometricPolicy);
+  const scale = (embedding) => embedding.map(v => toFieldString(Math.round(v * SCALE_FACTOR)));
+
+  const input = {
+    merkleRoot: root.toString(),
+    nullifier: nullifier.toString(),
+    electionId: electionId.toString(),
+    signalHash: BigInt('0x' + trackingCode).toString(),
+    threshold_sq_num: thresholdSqNum.toString(),
+    threshold_sq_den: thresholdSqDen.toString(),
+    weight: weight.toString(),
+    embedding: scale(liveEmbedding),
+    registeredEmbedding: scale(qrData.faceEmbedding),
+    salt: BigInt('0x' + qrData.salt).toString(),
+    faceHash: faceHash.toString(),
+    secretKey: secretKey.toString(),
+    pathElements: pathElements.map(toFieldString),
+    pathIndices: pathIndices.map(String)
+  };
+
+  const { proof, publicSignals } = await groth16.fullProve(input, wasmUrl, zkeyUrl);
+  if (publicSignals[0] !== '1') {
+    throw new Error('Live face does not match the registered face closely enough for this ballot');
+  }
+
+  return { proof, publicSignals, nullifier: nullifier.toString(), merkleRoot: root.toString() };
+}
@@ -0,0 +1,188 @@
+// ============================
+// Client-side vote encryption
+// Exponential ElGamal over secp256k1, mirroring the API server's
+// crypto/homomorphic.js and the chaincode's lib/voteSumProof.js so
+// the server only ever receives ciphertexts and proofs. Proof
+// transcripts must hash exactly like the server's or they will not
+// verify — keep the two in sync.
+// ============================
+
+import { ec as EC } from 'elliptic';
+import BN from 'bn.js';
+import hash from 'hash.js';
+
+const ec = new EC('secp256k1');
+
+const sha256Hex = (data) => hash.sha256().update(data).digest('hex');
+
+function randomScalar() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  const r = new BN(Array.from(bytes)).umod(ec.curve.n);
+  if (r.isZero()) throw new Error('Invalid randomness');
+  return r;
+}
+
+const toPoint = ({ x, y }) => ec.curve.point(new BN(x, 16), new BN(y, 16));
+const fromPoint = (point) => ({ x: point.getX().toString(16), y: point.getY().toString(16) });
+const hex64 = (point) => point.getX().toString(16, 64) + point.getY().toString(16, 64);
+
+// Same bounds as the chaincode's selectionRule.js (ballots without a rule are single-choice)
+function selectionBounds(ballot) {
+  const rule = ballot.selectionRule || { type: 'single' };
+  if (rule.type === 'single' || !rule.type) {
+    return { type: 'single', minSelections: 1, maxSelections: 1 };
+  }
+  const optionCount = ballot.options.length;
+  const maxSelections = rule.type === 'upTo' ? Number(rule.k) : optionCount;
+  const minSelections = rule.minSelections === undefined ? 1 : Number(rule.minSelections);
+  return { type: rule.type, minSelections, maxSelections };
+}
+
+// ElGamal: c1 = r·G, c2 = v·G + r·h
+function encrypt(publicKey, value) {
+  const r = randomScalar();
+  return { c1: ec.g.mul(r), c2: ec.g.mul(new BN(value)).add(publicKey.mul(r)), r };
+}
+
+// 0/1 validity proof (homomorphic.proveValidVote)
+function proveValidVote(publicKey, { c1, c2 }, value, r) {
+  const w = randomScalar();
+  const dSim = randomScalar();
+  const rSim = randomScalar();
+  let a1, b1, a2, b2;
+
+  if (value === 0) {
+    a1 = ec.g.mul(w);
+    b1 = publicKey.mul(w);
+    a2 = ec.g.mul(rSim).add(c1.mul(dSim));
+    b2 = publicKey.mul(rSim).add(c2.add(ec.g.neg()).mul(dSim));
+  } else {
+    a2 = ec.g.mul(w);
+    b2 = publicKey.mul(w);
+    a1 = ec.g.mul(rSim).add(c1.mul(dSim));
+    b1 = publicKey.mul(rSim).add(c2.mul(dSim));
+  }
+
+  const challenge = new BN(sha256Hex([c1, c2, a1, b1, a2, b2].map(hex64).join('')), 16).umod(ec.curve.n);
+  const dReal = challenge.sub(dSim).umod(ec.curve.n);
+  const rReal = w.sub(dReal.mul(r)).umod(ec.curve.n);
+  const [d1, d2, r1, r2] = value === 0 ? [dReal, dSim, rReal, rSim] : [dSim, dReal, rSim, rReal];
+
+  return {
+    a1: fromPoint(a1), b1: fromPoint(b1), a2: fromPoint(a2), b2: fromPoint(b2),
+    d1: d1.toString(16), d2: d2.toString(16), r1: r1.toString(16), r2: r2.toString(16)
+  };
+}
+
+// Disjunctive proof that Σ ciphertexts encrypts one of allowed (voteSumProof.proveVoteSum)
+function proveVoteSum(publicKey, ciphers, selected, randomness, allowed) {
+  const sum = ciphers.reduce((acc, c) => ({ c1: acc.c1.add(c.c1), c2: acc.c2.add(c.c2) }));
+  const R = randomness.umod(ec.curve.n);
+  const w = randomScalar();
+
+  const branches = allowed.map(value => {
+    if (value === selected) {
+      return { value, a: ec.g.mul(w), b: publicKey.mul(w) };
+    }
+    const d = randomScalar();
+    const r = randomScalar();
+    const shifted = sum.c2.add(ec.g.mul(new BN(value)).neg());
+    return { value, a: ec.g.mul(r).add(sum.c1.mul(d)), b: publicKey.mul(r).add(shifted.mul(d)), d, r };
+  });
+
+  const points = [publicKey, sum.c1, sum.c2];
+  branches.forEach(branch => points.push(branch.a, branch.b));
+  const data = branches.map(branch => branch.value).join(',') + '|' + points.map(hex64).join('');
+  const challenge = new BN(sha256Hex(data), 16).umod(ec.curve.n);
+
+  const real = branches.find(branch => branch.value === selected);
+  const simulatedTotal = branches
+    .filter(branch => branch !== real)
+    .reduce((acc, branch) => acc.add(branch.d), new BN(0));
+  real.d = challenge.sub(simulatedTotal).umod(ec.curve.n);
+  real.r = w.sub(real.d.mul(R)).umod(ec.curve.n);
+
+  return {
+    branches: branches.map(branch => ({
+      value: branch.value,
+      a: fromPoint(branch.a),
+      b: fromPoint(branch.b),
+      d: branch.d.toString(16),
+      r: branch.r.toString(16)
+    }))
+  };
+}
+
+const serialize = ({ c1, c2 }) => ({ c1: fromPoint(c1), c2: fromPoint(c2) });
+
+/**
+ * Encrypt a vote for a ballot in the browser
+ * @param {Object} ballot - as returned by GET /ballot/:ballotId
+ * @param {{x, y}} publicKeyHex - as returned by GET /tally/publickey/:ballotId
+ * @param {string[]} voteChoices - option names (in preference order for ranked ballots)
+ * @param {number} weight - the voter's registered vote weight
+ * @returns {{ encryptedVote, sumProof, plaintext: number[], randomness: string[] }}
+ *   plaintext/randomness stay in the browser unless the voter audits the ballot
+ */
+export function encryptVote(ballot, publicKeyHex, voteChoices, weight = 1) {
+  const publicKey = toPoint(publicKeyHex);
+  const names = ballot.options.map(o => o.name);
+  const rule = selectionBounds(ballot);
+
+  const unknown = voteChoices.find(choice => !names.includes(choice));
+  if (unknown !== undefined) {
+    throw new Error(`Invalid vote choice "${unknown}". Must be one of: ${names.join(', ')}`);
+  }
+  if (new Set(voteChoices).size !== voteChoices.length) {
+    throw new Error('Duplicate vote choices');
+  }
+  if (voteChoices.length < rule.minSelections || voteChoices.length > rule.maxSelections) {
+    throw new Error(`This ballot allows between ${rule.minSelections} and ${rule.maxSelections} choices`);
+  }
+
+  if (rule.type === 'ranked') {
+    if (weight !== 1) {
+      throw new Error('Ranked ballots count every voter once; weighted voters cannot vote on them');
+    }
+    // Slot j holds the 1-based index of the j-th choice (0 = unranked)
+    const plaintext = names.map((_, j) => (j < voteChoices.length ? names.indexOf(voteChoices[j]) + 1 : 0));
+    const ciphers = plaintext.map(value => encrypt(publicKey, value));
+    const allowed = names.map((_, value) => value).concat(names.length);
+    return {
+      encryptedVote: ciphers.map(serialize),
+      sumProof: { slots: ciphers.map((c, j) => proveVoteSum(publicKey, [c], plaintext[j], c.r, allowed)) },
+      plaintext,
+      randomness: ciphers.map(c => c.r.toString(16))
+    };
+  }
+
+  // Entry j holds the voter's weight if option j is selected, else 0
+  const plaintext = names.map(name => (voteChoices.includes(name) ? weight : 0));
+  const ciphers = plaintext.map(value => encrypt(publicKey, value));
+  const encryptedVote = ciphers.map((c, j) => ({
+    ...serialize(c),
+    validityProof: weight === 1
+      ? proveValidVote(publicKey, c, plaintext[j], c.r)
+      : proveVoteSum(publicKey, [c], plaintext[j], c.r, [0, weight])
+  }));
+
+  const allowedSums = [];
+  for (let m = rule.minSelections; m <= rule.maxSelections; m++) {
+    allowedSums.push(m * weight);
+  }
+  const randomness = ciphers.reduce((acc, c) => acc.add(c.r), new BN(0));
+
+  return {
+    encryptedVote,
+    sumProof: proveVoteSum(publicKey, ciphers, voteChoices.length * weight, randomness, allowedSums),
+    plaintext,
+    randomness: ciphers.map(c => c.r.toString(16))
+  };
+}
+
+// Tracking code: the signalHash the server's SNARK proof commits to
+// (chaincode lib/signalHash.js — first 248 bits of sha256(JSON([ballotId, encryptedVote])))
+export function trackingCode(ballotId, encryptedVote) {
+  return sha256Hex(JSON.stringify([String(ballotId), encryptedVote])).slice(0, 62);
+}
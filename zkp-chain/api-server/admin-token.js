@@ -0,0 +1,36 @@
+// ============================================================
+// admin-token.js — Operator authentication for admin routes
+// Every transaction this server submits is signed by the same
+// Fabric identity (appUser), so the chaincode cannot tell one HTTP
+// caller from another. Routes that change who may vote therefore
+// also require "Authorization: Bearer <ADMIN_API_TOKEN>"; with no
+// ADMIN_API_TOKEN configured they are disabled.
+// ============================================================
+
+const crypto = require("crypto");
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+/**
+ * Express middleware for operator-only routes.
+ */
+function requireAdmin() {
+  return (req, res, next) => {
+    const expected = process.env.ADMIN_API_TOKEN;
+    if (!expected) {
+      return res.status(403).json({ ok: false, error: "Admin routes are disabled — set ADMIN_API_TOKEN" });
+    }
+
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    // Compare digests so the check takes the same time for any token length
+    if (scheme !== "Bearer" || !token || !crypto.timingSafeEqual(sha256(token), sha256(expected))) {
+      res.set("WWW-Authenticate", 'Bearer realm="zkp-voting-admin"');
+      return res.status(401).json({ ok: false, error: "Admin token required" });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAdmin,
+};
@@ -11,6 +11,7 @@
  *    1.2  Duplicate public key injection
  *    1.3  Random key outsider voting attack
  *    1.4  Unregistered voter vote attempt
+ *    1.5  Cross-modality Sybil (same NID enrolled with face AND iris)
  *
  *  Run: node attacks/01_sybil_attack_test.js
  *  Requires: Fabric test-network running, API server on port 3000
@@ -25,6 +26,7 @@ const {
   saveResults, generateRing, signSuppressed
 } = require("./utils");
 const lrs = require("../crypto/lrs");
+const snark = require("../crypto/snark");
 const FabricClient = require("../fabric-client");
 
 const RUN_ID = Date.now().toString(36);
@@ -252,6 +254,58 @@ async function run() {
     console.log("     → LRS verification happens at the API layer before submission");
   }
 
+  // ─── 1.5  Cross-Modality Sybil (Face + Iris for one NID) ─────
+  printSubHeader("1.5  Cross-Modality Sybil — Face + Iris Enrollment");
+
+  // A voter enrolled in both modalities would hold two secret keys and
+  // therefore two different nullifiers per election (= two votes).
+  // The chaincode must allow only one modality per NID, in either order.
+  const crossOrders = [
+    { first: "face", second: "iris" },
+    { first: "iris", second: "face" }
+  ];
+  const crossResults = [];
+
+  for (const order of crossOrders) {
+    const crossNid = crypto.createHash("sha256")
+      .update(`cross_modality_${order.first}_${RUN_ID}`)
+      .digest("hex");
+    const register = (mode, commitment) => mode === "face"
+      ? fc.registerUser(crossNid, commitment)
+      : fc.registerIrisUser(crossNid, commitment);
+
+    let firstAccepted = false;
+    let secondRejected = false;
+
+    try {
+      await suppressAsync(() => register(order.first, snark.generateSecretKey().toString()));
+      firstAccepted = true;
+    } catch (e) {
+      firstAccepted = false;
+    }
+
+    try {
+      await suppressAsync(() => register(order.second, snark.generateSecretKey().toString()));
+    } catch (e) {
+      secondRejected = Boolean(e.message && e.message.includes("already registered"));
+    }
+
+    crossResults.push({
+      order: `${order.first} → ${order.second}`,
+      first_registration: firstAccepted,
+      second_modality_rejected: secondRejected,
+      pass: firstAccepted && secondRejected
+    });
+
+    printResult(`${order.first} enrollment accepted`, firstAccepted, firstAccepted);
+    printResult(`Second ${order.second} enrollment rejected`, secondRejected, secondRejected);
+  }
+
+  results.tests["1.5_cross_modality_sybil"] = {
+    attempts: crossResults,
+    pass: crossResults.every(r => r.pass)
+  };
+
   // ─── Summary ──────────────────────────────────────────────────
   printSubHeader("Summary");
   const allTests = Object.values(results.tests);
@@ -263,6 +317,7 @@ async function run() {
     ["1.2 Duplicate Key Injection", results.tests["1.2_duplicate_key_injection"].pass ? "PASS" : "FAIL"],
     ["1.3 Outsider Voting", results.tests["1.3_outsider_voting"].pass ? "PASS" : "FAIL"],
     ["1.4 Unregistered Direct Submit", results.tests["1.4_unregistered_direct_submit"].pass ? "PASS" : "FAIL/DOCUMENTED"],
+    ["1.5 Cross-Modality Sybil", results.tests["1.5_cross_modality_sybil"].pass ? "PASS" : "FAIL"],
   ]);
 
   console.log(`\n  Overall: ${passed}/${allTests.length} tests passed`);
@@ -13,6 +13,8 @@
  *    4.3  Ciphertext malleability attack
  *    4.4  ZKP cross-vote proof reuse
  *    4.5  Forged proof from scratch (random components)
+ *    4.6  Over-vote: every entry a valid 0/1, but the vector selects all options;
+ *         and out-of-range entries ([2, −1, 0]) whose sum is a valid 1
  *
  *  Run: node attacks/04_zkp_attack_test.js
  */
@@ -26,6 +28,7 @@ const {
   saveResults
 } = require("./utils");
 const homomorphic = require("../crypto/homomorphic");
+const { proveVoteSum, verifyVoteSum, verifyVoteProof } = require("../../chaincode/identity/lib/voteSumProof");
 
 async function run() {
   printHeader("Category 4 — Vote Manipulation & ZKP Bypass Attacks");
@@ -232,6 +235,84 @@ async function run() {
     zkpForgeryAccepted === 0
   );
 
+  // ─── 4.6  Over-vote (1 for every candidate) ─────────────────────
+  printSubHeader("4.6  Over-vote — Vector Selecting Every Option");
+
+  // Build a vote vector from ciphertexts and per-entry proofs
+  const buildVector = (values) => {
+    let randomness = new BN(0);
+    const vector = values.map(v => {
+      const cipher = suppress(() => homomorphic.encrypt(kp.publicKey, v));
+      randomness = randomness.add(cipher.r);
+      const serialized = homomorphic.serializeCiphertext(cipher);
+      serialized.validityProof = suppress(() => homomorphic.proveValidVote(kp.publicKey, cipher, v, cipher.r));
+      return serialized;
+    });
+    return { vector, randomness };
+  };
+
+  const honest = buildVector([0, 1, 0]);
+  const honestSumProof = suppress(() => proveVoteSum(kp.publicKey, honest.vector, 1, honest.randomness));
+  const honestAccepted = verifyVoteSum(kp.publicKey, honest.vector, honestSumProof);
+
+  const overVote = buildVector([1, 1, 1]);
+  const entriesPass = overVote.vector.every(entry =>
+    suppress(() => homomorphic.verifyValidVote(kp.publicKey, homomorphic.deserializeCiphertext(entry), entry.validityProof))
+  );
+
+  // A cheating prover claims the vector selects one option; neither that
+  // proof, a missing proof, nor a proof lifted from an honest vector verifies
+  const claimedProof = suppress(() => proveVoteSum(kp.publicKey, overVote.vector, 1, overVote.randomness));
+  const claimedProofAccepted = verifyVoteSum(kp.publicKey, overVote.vector, claimedProof);
+  const missingProofAccepted = verifyVoteSum(kp.publicKey, overVote.vector, null);
+  const liftedProofAccepted = verifyVoteSum(kp.publicKey, overVote.vector, honestSumProof);
+
+  // Out-of-range entries: [2, −1, 0] really sums to 1, so its sum proof is
+  // genuine — only the per-entry 0/1 proofs stop it (verifyVoteProof, the
+  // check castVote and the tally run)
+  const ballot = { options: [{ name: "A" }, { name: "B" }, { name: "C" }] };
+  const skewed = [2, -1, 0].map(v => {
+    const r = new BN(crypto.randomBytes(32)).umod(ec.curve.n);
+    const m = new BN(v).umod(ec.curve.n);
+    const cipher = { c1: ec.g.mul(r), c2: ec.g.mul(m).add(kp.publicKey.mul(r)), r };
+    return { cipher, serialized: homomorphic.serializeCiphertext(cipher) };
+  });
+  const skewedVector = skewed.map(e => e.serialized);
+  const skewedRandomness = skewed.reduce((acc, e) => acc.add(e.cipher.r), new BN(0));
+  const skewedSumProof = suppress(() => proveVoteSum(kp.publicKey, skewedVector, 1, skewedRandomness));
+  const skewedSumAccepted = verifyVoteSum(kp.publicKey, skewedVector, skewedSumProof);
+
+  const honestVoteAccepted = verifyVoteProof(ballot, kp.publicKey, honest.vector, honestSumProof);
+  const skewedNoEntryProofsAccepted = verifyVoteProof(ballot, kp.publicKey, skewedVector, skewedSumProof);
+  const skewedLiftedEntryProofsAccepted = verifyVoteProof(
+    ballot,
+    kp.publicKey,
+    skewedVector.map((entry, i) => ({ ...entry, validityProof: honest.vector[i].validityProof })),
+    skewedSumProof
+  );
+
+  results.tests["4.6_over_vote"] = {
+    honest_vector_accepted: honestAccepted && honestVoteAccepted,
+    over_vote_entries_individually_valid: entriesPass,
+    false_sum_claim_rejected: !claimedProofAccepted,
+    missing_sum_proof_rejected: !missingProofAccepted,
+    lifted_sum_proof_rejected: !liftedProofAccepted,
+    out_of_range_sum_proof_valid: skewedSumAccepted,
+    out_of_range_without_entry_proofs_rejected: !skewedNoEntryProofsAccepted,
+    out_of_range_with_lifted_entry_proofs_rejected: !skewedLiftedEntryProofsAccepted,
+    pass: honestAccepted && honestVoteAccepted && !claimedProofAccepted && !missingProofAccepted &&
+      !liftedProofAccepted && !skewedNoEntryProofsAccepted && !skewedLiftedEntryProofsAccepted
+  };
+
+  printResult("Honest one-hot vector + sum proof accepted", honestAccepted, honestAccepted);
+  printResult("Over-vote entries pass per-entry 0/1 proofs", entriesPass);
+  printResult("Over-vote with false sum claim → rejected", !claimedProofAccepted, !claimedProofAccepted);
+  printResult("Over-vote without sum proof → rejected", !missingProofAccepted, !missingProofAccepted);
+  printResult("Over-vote with lifted sum proof → rejected", !liftedProofAccepted, !liftedProofAccepted);
+  printResult("[2, −1, 0] carries a genuine sum=1 proof", skewedSumAccepted);
+  printResult("[2, −1, 0] without entry proofs → rejected", !skewedNoEntryProofsAccepted, !skewedNoEntryProofsAccepted);
+  printResult("[2, −1, 0] with lifted entry proofs → rejected", !skewedLiftedEntryProofsAccepted, !skewedLiftedEntryProofsAccepted);
+
   // ─── Summary ──────────────────────────────────────────────────
   printSubHeader("Summary");
   const allTests = Object.values(results.tests);
@@ -244,6 +325,7 @@ async function run() {
     ["4.3 Ciphertext Malleability", results.tests["4.3_ciphertext_malleability"].pass ? "PASS" : "FAIL"],
     ["4.4 Cross-Vote Proof Reuse", results.tests["4.4_cross_vote_proof_reuse"].pass ? "PASS" : "FAIL"],
     ["4.5 Random ZKP Forgery (1K)", results.tests["4.5_random_zkp_forgery"].pass ? "PASS" : "FAIL"],
+    ["4.6 Over-vote / out-of-range entries", results.tests["4.6_over_vote"].pass ? "PASS" : "FAIL"],
   ]);
 
   console.log(`\n  Overall: ${passed}/${allTests.length} tests passed`);
@@ -182,6 +182,8 @@ function buildAttackMatrix(combinedResults) {
     { id: 28, attack: "Cross-Election Link", layer: "LRS", property: "Unlinkability", cat: "07_collusion", test: "7.3_cross_election_linkability" },
     { id: 29, attack: "Signer Position Timing", layer: "LRS", property: "Side-Channel", cat: "08_timing", test: "8.1_signer_position_timing" },
     { id: 30, attack: "Vote Value Timing", layer: "ElGamal+ZKP", property: "Side-Channel", cat: "08_timing", test: "8.2_vote_value_timing" },
+    { id: 31, attack: "Cross-Modality Sybil", layer: "Chaincode", property: "Eligibility", cat: "01_sybil", test: "1.5_cross_modality_sybil" },
+    { id: 32, attack: "Over-vote", layer: "ZKP", property: "Ballot Validity", cat: "04_zkp", test: "4.6_over_vote" },
   ];
 
   for (const m of mappings) {
@@ -418,6 +418,16 @@ function getR1CSConstraintCount(r1csPath) {
   console.log(`  Face proof: ${artifactSizes.face.proof_bytes} bytes (JSON), ${artifactSizes.face.public_signals_count} public signals`);
   console.log(`  Iris proof: ${artifactSizes.iris.proof_bytes} bytes (JSON), ${artifactSizes.iris.public_signals_count} public signals`);
 
+  // Biometric hashes are private witnesses — they must never reach the ledger
+  // Face: [valid, merkleRoot, nullifier, electionId, signalHash, threshold_sq_num, threshold_sq_den, weight]
+  // Iris: [valid, merkleRoot, nullifier, electionId, signalHash, hammingThreshold, weight]
+  if (sampleFR.publicSignals.includes(faceRegData.faceHash.toString())) {
+    throw new Error("faceHash leaked into face public signals — rebuild face_auth circuit");
+  }
+  if (sampleIR.publicSignals.includes(irisHash.toString())) {
+    throw new Error("irisHash leaked into iris public signals — rebuild iris_auth circuit");
+  }
+
   // =========================================================================
   // SECTION 3: Nullifier Double-Vote Detection (Fig 5)
   // =========================================================================
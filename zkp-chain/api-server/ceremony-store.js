@@ -0,0 +1,67 @@
+// ============================================================
+// ceremony-store.js — Persistent store for tally trustee ceremonies
+// Holds the PUBLIC transcript of each ballot's threshold ElGamal
+// setup: trustee roster, Feldman commitments, encrypted shares,
+// verification keys and posted decryption shares.
+//
+// No private key material ever reaches this store — key shares
+// live with the trustees (see trustee.js), so the coordinator can
+// restart without losing the ability to tally.
+// ============================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const CEREMONIES_DIR = path.join(__dirname, "ceremonies");
+
+// Ensure the ceremonies directory exists
+if (!fs.existsSync(CEREMONIES_DIR)) {
+  fs.mkdirSync(CEREMONIES_DIR, { recursive: true });
+}
+
+// Ballot IDs come from clients — hash them into safe filenames
+function ceremonyPath(ballotId) {
+  const name = crypto.createHash("sha256").update(String(ballotId)).digest("hex");
+  return path.join(CEREMONIES_DIR, `${name}.json`);
+}
+
+/**
+ * Save a ceremony transcript to disk.
+ *
+ * @param {Object} ceremony - ceremony state (must contain ballotId)
+ */
+function saveCeremony(ceremony) {
+  fs.writeFileSync(ceremonyPath(ceremony.ballotId), JSON.stringify(ceremony, null, 2), "utf8");
+}
+
+/**
+ * Load a ceremony transcript from disk.
+ *
+ * @param {string} ballotId
+ * @returns {Object|null} ceremony state, or null if no ceremony exists
+ */
+function loadCeremony(ballotId) {
+  const filePath = ceremonyPath(ballotId);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Check if a ceremony exists for a ballot.
+ *
+ * @param {string} ballotId
+ * @returns {boolean}
+ */
+function hasCeremony(ballotId) {
+  return fs.existsSync(ceremonyPath(ballotId));
+}
+
+module.exports = {
+  saveCeremony,
+  loadCeremony,
+  hasCeremony,
+  CEREMONIES_DIR,
+};
@@ -27,42 +27,45 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 20491192805390485299153009773594534940189261866228447918068658471970481763042;
-    uint256 constant alphay  = 9383485363053290200918347156157836566562967994039712273449902621266178545958;
-    uint256 constant betax1  = 4252822878758300859123897981450591353533073413197771768651442665752259397132;
-    uint256 constant betax2  = 6375614351688725206403948262868962793625744043794305715222011528459656738731;
-    uint256 constant betay1  = 21847035105528745403288232691147584728191162732299865338377159692350059136679;
-    uint256 constant betay2  = 10505242626370262277552901082094356697409835680220590971873171140371331206856;
+    uint256 constant alphax  = 14358754329055462498668194394629218420140101735976934524027580349790388447827;
+    uint256 constant alphay  = 8114693122857665597809289075876497748457185252109147560156006500128243850051;
+    uint256 constant betax1  = 4929743674874966285820209313235104036722405035258203441753441097452087790954;
+    uint256 constant betax2  = 17404673518889389626068960031399948758668429977042489483701064275455113774609;
+    uint256 constant betay1  = 16708946242225673212624448758993484439026414703855899027633440947440657998751;
+    uint256 constant betay2  = 4120633099858818883692184104485423504767878769515751083514570769232384359803;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 16420086893676780996623156430732274882802684779019880873348902817004009230427;
-    uint256 constant deltax2 = 11798920121076322384277358375307442916424198530636688146976479818057506872053;
-    uint256 constant deltay1 = 8462719034138614335050104598952023247022171452544915154363146010584768117010;
-    uint256 constant deltay2 = 14205722877597457677248414278474769188756716377593429928534225431296575326730;
+    uint256 constant deltax1 = 12626715328586320476316623094244807362149973045505038583350078711013019284690;
+    uint256 constant deltax2 = 17764186026430274473848898272799944284958993653678264433119152964241900264557;
+    uint256 constant deltay1 = 2715944937143008117784947023467221165061916220147562680923621175605411902983;
+    uint256 constant deltay2 = 6265015193391542055085366747580401871767232182912489686104606054208258865776;
 
     
-    uint256 constant IC0x = 7252485750716394648944049740058371847860720912567222004466254673738508655985;
-    uint256 constant IC0y = 15959464057301296000637405333531876616412678032592786789127386740357696375155;
+    uint256 constant IC0x = 21769083685427109516179155300770241284366156399617847735056733627962302926669;
+    uint256 constant IC0y = 18526045513581190662263355210803293011519618846590536817732823794195162095516;
     
-    uint256 constant IC1x = 18228396830294217395363517202847278634295233448201089057574845899208998014421;
-    uint256 constant IC1y = 14585980810802570718188284580295045134864851809569473703052124283034202722034;
+    uint256 constant IC1x = 7465835117295028470242849980840988898249174033857967552721364083201149574530;
+    uint256 constant IC1y = 12626476333211095718315813754311459875695123941013666536175937318779145493018;
     
-    uint256 constant IC2x = 13035599571941072887603545799631820348222167426977893099034235925911364194101;
-    uint256 constant IC2y = 12600597255690917525331339762947423747227947344816391511550410830547724624896;
+    uint256 constant IC2x = 6902553600935937663463761103923707405738658352075188654846731237913269462534;
+    uint256 constant IC2y = 15506909278621355002186500906558016458336517747412057589602125981316644940912;
     
-    uint256 constant IC3x = 1698751306991011414008213783720996895740872395909072050013853524855495389190;
-    uint256 constant IC3y = 21395606962480595948233916509143002439881394293362943833069330507794436047483;
+    uint256 constant IC3x = 9393634468405143861923243374520391014679159120507798655481723065513945575131;
+    uint256 constant IC3y = 237912445465506913376209730319956524828109424241416777342264650328678522852;
     
-    uint256 constant IC4x = 17023221639686628152699662095376677353643311472725147262630752157134548844693;
-    uint256 constant IC4y = 1674050989018863727159537706890719874402553544186177585746802364235795956484;
+    uint256 constant IC4x = 6624626693477709527379419649805418518529992357743757346575763902700620577550;
+    uint256 constant IC4y = 4902245473400049260280226770392655381760173125240408805405634946034306486033;
     
-    uint256 constant IC5x = 4587873384367116264125836947107622586501205411818247982733215603284664659019;
-    uint256 constant IC5y = 11762741627678586308617462088287621911565028952994479332894195208949062894943;
+    uint256 constant IC5x = 7419430129389074098156608518557254406122336678158127770986195297079115138464;
+    uint256 constant IC5y = 1533171195469530435843722634279593541090239077328384890340392073275711556148;
     
-    uint256 constant IC6x = 15080216539296405164004449141944352263800528842630302428611523416155234847230;
-    uint256 constant IC6y = 1189272789028221715190259403767276351130237757956471336622832275322269702602;
+    uint256 constant IC6x = 11613293933602227427117843744658426183480695657004739313096642206762303698065;
+    uint256 constant IC6y = 690110291063219231702236929908172664821992527048245133166546771661560469518;
+    
+    uint256 constant IC7x = 4901820961544599519588196822618789156387568642131537436788281048610428421051;
+    uint256 constant IC7y = 3221616151545339176815031610303732019171342928234449957638753289516957978023;
     
  
     // Memory data
@@ -71,7 +74,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[6] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[7] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -127,6 +130,8 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
                 
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -192,6 +197,8 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 160)))
             
+            checkField(calldataload(add(_pubSignals, 192)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
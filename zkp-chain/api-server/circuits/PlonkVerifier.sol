@@ -27,45 +27,48 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 20491192805390485299153009773594534940189261866228447918068658471970481763042;
-    uint256 constant alphay  = 9383485363053290200918347156157836566562967994039712273449902621266178545958;
-    uint256 constant betax1  = 4252822878758300859123897981450591353533073413197771768651442665752259397132;
-    uint256 constant betax2  = 6375614351688725206403948262868962793625744043794305715222011528459656738731;
-    uint256 constant betay1  = 21847035105528745403288232691147584728191162732299865338377159692350059136679;
-    uint256 constant betay2  = 10505242626370262277552901082094356697409835680220590971873171140371331206856;
+    uint256 constant alphax  = 14358754329055462498668194394629218420140101735976934524027580349790388447827;
+    uint256 constant alphay  = 8114693122857665597809289075876497748457185252109147560156006500128243850051;
+    uint256 constant betax1  = 4929743674874966285820209313235104036722405035258203441753441097452087790954;
+    uint256 constant betax2  = 17404673518889389626068960031399948758668429977042489483701064275455113774609;
+    uint256 constant betay1  = 16708946242225673212624448758993484439026414703855899027633440947440657998751;
+    uint256 constant betay2  = 4120633099858818883692184104485423504767878769515751083514570769232384359803;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 3582018358703818603252406506864086181110967517025207709083820181510759212773;
-    uint256 constant deltax2 = 20735892908414747910231262535125550975159798010133106460805605841978663279563;
-    uint256 constant deltay1 = 19986617364584055008469559219854852197064282360590070026586398349453595326930;
-    uint256 constant deltay2 = 2999040955811704029561891028225176721777504927009552719381157726199787871833;
+    uint256 constant deltax1 = 5864011416697775478267942199555186508457311520095748100477680460389388833216;
+    uint256 constant deltax2 = 8976239885142364296551423107250379183933306268641657339769871558384905106792;
+    uint256 constant deltay1 = 10854356662450492381982929641054995333594604560648361394984440629843021291227;
+    uint256 constant deltay2 = 3399166404913123916574456475328280357273811044455572370086741236184989699406;
 
     
-    uint256 constant IC0x = 4774248107290733441027038447134165656128984781758884046820828945012075579210;
-    uint256 constant IC0y = 12339237502626252587361656631931790206767985565791996358691598789071956996874;
+    uint256 constant IC0x = 3159594850839679260739009086909611098740939582139781064578427256468916787295;
+    uint256 constant IC0y = 20319269536684697885888333255447175247886855540694524473448905041953568367797;
     
-    uint256 constant IC1x = 11981343782265258935365452423995317517810480119395572090916013701079777684505;
-    uint256 constant IC1y = 13956736365040249591389494862894286570957424902869461660857518281171728626836;
+    uint256 constant IC1x = 12635421945781558731632474227539211556658680482472825378185098067949139281390;
+    uint256 constant IC1y = 4094258964961536222774846476861192979878975186332130475437248677854972893428;
     
-    uint256 constant IC2x = 19466494687300907792597094793923637022536985949306209046315429584087339005531;
-    uint256 constant IC2y = 5391851516146706184798055385894259336437449310158679595662423072469867189382;
+    uint256 constant IC2x = 6696507688067420815114394103857922591257927096900840426237420095295937293812;
+    uint256 constant IC2y = 16966447865470534898092835794875122424644695804175977237933424470131993878120;
     
-    uint256 constant IC3x = 6485315447166399906943655142074935902317171821587238471942921880806840199849;
-    uint256 constant IC3y = 1747490407063646902189916873110602643467699856244202055194933204653004666007;
+    uint256 constant IC3x = 19243575250840150283679958129290312452160718015808243059252103044368120196909;
+    uint256 constant IC3y = 4618154726262211017862928793305338921873185801030753295575462762364703258147;
     
-    uint256 constant IC4x = 2743835665188766499626944087228519976330043772197833771042708273914283134996;
-    uint256 constant IC4y = 19005832833629424929212514669937028552006840432179402980903739342033059329894;
+    uint256 constant IC4x = 18931821502067220918587658952526830242553698438843220939851044716180160824680;
+    uint256 constant IC4y = 13335434499570054907811804010207199491548339478700050674856486537943038674418;
     
-    uint256 constant IC5x = 3281369421570096036993418790564066604673632151922925368934642408597027719418;
-    uint256 constant IC5y = 12165607054205093226782529255048555472368701272579321898651299204177801050983;
+    uint256 constant IC5x = 12722681194879980854461936585423331243893931936190001254072777132720552597261;
+    uint256 constant IC5y = 11411704001312642622562514132946245369109417791049040820839399725446262520151;
     
-    uint256 constant IC6x = 11165428662046454229254251543388523263601497679328721170594267350739265759519;
-    uint256 constant IC6y = 8783296559544166074889373726975999275980541911452206539892423546797290132894;
+    uint256 constant IC6x = 19735150087144340453297392443059663353418034353195925360162906396325826013351;
+    uint256 constant IC6y = 4154727550127224085910270292299553137381870524869397966576347359690102566089;
     
-    uint256 constant IC7x = 13704770010141071918525034703786791391398759847710327826191116452433556243502;
-    uint256 constant IC7y = 10602444706904515107641747611852147331876226407302785041780849190499543654486;
+    uint256 constant IC7x = 1846293020694373209670065942056413001026632453323873846460573064230866861057;
+    uint256 constant IC7y = 6529817019752369016513933094938752632724687780138897700693700587970009151608;
+    
+    uint256 constant IC8x = 1579513450737888732738226509098380387063527835839680152034539590322544038839;
+    uint256 constant IC8y = 19277017206694536675035664610669905816009003532463013000488417413225392925418;
     
  
     // Memory data
@@ -74,7 +77,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[7] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[8] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -132,6 +135,8 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
                 
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -199,6 +204,8 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 192)))
             
+            checkField(calldataload(add(_pubSignals, 224)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
@@ -98,6 +98,12 @@ npx snarkjs zkey export verificationkey \
 
 echo "  ✓ Verification key: iris_verification_key.json"
 
+# The chaincode verifies vote proofs on-chain with the same key
+CHAINCODE_KEYS_DIR=../../chaincode/identity/keys
+mkdir -p ${CHAINCODE_KEYS_DIR}
+cp iris_verification_key.json ${CHAINCODE_KEYS_DIR}/iris_verification_key.json
+echo "  ✓ Copied to chaincode: ${CHAINCODE_KEYS_DIR}/iris_verification_key.json"
+
 # ------------------------------------------
 # Step 5: Generate Solidity verifier (optional)
 # ------------------------------------------
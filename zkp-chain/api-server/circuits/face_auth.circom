@@ -147,28 +147,61 @@ template SquaredCosineSimilarity(n) {
     pass <== gte.out;
 }
 
+// ============================================================
+// WeightedCommitment — voter leaf carrying a vote weight
+//   leaf = Poseidon(Poseidon(hash, secretKey), weight)
+// The voter registers only the inner Poseidon(hash, secretKey); the
+// chaincode hashes in the weight it approved, so a leaf opens with
+// exactly that weight. The weight is range-checked to 32 bits.
+// ============================================================
+template WeightedCommitment() {
+    signal input hash;
+    signal input secretKey;
+    signal input weight;
+    signal output out;
+
+    component weightBits = Num2Bits(32);
+    weightBits.in <== weight;
+
+    component innerHasher = Poseidon(2);
+    innerHasher.inputs[0] <== hash;
+    innerHasher.inputs[1] <== secretKey;
+
+    component leafHasher = Poseidon(2);
+    leafHasher.inputs[0] <== innerHasher.out;
+    leafHasher.inputs[1] <== weight;
+
+    out <== leafHasher.out;
+}
+
 // ============================================================
 // FaceAuth — Main circuit (Merkle + Nullifier architecture)
 //
 // Proves:
-//   1. Poseidon(registeredEmbedding || salt) == faceHash
-//   2. commitment = Poseidon(faceHash, secretKey) is in the Merkle tree
+//   1. faceHash = Poseidon(registeredEmbedding || salt)
+//   2. commitment = Poseidon(Poseidon(faceHash, secretKey), weight) is in the Merkle tree
 //   3. nullifier = Poseidon(secretKey, electionId)
 //   4. squared_cosine(liveEmbedding, registeredEmbedding) >= threshold
+//   5. the proof is bound to signalHash (hash of ballot + ciphertexts)
+//   6. weight is the vote weight registered with the commitment
 // ============================================================
 template FaceAuth(embeddingSize, treeLevels) {
     // --- Public Inputs ---
-    signal input faceHash;               // Poseidon hash commitment of registered embedding
+    // faceHash is deliberately NOT public: it is constant per voter, so
+    // exposing it would link the same voter's ballots across elections.
     signal input merkleRoot;             // Root of the voter commitment Merkle tree
     signal input nullifier;              // Nullifier = Poseidon(secretKey, electionId)
     signal input electionId;             // Unique election identifier
+    signal input signalHash;             // Hash of (ballotId, encrypted vote vector)
     signal input threshold_sq_num;       // Squared threshold numerator
     signal input threshold_sq_den;       // Squared threshold denominator
+    signal input weight;                 // Voter's vote weight (bound in the commitment)
 
     // --- Private Inputs ---
     signal input embedding[embeddingSize];              // Live face (integer-scaled)
     signal input registeredEmbedding[embeddingSize];    // Registered face (integer-scaled)
     signal input salt;                                  // Salt for hash
+    signal input faceHash;                              // Poseidon hash commitment of registered embedding
     signal input secretKey;                             // Voter's secret key
     signal input pathElements[treeLevels];              // Merkle proof siblings
     signal input pathIndices[treeLevels];               // Merkle proof path (0=left, 1=right)
@@ -178,6 +211,8 @@ template FaceAuth(embeddingSize, treeLevels) {
 
     // =====================
     // 1. Poseidon hash check: H(embedding || salt) == faceHash
+    //    faceHash is private — it is only bound to the public
+    //    statement through the commitment's Merkle membership (2)
     // =====================
     // Hash the registered embedding
     component embeddingHash = PoseidonHashChunked(embeddingSize, 8);
@@ -190,16 +225,17 @@ template FaceAuth(embeddingSize, treeLevels) {
     faceHasher.inputs[0] <== embeddingHash.out;
     faceHasher.inputs[1] <== salt;
 
-    // Constrain: computed hash must equal public faceHash
+    // Constrain: computed hash must equal the (private) faceHash
     faceHasher.out === faceHash;
 
     // =====================
     // 2. Compute commitment and verify Merkle membership
-    //    commitment = Poseidon(faceHash, secretKey)
+    //    commitment = Poseidon(Poseidon(faceHash, secretKey), weight)
     // =====================
-    component commitmentHasher = Poseidon(2);
-    commitmentHasher.inputs[0] <== faceHash;
-    commitmentHasher.inputs[1] <== secretKey;
+    component commitmentHasher = WeightedCommitment();
+    commitmentHasher.hash <== faceHash;
+    commitmentHasher.secretKey <== secretKey;
+    commitmentHasher.weight <== weight;
 
     // Verify Merkle tree membership
     component merkleChecker = MerkleTreeChecker(treeLevels);
@@ -232,6 +268,15 @@ template FaceAuth(embeddingSize, treeLevels) {
     cosine.threshold_sq_num <== threshold_sq_num;
     cosine.threshold_sq_den <== threshold_sq_den;
 
+    // =====================
+    // 5. Bind signalHash to the proof
+    //    signalHash is not used by any other constraint; squaring it
+    //    keeps it in the R1CS so a proof cannot be replayed with a
+    //    different ciphertext vector (Semaphore-style)
+    // =====================
+    signal signalHashSquared;
+    signalHashSquared <== signalHash * signalHash;
+
     // All checks must pass
     // (faceHash, Merkle root, and nullifier are hard constraints via ===)
     // Cosine similarity must be strictly enforced:
@@ -240,4 +285,5 @@ template FaceAuth(embeddingSize, treeLevels) {
 }
 
 // Instantiate with 64-dimensional embeddings, 20-level Merkle tree (~1M voters)
-component main {public [faceHash, merkleRoot, nullifier, electionId, threshold_sq_num, threshold_sq_den]} = FaceAuth(64, 20);
+// Public signals: [valid, merkleRoot, nullifier, electionId, signalHash, threshold_sq_num, threshold_sq_den, weight]
+component main {public [merkleRoot, nullifier, electionId, signalHash, threshold_sq_num, threshold_sq_den, weight]} = FaceAuth(64, 20);
@@ -125,14 +125,43 @@ template HammingDistance(n) {
     pass <== lt.out;
 }
 
+// ============================================================
+// WeightedCommitment — voter leaf carrying a vote weight
+//   leaf = Poseidon(Poseidon(hash, secretKey), weight)
+// The voter registers only the inner Poseidon(hash, secretKey); the
+// chaincode hashes in the weight it approved, so a leaf opens with
+// exactly that weight. The weight is range-checked to 32 bits.
+// ============================================================
+template WeightedCommitment() {
+    signal input hash;
+    signal input secretKey;
+    signal input weight;
+    signal output out;
+
+    component weightBits = Num2Bits(32);
+    weightBits.in <== weight;
+
+    component innerHasher = Poseidon(2);
+    innerHasher.inputs[0] <== hash;
+    innerHasher.inputs[1] <== secretKey;
+
+    component leafHasher = Poseidon(2);
+    leafHasher.inputs[0] <== innerHasher.out;
+    leafHasher.inputs[1] <== weight;
+
+    out <== leafHasher.out;
+}
+
 // ============================================================
 // IrisAuth — Main circuit (Merkle + Nullifier architecture)
 //
 // Proves:
-//   1. Pack registered iris bits → Poseidon hash matches irisHash
-//   2. commitment = Poseidon(irisHash, secretKey) is in the Merkle tree
+//   1. Pack registered iris bits → Poseidon hash matches irisHash (private)
+//   2. commitment = Poseidon(Poseidon(irisHash, secretKey), weight) is in the Merkle tree
 //   3. nullifier = Poseidon(secretKey, electionId)
 //   4. HammingDistance(liveIris, registeredIris) < hammingThreshold
+//   5. the proof is bound to signalHash (hash of ballot + ciphertexts)
+//   6. weight is the vote weight registered with the commitment
 //
 // Parameters:
 //   codeSize  — number of bits in downsampled iris code (256)
@@ -140,16 +169,20 @@ template HammingDistance(n) {
 // ============================================================
 template IrisAuth(codeSize, treeLevels) {
     // --- Public Inputs ---
-    signal input irisHash;              // Poseidon hash of registered iris code + salt
+    // irisHash is deliberately NOT public: it is constant per voter, so
+    // exposing it would link the same voter's ballots across elections.
     signal input merkleRoot;            // Root of the iris commitment Merkle tree
     signal input nullifier;             // Nullifier = Poseidon(secretKey, electionId)
     signal input electionId;            // Unique election identifier
+    signal input signalHash;            // Hash of (ballotId, encrypted vote vector)
     signal input hammingThreshold;      // Max HD (e.g., 123 for 0.478 * 256)
+    signal input weight;                // Voter's vote weight (bound in the commitment)
 
     // --- Private Inputs ---
     signal input irisCodeLive[codeSize];           // Live iris code bits (0/1)
     signal input irisCodeRegistered[codeSize];     // Registered iris code bits (0/1)
     signal input salt;                             // Salt used during registration
+    signal input irisHash;                         // Poseidon hash of registered iris code + salt
     signal input secretKey;                        // Voter's secret key
     signal input pathElements[treeLevels];         // Merkle proof siblings
     signal input pathIndices[treeLevels];          // Merkle proof path (0=left, 1=right)
@@ -183,16 +216,17 @@ template IrisAuth(codeSize, treeLevels) {
     saltHasher.inputs[0] <== irisHasher.out;
     saltHasher.inputs[1] <== salt;
 
-    // Constrain: computed hash == public irisHash
+    // Constrain: computed hash == (private) irisHash
     saltHasher.out === irisHash;
 
     // =====================
     // 2. Compute commitment and verify Merkle membership
-    //    commitment = Poseidon(irisHash, secretKey)
+    //    commitment = Poseidon(Poseidon(irisHash, secretKey), weight)
     // =====================
-    component commitmentHasher = Poseidon(2);
-    commitmentHasher.inputs[0] <== irisHash;
-    commitmentHasher.inputs[1] <== secretKey;
+    component commitmentHasher = WeightedCommitment();
+    commitmentHasher.hash <== irisHash;
+    commitmentHasher.secretKey <== secretKey;
+    commitmentHasher.weight <== weight;
 
     // Verify Merkle tree membership (independent iris tree)
     component merkleChecker = MerkleTreeChecker(treeLevels);
@@ -223,6 +257,12 @@ template IrisAuth(codeSize, treeLevels) {
     }
     hamming.threshold <== hammingThreshold;
 
+    // =====================
+    // 5. Bind signalHash to the proof (see face_auth.circom)
+    // =====================
+    signal signalHashSquared;
+    signalHashSquared <== signalHash * signalHash;
+
     // All checks must pass
     valid <== hamming.pass;
     valid === 1;
@@ -230,4 +270,5 @@ template IrisAuth(codeSize, treeLevels) {
 
 // Instantiate with 256-bit downsampled iris codes, 20-level Merkle tree (~1M voters)
 // Hamming threshold 0.478 → floor(0.478 × 256) + 1 = 123 (strict less-than)
-component main {public [irisHash, merkleRoot, nullifier, electionId, hammingThreshold]} = IrisAuth(256, 20);
+// Public signals: [valid, merkleRoot, nullifier, electionId, signalHash, hammingThreshold, weight]
+component main {public [merkleRoot, nullifier, electionId, signalHash, hammingThreshold, weight]} = IrisAuth(256, 20);
@@ -270,8 +270,10 @@ async function benchmarkFaceProof(regData, commitments, electionId, run) {
     merkleRoot: toFieldString(root),
     nullifier: toFieldString(nullifier),
     electionId: toFieldString(electionId),
+    signalHash: "0",
     threshold_sq_num: toFieldString(25n),
     threshold_sq_den: toFieldString(100n),
+    weight: "1",
     embedding: liveScaled.map(toFieldString),
     registeredEmbedding: regScaled.map(toFieldString),
     salt: toFieldString(salt),
@@ -396,7 +398,9 @@ async function benchmarkIrisProof(regData, commitments, electionId, run) {
     merkleRoot: toFieldString(root),
     nullifier: toFieldString(nullifier),
     electionId: toFieldString(electionId),
+    signalHash: "0",
     hammingThreshold: "123",
+    weight: "1",
     irisCodeLive: liveCode.map((b) => b.toString()),
     irisCodeRegistered: registeredCode.map((b) => b.toString()),
     salt: toFieldString(salt),
@@ -528,11 +532,11 @@ function getGasEstimates() {
   // Scalar mul (bn128): 6,000 gas each
   // Addition (bn128): 150 gas each
   //
-  // Face: nPublic = 7 → 8 scalar muls + 8 additions + 1 pairing check(3 pairs)
-  //   = 419,000 + 8 × 6,000 + 8 × 150 ≈ 468,200 gas
+  // Face: nPublic = 8 → 9 scalar muls + 9 additions + 1 pairing check(3 pairs)
+  //   = 419,000 + 9 × 6,000 + 9 × 150 ≈ 474,350 gas
   //
-  // Iris: nPublic = 6 → 7 scalar muls + 7 additions + 1 pairing check(3 pairs)
-  //   = 419,000 + 7 × 6,000 + 7 × 150 ≈ 462,050 gas
+  // Iris: nPublic = 7 → 8 scalar muls + 8 additions + 1 pairing check(3 pairs)
+  //   = 419,000 + 8 × 6,000 + 8 × 150 ≈ 468,200 gas
 
   const faceVkey = JSON.parse(fs.readFileSync(FACE_VKEY, "utf8"));
   const irisVkey = JSON.parse(fs.readFileSync(IRIS_VKEY, "utf8"));
@@ -545,8 +549,8 @@ function getGasEstimates() {
   const CALLDATA_NONZERO = 16; // per non-zero byte calldata
 
   // Groth16 verify: 1 pairing check (3 pairs), nPublic+1 scalar muls, nPublic+1 adds
-  const faceNPublic = faceVkey.nPublic; // 7
-  const irisNPublic = irisVkey.nPublic; // 6
+  const faceNPublic = faceVkey.nPublic; // 8
+  const irisNPublic = irisVkey.nPublic; // 7
 
   function calcVerifyGas(nPublic) {
     const pairingGas = PAIRING_BASE + 3 * PAIRING_PER_PAIR; // Fixed 3-pair check
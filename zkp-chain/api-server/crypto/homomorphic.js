@@ -323,6 +323,109 @@ function hashProof(c1, c2, a1, b1, a2, b2) {
   return new BN(hash, 16).umod(ec.curve.n);
 }
 
+// ============================
+// Proof of correct decryption (Chaum-Pedersen)
+// Lets anyone check a published tally without the private key:
+// the decryptor reveals D = x·c1 and proves log_G(h) = log_c1(D),
+// then count·G must equal c2 − D.
+// ============================
+
+/**
+ * Fiat-Shamir challenge for a decryption proof
+ */
+function hashDecryptionProof(publicKey, c1, D, A, B) {
+  const data = [publicKey, c1, D, A, B]
+    .map(P => P.getX().toString(16, 64) + P.getY().toString(16, 64))
+    .join('');
+  const hash = crypto.createHash("sha256").update(data).digest("hex");
+  return new BN(hash, 16).umod(ec.curve.n);
+}
+
+/**
+ * Compute the decryption factor D = x·c1 with a proof that it used
+ * the same x as the public key h = x·G
+ * @param {BN} privateKey - x (or a trustee's key share x_j)
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @returns {{ d: {x, y}, proof: { a: {x, y}, b: {x, y}, z: string } }}
+ */
+function proveDecryption(privateKey, ciphertext) {
+  const { c1 } = ciphertext;
+  const publicKey = ec.g.mul(privateKey);
+  const D = c1.mul(privateKey);
+
+  let w;
+  do {
+    w = new BN(crypto.randomBytes(32)).umod(ec.curve.n);
+  } while (w.isZero());
+  const A = ec.g.mul(w);
+  const B = c1.mul(w);
+
+  const e = hashDecryptionProof(publicKey, c1, D, A, B);
+  const z = w.add(e.mul(privateKey)).umod(ec.curve.n);
+
+  return {
+    d: { x: D.getX().toString(16), y: D.getY().toString(16) },
+    proof: {
+      a: { x: A.getX().toString(16), y: A.getY().toString(16) },
+      b: { x: B.getX().toString(16), y: B.getY().toString(16) },
+      z: z.toString(16)
+    }
+  };
+}
+
+/**
+ * Verify a decryption factor against the public key
+ *   z·G == A + e·h   and   z·c1 == B + e·D
+ * @param {Point} publicKey - h (or a trustee's verification key h_j)
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @param {Object} decryption - output of proveDecryption()
+ * @returns {boolean}
+ */
+function verifyDecryptionProof(publicKey, ciphertext, decryption) {
+  try {
+    const { c1 } = ciphertext;
+    const D = ec.curve.point(new BN(decryption.d.x, 16), new BN(decryption.d.y, 16));
+    const A = ec.curve.point(new BN(decryption.proof.a.x, 16), new BN(decryption.proof.a.y, 16));
+    const B = ec.curve.point(new BN(decryption.proof.b.x, 16), new BN(decryption.proof.b.y, 16));
+    if (!D.validate() || !A.validate() || !B.validate()) return false;
+    const z = new BN(decryption.proof.z, 16);
+
+    const e = hashDecryptionProof(publicKey, c1, D, A, B);
+
+    if (!ec.g.mul(z).eq(A.add(publicKey.mul(e)))) return false;
+    return c1.mul(z).eq(B.add(D.mul(e)));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check a claimed count against a (proven) decryption factor: count·G == c2 − D
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @param {number} count - claimed plaintext
+ * @param {Point} decryptionFactor - D = x·c1
+ * @returns {boolean}
+ */
+function verifyDecryption(ciphertext, count, decryptionFactor) {
+  if (!Number.isInteger(count) || count < 0) return false;
+  return encodeVote(count).eq(ciphertext.c2.add(decryptionFactor.neg()));
+}
+
+/**
+ * Re-encrypt with revealed randomness (Benaloh audit): c1 == r·G and c2 == v·G + r·h
+ * @param {Point} publicKey - h
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @param {number} voteValue - claimed plaintext
+ * @param {BN} r - revealed encryption randomness
+ * @returns {boolean}
+ */
+function verifyEncryption(publicKey, ciphertext, voteValue, r) {
+  if (!Number.isInteger(voteValue) || voteValue < 0) return false;
+  if (r.isZero() || r.cmp(ec.curve.n) >= 0) return false;
+  if (!ec.g.mul(r).eq(ciphertext.c1)) return false;
+  return encodeVote(voteValue).add(publicKey.mul(r)).eq(ciphertext.c2);
+}
+
 /**
  * Serialize ciphertext for storage
  */
@@ -388,6 +491,10 @@ module.exports = {
   encodeVote,
   proveValidVote,
   verifyValidVote,
+  proveDecryption,
+  verifyDecryptionProof,
+  verifyDecryption,
+  verifyEncryption,
   serializeCiphertext,
   deserializeCiphertext,
   serializeKeypair,
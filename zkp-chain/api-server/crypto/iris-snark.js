@@ -17,6 +17,11 @@ const execFileAsync = util.promisify(execFile);
 
 // Import shared utilities from the face snark module
 const faceSnark = require("./snark");
+const {
+  DEFAULT_BIOMETRIC_POLICY,
+  normalizeBiometricPolicy,
+  assertBiometricPolicy,
+} = require("../../chaincode/identity/lib/biometricPolicy");
 
 // ============================================================
 // Paths to compiled IRIS circuit artifacts
@@ -37,6 +42,9 @@ const MERKLE_TREE_LEVELS = 20;    // Same depth as face tree, but independent
 const HAMMING_THRESHOLD = 123;    // floor(0.478 * 256) + 1 = 123 (strict <)
 const BN128_PRIME = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
 
+// Public signals: [valid, merkleRoot, nullifier, electionId, signalHash, hammingThreshold, weight]
+const HAMMING_THRESHOLD_INDEX = 5;
+
 function toFieldString(val) {
   let v = BigInt(val);
   if (v < 0n) {
@@ -288,8 +296,8 @@ function invalidateIrisMerkleCache() {
 // Commitment & Nullifier (reuse Poseidon from face module)
 // ============================================================
 
-async function computeIrisCommitment(irisHash, secretKey) {
-  return faceSnark.computeCommitment(irisHash, secretKey);
+async function computeIrisCommitment(irisHash, secretKey, weight = 1n) {
+  return faceSnark.computeCommitment(irisHash, secretKey, weight);
 }
 
 async function computeIrisNullifier(secretKey, electionId) {
@@ -307,13 +315,15 @@ async function computeIrisNullifier(secretKey, electionId) {
  * @param {number[]} irisCodeReg256 - registered iris code (256 bits, downsampled)
  * @param {BigInt} salt - registration salt
  * @param {BigInt} secretKey - voter's secret key
- * @param {BigInt} irisHash - Poseidon hash of registered iris code
+ * @param {BigInt} irisHash - Poseidon hash of registered iris code (private witness, never published)
  * @param {BigInt} merkleRoot - Merkle tree root (iris tree)
  * @param {BigInt[]} pathElements - Merkle proof siblings
  * @param {number[]} pathIndices - Merkle proof directions
  * @param {BigInt} electionId - unique election identifier
  * @param {BigInt} nullifier - precomputed nullifier
  * @param {number} hammingThreshold - max allowed Hamming distance (default 123)
+ * @param {BigInt} signalHash - hash binding the proof to the ballot + ciphertexts (0 for login)
+ * @param {BigInt} weight - vote weight bound in the voter's commitment (default 1)
  * @returns {Promise<{proof, publicSignals}>}
  */
 async function generateIrisProof(
@@ -327,7 +337,9 @@ async function generateIrisProof(
   pathIndices,
   electionId,
   nullifier,
-  hammingThreshold = HAMMING_THRESHOLD
+  hammingThreshold = HAMMING_THRESHOLD,
+  signalHash = 0n,
+  weight = 1n
 ) {
   // Validate circuit artifacts
   if (!fs.existsSync(IRIS_WASM_PATH)) {
@@ -344,16 +356,18 @@ async function generateIrisProof(
   // Build witness input
   const input = {
     // Public inputs
-    irisHash: toFieldString(irisHash),
     merkleRoot: toFieldString(merkleRoot),
     nullifier: toFieldString(nullifier),
     electionId: toFieldString(electionId),
+    signalHash: toFieldString(signalHash),
     hammingThreshold: hammingThreshold.toString(),
+    weight: toFieldString(weight),
 
     // Private inputs
     irisCodeLive: irisCodeLive256.map((b) => b.toString()),
     irisCodeRegistered: irisCodeReg256.map((b) => b.toString()),
     salt: toFieldString(salt),
+    irisHash: toFieldString(irisHash), // private: only bound via the commitment
     secretKey: toFieldString(secretKey),
     pathElements: pathElements.map(toFieldString),
     pathIndices: pathIndices.map(toFieldString),
@@ -452,13 +466,33 @@ async function generateIrisProof(
 // Proof verification
 // ============================================================
 
-async function verifyIrisProof(proof, publicSignals) {
+/**
+ * Verify an iris ZK-SNARK proof
+ * hammingThreshold is chosen by the prover, so a proof is only accepted
+ * if it is no looser than the ballot's biometric policy.
+ * @param {Object} proof - Groth16 proof object
+ * @param {string[]} publicSignals - array of public signal strings
+ * @param {Object} biometricPolicy - ballot policy ({ minCosineSimilarity, hammingThreshold })
+ * @returns {Promise<boolean>} true if proof is valid
+ */
+async function verifyIrisProof(proof, publicSignals, biometricPolicy = DEFAULT_BIOMETRIC_POLICY) {
   const vkey = getIrisVerificationKey();
 
   console.log("\n=== IRIS SNARK PROOF VERIFICATION ===");
   const startTime = Date.now();
 
-  const isValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+  let isValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+
+  if (isValid) {
+    try {
+      assertBiometricPolicy("iris", {
+        hammingThreshold: publicSignals[HAMMING_THRESHOLD_INDEX],
+      }, biometricPolicy);
+    } catch (err) {
+      console.warn(`Rejected: ${err.message}`);
+      isValid = false;
+    }
+  }
 
   const elapsed = Date.now() - startTime;
   console.log(`Verification result: ${isValid} (${elapsed}ms)`);
@@ -477,9 +511,10 @@ async function verifyIrisProof(proof, publicSignals) {
  * @param {number[]} irisCode - full iris code from Python (0/1 array, ~196K)
  * @param {number[]} noiseMask - noise mask from Python (0/1 array, same length)
  * @param {string} saltHex - random hex salt string
- * @returns {Promise<{irisHash, secretKey, commitment, salt, irisCode256}>}
+ * @param {BigInt} weight - voter's vote weight (default 1)
+ * @returns {Promise<{irisHash, secretKey, innerCommitment, commitment, salt, irisCode256}>}
  */
-async function computeIrisRegistrationData(irisCode, noiseMask, saltHex) {
+async function computeIrisRegistrationData(irisCode, noiseMask, saltHex, weight = 1n) {
   // 1. Downsample to 256 bits
   const irisCode256 = downsampleIrisCode(irisCode, noiseMask);
 
@@ -492,10 +527,11 @@ async function computeIrisRegistrationData(irisCode, noiseMask, saltHex) {
   // 4. Generate random secret key
   const secretKey = faceSnark.generateSecretKey();
 
-  // 5. Compute commitment = Poseidon(irisHash, secretKey)
-  const commitment = await computeIrisCommitment(irisHash, secretKey);
+  // 5. Compute the registered commitment and the leaf the chain derives from it
+  const innerCommitment = await faceSnark.computeInnerCommitment(irisHash, secretKey);
+  const commitment = await computeIrisCommitment(irisHash, secretKey, weight);
 
-  return { irisHash, secretKey, commitment, salt, irisCode256 };
+  return { irisHash, secretKey, innerCommitment, commitment, salt, irisCode256 };
 }
 
 // ============================================================
@@ -513,6 +549,9 @@ async function computeIrisRegistrationData(irisCode, noiseMask, saltHex) {
  * @param {BigInt} secretKey - voter's secret key
  * @param {BigInt[]} irisCommitments - all registered iris commitments
  * @param {BigInt} electionId - unique election identifier
+ * @param {BigInt} signalHash - hash binding the proof to the ballot + ciphertexts (0 for login)
+ * @param {Object} biometricPolicy - ballot policy the proof's Hamming threshold must satisfy
+ * @param {BigInt} weight - vote weight registered with the voter's commitment (default 1)
  * @returns {Promise<{proof, publicSignals, isValid, nullifier, merkleRoot}>}
  */
 async function generateIrisAuthProof(
@@ -523,7 +562,10 @@ async function generateIrisAuthProof(
   irisHash,
   secretKey,
   irisCommitments,
-  electionId
+  electionId,
+  signalHash = 0n,
+  biometricPolicy = DEFAULT_BIOMETRIC_POLICY,
+  weight = 1n
 ) {
   const totalStart = Date.now();
   const timings = {};
@@ -538,7 +580,7 @@ async function generateIrisAuthProof(
 
   // Compute the voter's commitment
   t0 = Date.now();
-  const commitment = await computeIrisCommitment(irisHash, secretKey);
+  const commitment = await computeIrisCommitment(irisHash, secretKey, weight);
   timings.commitment = Date.now() - t0;
 
   // Find the voter's leaf index
@@ -584,13 +626,15 @@ async function generateIrisAuthProof(
     pathIndices,
     electionId,
     nullifier,
-    HAMMING_THRESHOLD
+    normalizeBiometricPolicy(biometricPolicy).hammingThreshold,
+    signalHash,
+    weight
   );
   timings.snarkProve = Date.now() - t0;
 
   // Verify locally
   t0 = Date.now();
-  const isValid = await verifyIrisProof(proof, publicSignals);
+  const isValid = await verifyIrisProof(proof, publicSignals, biometricPolicy);
   timings.snarkVerify = Date.now() - t0;
 
   const totalElapsed = Date.now() - totalStart;
@@ -0,0 +1,416 @@
+// ============================
+// Verifiable Re-encryption Shuffle
+// ElGamal over secp256k1 (same encoding as homomorphic.js)
+//
+// A shuffle re-encrypts every ballot (a vector of ciphertexts) and
+// permutes the list, breaking the link between voter and ballot.
+// The proof of shuffle is Terelius-Wikström, following the
+// pseudo-code of Haenni et al., "Pseudo-Code Algorithms for
+// Verifiable Re-Encryption Mix-Nets" (FC 2017), written additively
+// and extended to ballots of width w (independent re-encryption
+// randomness per component, one s4 response per component).
+// ============================
+
+const crypto = require("crypto");
+const EC = require("elliptic").ec;
+const BN = require("bn.js");
+
+const ec = new EC("secp256k1");
+const n = ec.curve.n;
+
+function randomScalar() {
+  let k;
+  do {
+    k = new BN(crypto.randomBytes(32)).umod(n);
+  } while (k.isZero());
+  return k;
+}
+
+function pointToHex(P) {
+  if (P.isInfinity()) return "00";
+  return P.getX().toString(16, 64) + P.getY().toString(16, 64);
+}
+
+function serializePoint(P) {
+  return { x: P.getX().toString(16), y: P.getY().toString(16) };
+}
+
+function deserializePoint(data) {
+  if (!data || !data.x || !data.y) {
+    throw new Error("Invalid point data");
+  }
+  const P = ec.curve.point(new BN(data.x, 16), new BN(data.y, 16));
+  if (!P.validate()) {
+    throw new Error("Point is not on secp256k1");
+  }
+  return P;
+}
+
+// Σ k_i·P_i (null-safe accumulator)
+function sumPoints(points) {
+  return points.reduce((acc, P) => (acc ? acc.add(P) : P), null);
+}
+
+function multiScalarMul(scalars, points) {
+  return sumPoints(points.map((P, i) => P.mul(scalars[i])));
+}
+
+// ============================
+// Independent generators
+// Pedersen commitment bases with unknown discrete logs, derived by
+// hashing to the curve (try-and-increment on the x coordinate).
+// ============================
+
+const generatorCache = new Map();
+
+function deriveGenerator(label) {
+  if (generatorCache.has(label)) return generatorCache.get(label);
+
+  for (let counter = 0; ; counter++) {
+    const digest = crypto.createHash("sha256")
+      .update(`zkp-chain/shuffle/${label}/${counter}`)
+      .digest("hex");
+    const x = new BN(digest, 16).umod(ec.curve.p);
+    try {
+      const P = ec.curve.pointFromX(x, false);
+      if (P.validate()) {
+        generatorCache.set(label, P);
+        return P;
+      }
+    } catch (err) {
+      // x is not on the curve — try the next counter
+    }
+  }
+}
+
+// ============================
+// Ballots
+// A ballot is an array of ciphertexts { c1, c2 } (its width w is the
+// number of slots). All ballots in a shuffle have the same width.
+// ============================
+
+function serializeBallots(ballots) {
+  return ballots.map(ballot => ballot.map(ct => ({
+    c1: serializePoint(ct.c1),
+    c2: serializePoint(ct.c2)
+  })));
+}
+
+function deserializeBallots(data) {
+  return data.map(ballot => ballot.map(ct => ({
+    c1: deserializePoint(ct.c1),
+    c2: deserializePoint(ct.c2)
+  })));
+}
+
+function hashBallots(hash, ballots) {
+  ballots.forEach(ballot => ballot.forEach(ct => {
+    hash.update(pointToHex(ct.c1));
+    hash.update(pointToHex(ct.c2));
+  }));
+}
+
+/**
+ * Re-encrypt and permute a list of ballots
+ * Output i is input permutation[i] re-encrypted: (c1 + r·G, c2 + r·h)
+ * @param {Point} publicKey - ElGamal public key h
+ * @param {Array<Array<{c1, c2}>>} ballots
+ * @returns {{ output: Array, permutation: number[], randomness: BN[][] }}
+ *          permutation and randomness are the mixer's secrets (needed only to prove)
+ */
+function shuffle(publicKey, ballots) {
+  const N = ballots.length;
+
+  // Fisher-Yates with a CSPRNG
+  const permutation = Array.from({ length: N }, (_, i) => i);
+  for (let i = N - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+
+  const randomness = [];
+  const output = permutation.map((source, i) => {
+    randomness[i] = ballots[source].map(() => randomScalar());
+    return ballots[source].map((ct, k) => ({
+      c1: ct.c1.add(ec.g.mul(randomness[i][k])),
+      c2: ct.c2.add(publicKey.mul(randomness[i][k]))
+    }));
+  });
+
+  return { output, permutation, randomness };
+}
+
+// u_i challenges: bind the proof to the exact input, output and commitments
+function hashChallenges(publicKey, input, output, commitments) {
+  const hash = crypto.createHash("sha256");
+  hash.update(pointToHex(publicKey));
+  hashBallots(hash, input);
+  hashBallots(hash, output);
+  commitments.forEach(C => hash.update(pointToHex(C)));
+  const seed = hash.digest("hex");
+
+  return input.map((_, i) => new BN(
+    crypto.createHash("sha256").update(`${seed}/${i}`).digest("hex"), 16
+  ).umod(n));
+}
+
+// Public inputs of the final challenge; the u_i carry the binding to input and output
+function challengeSeed(publicKey, u, commitments, chain) {
+  return [
+    pointToHex(publicKey),
+    ...u.map(x => x.toString(16, 64)),
+    ...commitments.map(pointToHex),
+    ...chain.map(pointToHex)
+  ];
+}
+
+function hashFinalChallenge(seedParts, t) {
+  const hash = crypto.createHash("sha256");
+  seedParts.forEach(part => hash.update(part));
+  hash.update(pointToHex(t.t1));
+  hash.update(pointToHex(t.t2));
+  hash.update(pointToHex(t.t3));
+  t.t4.forEach(([a, b]) => { hash.update(pointToHex(a)); hash.update(pointToHex(b)); });
+  t.tHat.forEach(P => hash.update(pointToHex(P)));
+  return new BN(hash.digest("hex"), 16).umod(n);
+}
+
+/**
+ * Prove that output is a re-encryption and permutation of input
+ * @param {Point} publicKey
+ * @param {Array} input - ballots before the shuffle
+ * @param {Array} output - ballots after the shuffle
+ * @param {number[]} permutation - output i came from input permutation[i]
+ * @param {BN[][]} randomness - re-encryption randomness per output ballot and slot
+ * @returns {Object} serializable proof
+ */
+function proveShuffle(publicKey, input, output, permutation, randomness) {
+  const N = input.length;
+  const width = N > 0 ? input[0].length : 0;
+  const G = ec.g;
+  const h = deriveGenerator("h");
+  const hs = input.map((_, i) => deriveGenerator(`h${i}`));
+
+  // Permutation commitment: input j is committed at position inv(j)
+  //   c_j = r_j·G + h_{inv(j)}
+  const inverse = new Array(N);
+  permutation.forEach((source, i) => { inverse[source] = i; });
+  const r = input.map(() => randomScalar());
+  const commitments = input.map((_, j) => G.mul(r[j]).add(hs[inverse[j]]));
+
+  const u = hashChallenges(publicKey, input, output, commitments);
+  const uPrime = permutation.map(source => u[source]);
+
+  // Commitment chain ĉ_i = r̂_i·G + u'_i·ĉ_{i-1}, ĉ_0 = h
+  const rHat = input.map(() => randomScalar());
+  const chain = [];
+  let previous = h;
+  for (let i = 0; i < N; i++) {
+    previous = G.mul(rHat[i]).add(previous.mul(uPrime[i]));
+    chain.push(previous);
+  }
+
+  const w1 = randomScalar();
+  const w2 = randomScalar();
+  const w3 = randomScalar();
+  const w4 = Array.from({ length: width }, () => randomScalar());
+  const wHat = input.map(() => randomScalar());
+  const wPrime = input.map(() => randomScalar());
+
+  const t = {
+    t1: G.mul(w1),
+    t2: G.mul(w2),
+    t3: G.mul(w3).add(multiScalarMul(wPrime, hs)),
+    t4: Array.from({ length: width }, (_, k) => [
+      multiScalarMul(wPrime, output.map(b => b[k].c1)).add(G.mul(w4[k]).neg()),
+      multiScalarMul(wPrime, output.map(b => b[k].c2)).add(publicKey.mul(w4[k]).neg())
+    ]),
+    tHat: input.map((_, i) => G.mul(wHat[i]).add((i === 0 ? h : chain[i - 1]).mul(wPrime[i])))
+  };
+
+  const seedParts = challengeSeed(publicKey, u, commitments, chain);
+  const c = hashFinalChallenge(seedParts, t);
+
+  // v_i = Π_{j > i} u'_j
+  const v = new Array(N);
+  let acc = new BN(1);
+  for (let i = N - 1; i >= 0; i--) {
+    v[i] = acc;
+    acc = acc.mul(uPrime[i]).umod(n);
+  }
+
+  const sumR = r.reduce((s, x) => s.add(x), new BN(0)).umod(n);
+  const sumRHat = rHat.reduce((s, x, i) => s.add(x.mul(v[i])), new BN(0)).umod(n);
+  const sumRTilde = r.reduce((s, x, j) => s.add(x.mul(u[j])), new BN(0)).umod(n);
+  const sumRPrime = Array.from({ length: width }, (_, k) =>
+    randomness.reduce((s, ri, i) => s.add(ri[k].mul(uPrime[i])), new BN(0)).umod(n)
+  );
+
+  const sub = (a, b) => a.sub(c.mul(b)).umod(n);
+
+  return {
+    commitments: commitments.map(serializePoint),
+    chain: chain.map(serializePoint),
+    t: {
+      t1: serializePoint(t.t1),
+      t2: serializePoint(t.t2),
+      t3: serializePoint(t.t3),
+      t4: t.t4.map(([a, b]) => [serializePoint(a), serializePoint(b)]),
+      tHat: t.tHat.map(serializePoint)
+    },
+    s: {
+      s1: sub(w1, sumR).toString(16),
+      s2: sub(w2, sumRHat).toString(16),
+      s3: sub(w3, sumRTilde).toString(16),
+      s4: w4.map((w, k) => sub(w, sumRPrime[k]).toString(16)),
+      sHat: wHat.map((w, i) => sub(w, rHat[i]).toString(16)),
+      sPrime: wPrime.map((w, i) => sub(w, uPrime[i]).toString(16))
+    }
+  };
+}
+
+/**
+ * Verify a proof of shuffle
+ * @param {Point} publicKey
+ * @param {Array} input - ballots before the shuffle
+ * @param {Array} output - ballots after the shuffle
+ * @param {Object} proof - output of proveShuffle()
+ * @returns {boolean}
+ */
+function verifyShuffle(publicKey, input, output, proof) {
+  try {
+    const N = input.length;
+    if (output.length !== N) return false;
+    if (N === 0) return true;
+
+    const width = input[0].length;
+    if (input.some(b => b.length !== width) || output.some(b => b.length !== width)) return false;
+    if (proof.commitments.length !== N || proof.chain.length !== N ||
+        proof.t.tHat.length !== N || proof.t.t4.length !== width ||
+        proof.s.sHat.length !== N || proof.s.sPrime.length !== N || proof.s.s4.length !== width) {
+      return false;
+    }
+
+    const G = ec.g;
+    const h = deriveGenerator("h");
+    const hs = input.map((_, i) => deriveGenerator(`h${i}`));
+
+    const commitments = proof.commitments.map(deserializePoint);
+    const chain = proof.chain.map(deserializePoint);
+    const t = {
+      t1: deserializePoint(proof.t.t1),
+      t2: deserializePoint(proof.t.t2),
+      t3: deserializePoint(proof.t.t3),
+      t4: proof.t.t4.map(([a, b]) => [deserializePoint(a), deserializePoint(b)]),
+      tHat: proof.t.tHat.map(deserializePoint)
+    };
+    const s1 = new BN(proof.s.s1, 16);
+    const s2 = new BN(proof.s.s2, 16);
+    const s3 = new BN(proof.s.s3, 16);
+    const s4 = proof.s.s4.map(x => new BN(x, 16));
+    const sHat = proof.s.sHat.map(x => new BN(x, 16));
+    const sPrime = proof.s.sPrime.map(x => new BN(x, 16));
+
+    const u = hashChallenges(publicKey, input, output, commitments);
+    const seedParts = challengeSeed(publicKey, u, commitments, chain);
+    const c = hashFinalChallenge(seedParts, t);
+
+    // c̄ = Σ c_j − Σ h_i,  ĉ = ĉ_N − (Π u_i)·h,  c̃ = Σ u_j·c_j
+    const cBar = sumPoints(commitments).add(sumPoints(hs).neg());
+    const uProduct = u.reduce((p, x) => p.mul(x).umod(n), new BN(1));
+    const cHat = chain[N - 1].add(h.mul(uProduct).neg());
+    const cTilde = multiScalarMul(u, commitments);
+
+    if (!t.t1.eq(cBar.mul(c).add(G.mul(s1)))) return false;
+    if (!t.t2.eq(cHat.mul(c).add(G.mul(s2)))) return false;
+    if (!t.t3.eq(cTilde.mul(c).add(G.mul(s3)).add(multiScalarMul(sPrime, hs)))) return false;
+
+    for (let k = 0; k < width; k++) {
+      const eTilde1 = multiScalarMul(u, input.map(b => b[k].c1));
+      const eTilde2 = multiScalarMul(u, input.map(b => b[k].c2));
+      const expected1 = eTilde1.mul(c)
+        .add(multiScalarMul(sPrime, output.map(b => b[k].c1)))
+        .add(G.mul(s4[k]).neg());
+      const expected2 = eTilde2.mul(c)
+        .add(multiScalarMul(sPrime, output.map(b => b[k].c2)))
+        .add(publicKey.mul(s4[k]).neg());
+      if (!t.t4[k][0].eq(expected1) || !t.t4[k][1].eq(expected2)) return false;
+    }
+
+    for (let i = 0; i < N; i++) {
+      const previous = i === 0 ? h : chain[i - 1];
+      const expected = chain[i].mul(c).add(G.mul(sHat[i])).add(previous.mul(sPrime[i]));
+      if (!t.tHat[i].eq(expected)) return false;
+    }
+
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ============================
+// Mix-net
+// A chain of shuffles, each taking the previous stage's output as
+// input. The proofs show no ballot was added, dropped or altered;
+// they say nothing about who knows the permutations. mix() runs
+// every stage in this process with this process's randomness, so
+// the API server is the only mixer: it could keep the permutations
+// and link each decrypted ballot to its voteId, and extra stages do
+// not change that. Unlinkability against the operator needs stages
+// run by independent parties, which this server does not do yet.
+// ============================
+
+/**
+ * Run `stages` proven shuffles in sequence, all in this process
+ * (one mixer: see the note above)
+ * @param {Point} publicKey
+ * @param {Array} ballots - serialized ballots
+ * @param {number} stages
+ * @returns {Array<{ output: Array, proof: Object }>} serialized output and proof per stage
+ */
+function mix(publicKey, ballots, stages = 1) {
+  const transcript = [];
+  let input = deserializeBallots(ballots);
+  for (let stage = 0; stage < stages; stage++) {
+    const { output, permutation, randomness } = shuffle(publicKey, input);
+    transcript.push({
+      output: serializeBallots(output),
+      proof: proveShuffle(publicKey, input, output, permutation, randomness)
+    });
+    input = output;
+  }
+  return transcript;
+}
+
+/**
+ * Verify every stage of a mix-net transcript
+ * @param {Point} publicKey
+ * @param {Array} ballots - serialized ballots fed into the first stage
+ * @param {Array} stages - output of mix()
+ * @returns {boolean}
+ */
+function verifyMix(publicKey, ballots, stages) {
+  try {
+    if (!Array.isArray(stages) || stages.length === 0) return false;
+    let input = deserializeBallots(ballots);
+    for (const stage of stages) {
+      const output = deserializeBallots(stage.output);
+      if (!verifyShuffle(publicKey, input, output, stage.proof)) return false;
+      input = output;
+    }
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  shuffle,
+  proveShuffle,
+  verifyShuffle,
+  mix,
+  verifyMix,
+  serializeBallots,
+  deserializeBallots
+};
@@ -12,6 +12,12 @@ const { execFile } = require("child_process");
 const util = require("util");
 const os = require("os");
 
+const {
+  DEFAULT_BIOMETRIC_POLICY,
+  faceThresholdFromPolicy,
+  assertBiometricPolicy,
+} = require("../../chaincode/identity/lib/biometricPolicy");
+
 const execFileAsync = util.promisify(execFile);
 
 // ============================================================
@@ -32,6 +38,10 @@ const MERKLE_TREE_LEVELS = 20; // Supports up to 2^20 ~ 1M voters
 const SCALE_FACTOR = 1000000; // 1e6
 const BN128_PRIME = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
 
+// Public signals: [valid, merkleRoot, nullifier, electionId, signalHash, threshold_sq_num, threshold_sq_den, weight]
+const THRESHOLD_SQ_NUM_INDEX = 5;
+const THRESHOLD_SQ_DEN_INDEX = 6;
+
 function toFieldString(val) {
   let v = BigInt(val);
   if (v < 0n) {
@@ -333,19 +343,38 @@ function invalidateMerkleCache() {
 // ============================================================
 
 /**
- * Compute a voter commitment leaf
- *   commitment = Poseidon(faceHash, secretKey)
+ * Compute the commitment a voter registers
+ *   innerCommitment = Poseidon(faceHash, secretKey)
+ * The chaincode turns it into the Merkle leaf with the weight it approved.
  *
  * @param {BigInt} faceHash - Poseidon hash of embedding + salt
  * @param {BigInt} secretKey - voter's random secret key
  * @returns {Promise<BigInt>}
  */
-async function computeCommitment(faceHash, secretKey) {
+async function computeInnerCommitment(faceHash, secretKey) {
   const { poseidon, F } = await initPoseidon();
   const h = poseidon([F.e(faceHash), F.e(secretKey)]);
   return F.toObject(h);
 }
 
+/**
+ * Compute a voter commitment leaf
+ *   commitment = Poseidon(Poseidon(faceHash, secretKey), weight)
+ * Mirrors WeightedCommitment in the circuit and the leaf the chaincode
+ * derives at registration (merkleTree.voterLeaf).
+ *
+ * @param {BigInt} faceHash - Poseidon hash of embedding + salt
+ * @param {BigInt} secretKey - voter's random secret key
+ * @param {BigInt} weight - voter's vote weight (default 1)
+ * @returns {Promise<BigInt>}
+ */
+async function computeCommitment(faceHash, secretKey, weight = 1n) {
+  const { poseidon, F } = await initPoseidon();
+  const innerCommitment = await computeInnerCommitment(faceHash, secretKey);
+  const h = poseidon([F.e(innerCommitment), F.e(weight)]);
+  return F.toObject(h);
+}
+
 /**
  * Compute the nullifier for double-vote prevention
  *   nullifier = Poseidon(secretKey, electionId)
@@ -384,7 +413,7 @@ function generateSecretKey() {
  * @param {BigInt[]} registeredEmbedding - registered face embedding (integer-scaled)
  * @param {BigInt} salt - registration salt
  * @param {BigInt} secretKey - voter's secret key
- * @param {BigInt} faceHash - Poseidon hash commitment
+ * @param {BigInt} faceHash - Poseidon hash commitment (private witness, never published)
  * @param {BigInt} merkleRoot - Merkle tree root
  * @param {BigInt[]} pathElements - Merkle proof sibling hashes
  * @param {number[]} pathIndices - Merkle proof directions (0=left, 1=right)
@@ -392,6 +421,8 @@ function generateSecretKey() {
  * @param {BigInt} nullifier - precomputed nullifier
  * @param {BigInt} threshold_sq_num - squared threshold numerator (e.g. 25)
  * @param {BigInt} threshold_sq_den - squared threshold denominator (e.g. 100)
+ * @param {BigInt} signalHash - hash binding the proof to the ballot + ciphertexts (0 for login)
+ * @param {BigInt} weight - vote weight bound in the voter's commitment (default 1)
  * @returns {Promise<{proof: Object, publicSignals: string[]}>}
  */
 async function generateProof(
@@ -406,7 +437,9 @@ async function generateProof(
   electionId,
   nullifier,
   threshold_sq_num = 25n,
-  threshold_sq_den = 100n
+  threshold_sq_den = 100n,
+  signalHash = 0n,
+  weight = 1n
 ) {
   // Validate circuit artifacts exist
   if (!fs.existsSync(WASM_PATH)) {
@@ -423,17 +456,19 @@ async function generateProof(
   // Build witness input
   const input = {
     // Public inputs
-    faceHash: toFieldString(faceHash),
     merkleRoot: toFieldString(merkleRoot),
     nullifier: toFieldString(nullifier),
     electionId: toFieldString(electionId),
+    signalHash: toFieldString(signalHash),
     threshold_sq_num: toFieldString(threshold_sq_num),
     threshold_sq_den: toFieldString(threshold_sq_den),
+    weight: toFieldString(weight),
 
     // Private inputs
     embedding: embedding.map(toFieldString),
     registeredEmbedding: registeredEmbedding.map(toFieldString),
     salt: toFieldString(salt),
+    faceHash: toFieldString(faceHash), // private: only bound via the commitment
     secretKey: toFieldString(secretKey),
     pathElements: pathElements.map(toFieldString),
     pathIndices: pathIndices.map(toFieldString),
@@ -539,17 +574,32 @@ async function generateProof(
 
 /**
  * Verify a ZK-SNARK proof
+ * The threshold signals are chosen by the prover, so a proof is only
+ * accepted if they are at least as strict as the ballot's biometric policy.
  * @param {Object} proof - Groth16 proof object
  * @param {string[]} publicSignals - array of public signal strings
+ * @param {Object} biometricPolicy - ballot policy ({ minCosineSimilarity, hammingThreshold })
  * @returns {Promise<boolean>} true if proof is valid
  */
-async function verifyProof(proof, publicSignals) {
+async function verifyProof(proof, publicSignals, biometricPolicy = DEFAULT_BIOMETRIC_POLICY) {
   const vkey = getVerificationKey();
 
   console.log("\n=== SNARK PROOF VERIFICATION ===");
   const startTime = Date.now();
 
-  const isValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+  let isValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+
+  if (isValid) {
+    try {
+      assertBiometricPolicy("face", {
+        thresholdSqNum: publicSignals[THRESHOLD_SQ_NUM_INDEX],
+        thresholdSqDen: publicSignals[THRESHOLD_SQ_DEN_INDEX],
+      }, biometricPolicy);
+    } catch (err) {
+      console.warn(`Rejected: ${err.message}`);
+      isValid = false;
+    }
+  }
 
   const elapsed = Date.now() - startTime;
   console.log(`Verification result: ${isValid} (${elapsed}ms)`);
@@ -566,9 +616,10 @@ async function verifyProof(proof, publicSignals) {
  * Compute all registration data
  * @param {number[]} embeddingFloat - raw float64 embedding from FaceNet
  * @param {string} saltHex - random hex salt string
- * @returns {Promise<{faceHash, secretKey, commitment, salt, embeddingScaled}>}
+ * @param {BigInt} weight - voter's vote weight (default 1)
+ * @returns {Promise<{faceHash, secretKey, innerCommitment, commitment, salt, embeddingScaled}>}
  */
-async function computeRegistrationData(embeddingFloat, saltHex) {
+async function computeRegistrationData(embeddingFloat, saltHex, weight = 1n) {
   // 1. Scale embedding to integers
   const embeddingScaled = scaleEmbedding(embeddingFloat);
 
@@ -581,10 +632,11 @@ async function computeRegistrationData(embeddingFloat, saltHex) {
   // 4. Generate random secret key
   const secretKey = generateSecretKey();
 
-  // 5. Compute commitment = Poseidon(faceHash, secretKey)
-  const commitment = await computeCommitment(faceHash, secretKey);
+  // 5. Compute the registered commitment and the leaf the chain derives from it
+  const innerCommitment = await computeInnerCommitment(faceHash, secretKey);
+  const commitment = await computeCommitment(faceHash, secretKey, weight);
 
-  return { faceHash, secretKey, commitment, salt, embeddingScaled };
+  return { faceHash, secretKey, innerCommitment, commitment, salt, embeddingScaled };
 }
 
 // ============================================================
@@ -601,6 +653,9 @@ async function computeRegistrationData(embeddingFloat, saltHex) {
  * @param {BigInt} secretKey - voter's secret key
  * @param {BigInt[]} commitments - all registered commitments (for building Merkle tree)
  * @param {BigInt} electionId - unique election identifier
+ * @param {BigInt} signalHash - hash binding the proof to the ballot + ciphertexts (0 for login)
+ * @param {Object} biometricPolicy - ballot policy the proof's threshold must satisfy
+ * @param {BigInt} weight - vote weight registered with the voter's commitment (default 1)
  * @returns {Promise<{proof, publicSignals, isValid, nullifier, merkleRoot}>}
  */
 async function generateAuthProof(
@@ -610,7 +665,10 @@ async function generateAuthProof(
   faceHash,
   secretKey,
   commitments,
-  electionId
+  electionId,
+  signalHash = 0n,
+  biometricPolicy = DEFAULT_BIOMETRIC_POLICY,
+  weight = 1n
 ) {
   const totalStart = Date.now();
   const timings = {};
@@ -626,7 +684,7 @@ async function generateAuthProof(
 
   // Compute the voter's commitment
   t0 = Date.now();
-  const commitment = await computeCommitment(faceHash, secretKey);
+  const commitment = await computeCommitment(faceHash, secretKey, weight);
   timings.commitment = Date.now() - t0;
 
   // Find the voter's leaf index in the commitments array
@@ -653,9 +711,10 @@ async function generateAuthProof(
   const nullifier = await computeNullifier(secretKey, electionId);
   timings.nullifier = Date.now() - t0;
 
-  // Threshold: cosine sim >= 0.5 → squared = 0.25 → 25/100
-  const threshold_sq_num = 25n;
-  const threshold_sq_den = 100n;
+  // Threshold from the ballot policy: cosine sim >= c → squared = c² as a fraction
+  // (default c = 0.5 → 2500/10000, same as 25/100)
+  const { thresholdSqNum: threshold_sq_num, thresholdSqDen: threshold_sq_den } =
+    faceThresholdFromPolicy(biometricPolicy);
 
   // Generate SNARK proof (Groth16)
   t0 = Date.now();
@@ -671,13 +730,15 @@ async function generateAuthProof(
     electionId,
     nullifier,
     threshold_sq_num,
-    threshold_sq_den
+    threshold_sq_den,
+    signalHash,
+    weight
   );
   timings.snarkProve = Date.now() - t0;
 
   // Verify locally
   t0 = Date.now();
-  const isValid = await verifyProof(proof, publicSignals);
+  const isValid = await verifyProof(proof, publicSignals, biometricPolicy);
   timings.snarkVerify = Date.now() - t0;
 
   const totalElapsed = Date.now() - totalStart;
@@ -718,6 +779,7 @@ module.exports = {
   invalidateMerkleCache,
 
   // Commitment & Nullifier
+  computeInnerCommitment,
   computeCommitment,
   computeNullifier,
   generateSecretKey,
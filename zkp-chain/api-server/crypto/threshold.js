@@ -0,0 +1,354 @@
+// ============================
+// Threshold ElGamal
+// t-of-n key generation and distributed decryption over secp256k1
+// (companion to homomorphic.js — same curve, same point encoding)
+//
+//   DKG:        joint-Feldman VSS (Pedersen DKG). Every trustee deals a
+//               random degree-(t-1) polynomial; the joint secret x is the
+//               sum of all constant terms and is never reconstructed.
+//   Decryption: trustee j publishes D_j = x_j·c1 with a Chaum-Pedersen
+//               proof that log_G(h_j) = log_c1(D_j). Any t valid shares
+//               are combined with Lagrange coefficients: x·c1 = Σ λ_j·D_j.
+// ============================
+
+const crypto = require("crypto");
+const EC = require("elliptic").ec;
+const BN = require("bn.js");
+const homomorphic = require("./homomorphic");
+
+const ec = new EC("secp256k1");
+
+/**
+ * Random non-zero scalar mod n
+ * @returns {BN}
+ */
+function randomScalar() {
+  let k;
+  do {
+    k = new BN(crypto.randomBytes(32)).umod(ec.curve.n);
+  } while (k.isZero());
+  return k;
+}
+
+/**
+ * Serialize a curve point as hex coordinates (same format as homomorphic.js)
+ */
+function serializePoint(point) {
+  return {
+    x: point.getX().toString(16),
+    y: point.getY().toString(16)
+  };
+}
+
+/**
+ * Deserialize a curve point, rejecting anything that is not on secp256k1
+ */
+function deserializePoint(data) {
+  if (!data || !data.x || !data.y) {
+    throw new Error("Invalid point data");
+  }
+  const point = ec.curve.point(new BN(data.x, 16), new BN(data.y, 16));
+  if (!point.validate()) {
+    throw new Error("Point is not on secp256k1");
+  }
+  return point;
+}
+
+// ============================
+// Distributed key generation (Feldman VSS)
+// ============================
+
+/**
+ * Evaluate a polynomial with BN coefficients at x (mod n)
+ */
+function evaluatePolynomial(coefficients, x) {
+  const xBN = new BN(x);
+  let result = new BN(0);
+  // Horner's rule from the highest coefficient down
+  for (let k = coefficients.length - 1; k >= 0; k--) {
+    result = result.mul(xBN).add(coefficients[k]).umod(ec.curve.n);
+  }
+  return result;
+}
+
+/**
+ * Create one trustee's DKG dealing
+ * Trustee indices are 1..numTrustees (index 0 would leak the secret).
+ * @param {number} threshold - t, number of shares needed to decrypt
+ * @param {number} numTrustees - n, total number of trustees
+ * @returns {{ commitments: Point[], shares: Object<number, BN> }}
+ *          commitments[k] = a_k·G (public), shares[j] = f(j) (private, for trustee j)
+ */
+function createDealing(threshold, numTrustees) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(numTrustees) ||
+      threshold < 1 || threshold > numTrustees) {
+    throw new Error("Threshold must be an integer in [1, numTrustees]");
+  }
+
+  const coefficients = [];
+  for (let k = 0; k < threshold; k++) {
+    coefficients.push(randomScalar());
+  }
+
+  const commitments = coefficients.map(a => ec.g.mul(a));
+
+  const shares = {};
+  for (let j = 1; j <= numTrustees; j++) {
+    shares[j] = evaluatePolynomial(coefficients, j);
+  }
+
+  return { commitments, shares };
+}
+
+/**
+ * Evaluate the Feldman commitments "in the exponent" at index j:
+ *   Σ_k C_k · j^k  (= f(j)·G for an honest dealer)
+ * @param {Point[]} commitments
+ * @param {number} index
+ * @returns {Point}
+ */
+function evaluateCommitments(commitments, index) {
+  const j = new BN(index);
+  let power = new BN(1);
+  let result = null;
+  for (const C of commitments) {
+    const term = C.mul(power);
+    result = result ? result.add(term) : term;
+    power = power.mul(j).umod(ec.curve.n);
+  }
+  return result;
+}
+
+/**
+ * Check a received share against the dealer's public commitments
+ * @param {number} index - receiving trustee index
+ * @param {BN} share - f(index)
+ * @param {Point[]} commitments - dealer's Feldman commitments
+ * @returns {boolean}
+ */
+function verifyShare(index, share, commitments) {
+  return ec.g.mul(share).eq(evaluateCommitments(commitments, index));
+}
+
+/**
+ * Joint public key h = Σ_i C_i0 over all dealings
+ * @param {Point[][]} allCommitments - one commitment vector per dealer
+ * @returns {Point}
+ */
+function computeJointPublicKey(allCommitments) {
+  return allCommitments
+    .map(commitments => commitments[0])
+    .reduce((acc, C) => acc.add(C));
+}
+
+/**
+ * Public verification key of trustee j: h_j = x_j·G = Σ_i Σ_k C_ik·j^k
+ * Computable by anyone from the public transcript.
+ * @param {Point[][]} allCommitments
+ * @param {number} index
+ * @returns {Point}
+ */
+function computeVerificationKey(allCommitments, index) {
+  return allCommitments
+    .map(commitments => evaluateCommitments(commitments, index))
+    .reduce((acc, P) => acc.add(P));
+}
+
+/**
+ * Trustee j's secret key share x_j = Σ_i f_i(j)
+ * @param {BN[]} receivedShares - the share from every dealer (including itself)
+ * @returns {BN}
+ */
+function combineKeyShares(receivedShares) {
+  return receivedShares.reduce((acc, s) => acc.add(s).umod(ec.curve.n), new BN(0));
+}
+
+// ============================
+// Share transport (ECIES: ECDH on secp256k1 + AES-256-GCM)
+// Dealings are posted to a public bulletin board, so every share
+// is encrypted to the recipient trustee's identity key.
+// ============================
+
+function deriveTransportKey(sharedPoint) {
+  return crypto.createHash("sha256")
+    .update(sharedPoint.getX().toString(16, 64))
+    .digest();
+}
+
+/**
+ * Encrypt a scalar share to a trustee's identity public key
+ * @param {Point} recipientPublicKey
+ * @param {BN} share
+ * @returns {{ ephemeral: {x, y}, iv: string, tag: string, data: string }}
+ */
+function encryptShare(recipientPublicKey, share) {
+  const k = randomScalar();
+  const key = deriveTransportKey(recipientPublicKey.mul(k));
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(share.toString(16, 64), "utf8"), cipher.final()]);
+
+  return {
+    ephemeral: serializePoint(ec.g.mul(k)),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  };
+}
+
+/**
+ * Decrypt a share envelope with the trustee's identity private key
+ * @param {BN} privateKey
+ * @param {Object} envelope - output of encryptShare()
+ * @returns {BN}
+ */
+function decryptShare(privateKey, envelope) {
+  const ephemeral = deserializePoint(envelope.ephemeral);
+  const key = deriveTransportKey(ephemeral.mul(privateKey));
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const plain = Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, "base64")),
+    decipher.final()
+  ]).toString("utf8");
+
+  return new BN(plain, 16);
+}
+
+// ============================
+// Trustee message authentication (ECDSA over the identity key)
+// ============================
+
+function hashPayload(payload) {
+  return crypto.createHash("sha256").update(JSON.stringify(payload)).digest();
+}
+
+/**
+ * Sign a JSON payload with a trustee identity key
+ * @returns {string} DER signature (hex)
+ */
+function signPayload(privateKey, payload) {
+  return ec.keyFromPrivate(privateKey).sign(hashPayload(payload)).toDER("hex");
+}
+
+/**
+ * Verify a trustee signature over a JSON payload
+ * @returns {boolean}
+ */
+function verifyPayloadSignature(publicKey, payload, signature) {
+  try {
+    return ec.keyFromPublic(publicKey).verify(hashPayload(payload), signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+// ============================
+// Partial decryption with Chaum-Pedersen proofs
+// (the proof itself lives in homomorphic.js — a partial decryption
+// is an ordinary decryption proof under the key share x_j)
+// ============================
+
+/**
+ * Compute a trustee's partial decryption D_j = x_j·c1 with a proof that
+ * the same x_j was used as in the public verification key h_j = x_j·G
+ * @param {BN} keyShare - x_j
+ * @param {number} index - trustee index j
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @returns {{ index: number, d: {x, y}, proof: { a: {x, y}, b: {x, y}, z: string } }}
+ */
+function partialDecrypt(keyShare, index, ciphertext) {
+  return { index, ...homomorphic.proveDecryption(keyShare, ciphertext) };
+}
+
+/**
+ * Verify a partial decryption against the trustee's verification key
+ * @param {Point} verificationKey - h_j
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @param {Object} share - output of partialDecrypt()
+ * @returns {boolean}
+ */
+function verifyPartialDecryption(verificationKey, ciphertext, share) {
+  return homomorphic.verifyDecryptionProof(verificationKey, ciphertext, share);
+}
+
+/**
+ * Lagrange coefficient for index j at x = 0 over the given index set
+ *   λ_j = Π_{m ≠ j} m / (m − j)  (mod n)
+ */
+function lagrangeCoefficient(index, indices) {
+  const n = ec.curve.n;
+  let num = new BN(1);
+  let den = new BN(1);
+  for (const m of indices) {
+    if (m === index) continue;
+    num = num.mul(new BN(m)).umod(n);
+    den = den.mul(new BN(m).sub(new BN(index))).umod(n);
+  }
+  return num.mul(den.invm(n)).umod(n);
+}
+
+/**
+ * Combine t partial decryptions into the full decryption factor
+ *   x·c1 = Σ λ_j·D_j
+ * (shares must already be verified — see verifyPartialDecryption)
+ * @param {Object[]} shares - at least `threshold` outputs of partialDecrypt()
+ * @param {number} threshold
+ * @returns {Point} D = x·c1
+ */
+function combineDecryptionFactors(shares, threshold) {
+  const unique = [];
+  const seen = new Set();
+  for (const share of shares) {
+    if (!seen.has(share.index)) {
+      seen.add(share.index);
+      unique.push(share);
+    }
+  }
+  if (unique.length < threshold) {
+    throw new Error(`Need ${threshold} decryption shares, got ${unique.length}`);
+  }
+
+  const used = unique.slice(0, threshold);
+  const indices = used.map(s => s.index);
+
+  let xC1 = null;
+  for (const share of used) {
+    const term = deserializePoint(share.d).mul(lagrangeCoefficient(share.index, indices));
+    xC1 = xC1 ? xC1.add(term) : term;
+  }
+  return xC1;
+}
+
+/**
+ * Combine t partial decryptions into the plaintext point M = c2 − x·c1
+ * @param {{ c1: Point, c2: Point }} ciphertext
+ * @param {Object[]} shares - at least `threshold` outputs of partialDecrypt()
+ * @param {number} threshold
+ * @returns {Point} M = v·G
+ */
+function combinePartialDecryptions(ciphertext, shares, threshold) {
+  return ciphertext.c2.add(combineDecryptionFactors(shares, threshold).neg());
+}
+
+module.exports = {
+  randomScalar,
+  serializePoint,
+  deserializePoint,
+  createDealing,
+  verifyShare,
+  computeJointPublicKey,
+  computeVerificationKey,
+  combineKeyShares,
+  encryptShare,
+  decryptShare,
+  signPayload,
+  verifyPayloadSignature,
+  partialDecrypt,
+  verifyPartialDecryption,
+  lagrangeCoefficient,
+  combineDecryptionFactors,
+  combinePartialDecryptions
+};
@@ -9,7 +9,11 @@ class FabricClient {
     this.contract = null;
   }
 
-  async connect() {
+  /**
+   * Connect to the channel
+   * @param {string} identityLabel - wallet identity to submit as ('admin' for admin transactions)
+   */
+  async connect(identityLabel = 'appUser') {
     try {
       // Path to test-network
       const ccpPath = path.resolve(
@@ -30,10 +34,10 @@ class FabricClient {
       this.wallet = await Wallets.newFileSystemWallet(walletPath);
 
       // Check if user identity exists
-      const identity = await this.wallet.get('appUser');
+      const identity = await this.wallet.get(identityLabel);
       if (!identity) {
-        console.log('An identity for the user "appUser" does not exist in the wallet');
-        console.log('Run the enrollUser.js application before retrying');
+        console.log(`An identity for the user "${identityLabel}" does not exist in the wallet`);
+        console.log(`Run the ${identityLabel === 'admin' ? 'enrollAdmin.js' : 'enrollUser.js'} application before retrying`);
         throw new Error('User identity not found in wallet');
       }
 
@@ -41,7 +45,7 @@ class FabricClient {
       this.gateway = new Gateway();
       await this.gateway.connect(ccp, {
         wallet: this.wallet,
-        identity: 'appUser',
+        identity: identityLabel,
         discovery: { enabled: true, asLocalhost: true }
       });
 
@@ -70,11 +74,18 @@ class FabricClient {
   /**
    * Register a new voter by adding commitment to the global Merkle tree
    * @param {string} nidHash - Hash of NID (for duplicate check)
-   * @param {string} commitment - Poseidon commitment = Poseidon(faceHash, secretKey)
+   * @param {string} innerCommitment - Poseidon(faceHash, secretKey); the chaincode hashes in the approved weight
+   * @param {Object|null} weightApproval - { weight, registrarId, signature } for weight > 1
+   * @returns {Object} the identity record, whose commitment is the voter's Merkle leaf
    */
-  async registerUser(nidHash, commitment) {
+  async registerUser(nidHash, innerCommitment, weightApproval = null) {
     try {
-      const result = await this.contract.submitTransaction('register', nidHash, commitment);
+      const result = await this.contract.submitTransaction(
+        'register',
+        nidHash,
+        innerCommitment,
+        weightApproval ? JSON.stringify(weightApproval) : ''
+      );
       return JSON.parse(result.toString());
     } catch (error) {
       throw error;
@@ -114,11 +125,18 @@ class FabricClient {
   /**
    * Register a new voter via iris biometric (independent iris Merkle tree)
    * @param {string} nidHash - Hash of NID
-   * @param {string} commitment - Poseidon commitment = Poseidon(irisHash, secretKey)
+   * @param {string} innerCommitment - Poseidon(irisHash, secretKey); the chaincode hashes in the approved weight
+   * @param {Object|null} weightApproval - { weight, registrarId, signature } for weight > 1
+   * @returns {Object} the identity record, whose commitment is the voter's Merkle leaf
    */
-  async registerIrisUser(nidHash, commitment) {
+  async registerIrisUser(nidHash, innerCommitment, weightApproval = null) {
     try {
-      const result = await this.contract.submitTransaction('registerIris', nidHash, commitment);
+      const result = await this.contract.submitTransaction(
+        'registerIris',
+        nidHash,
+        innerCommitment,
+        weightApproval ? JSON.stringify(weightApproval) : ''
+      );
       return JSON.parse(result.toString());
     } catch (error) {
       throw error;
@@ -150,6 +168,331 @@ class FabricClient {
     }
   }
 
+  // ============================
+  // Merkle Root Registry
+  // (Roots the chaincode accepts in vote proofs)
+  // ============================
+
+  /**
+   * Get the current face Merkle root maintained by the chaincode
+   * @returns {{biometricType, root, leafCount, levels, updatedAt}}
+   */
+  async getMerkleRoot() {
+    try {
+      const result = await this.contract.evaluateTransaction('getMerkleRoot');
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get every face Merkle root accepted for vote proofs (oldest first)
+   * @returns {{root, leafCount, createdAt}[]}
+   */
+  async getMerkleRootHistory() {
+    try {
+      const result = await this.contract.evaluateTransaction('getMerkleRootHistory');
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current iris Merkle root maintained by the chaincode
+   * @returns {{biometricType, root, leafCount, levels, updatedAt}}
+   */
+  async getIrisMerkleRoot() {
+    try {
+      const result = await this.contract.evaluateTransaction('getIrisMerkleRoot');
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get every iris Merkle root accepted for vote proofs (oldest first)
+   * @returns {{root, leafCount, createdAt}[]}
+   */
+  async getIrisMerkleRootHistory() {
+    try {
+      const result = await this.contract.evaluateTransaction('getIrisMerkleRootHistory');
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================
+  // Registrar Roster
+  // (Registrars who approve voter weights and group members)
+  // ============================
+
+  /**
+   * Replace the on-chain registrar roster (requires connect('admin'))
+   * @param {Array} registrars - [{ id, publicKey: { x, y } }]
+   */
+  async setRegistrarRoster(registrars) {
+    try {
+      const result = await this.contract.submitTransaction('setRegistrarRoster', JSON.stringify(registrars));
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the on-chain registrar roster
+   * @returns {Array} [{ id, publicKey: { x, y } }]
+   */
+  async getRegistrarRoster() {
+    try {
+      const result = await this.contract.evaluateTransaction('getRegistrarRoster');
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================
+  // Eligibility Groups
+  // (Registrar-approved voter subsets with their own Merkle trees)
+  // ============================
+
+  /**
+   * Create an eligibility group
+   * @param {Object} group - { id, name, description, registrarIds } (registrarIds: roster subset, default all)
+   * @returns {Object} The stored group
+   */
+  async createEligibilityGroup(group) {
+    try {
+      const result = await this.contract.submitTransaction(
+        'createEligibilityGroup',
+        group.id,
+        group.name,
+        group.description || '',
+        group.registrarIds ? JSON.stringify(group.registrarIds) : ''
+      );
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Ask for a registered voter to join a group (pending until a registrar approves)
+   * @param {string} groupId
+   * @param {string} nidHash
+   * @returns {{nidHash, biometricType, requestedAt}}
+   */
+  async requestGroupMembership(groupId, nidHash) {
+    try {
+      const result = await this.contract.submitTransaction('requestGroupMembership', groupId, nidHash);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending membership request with a registrar signature
+   * @param {string} groupId
+   * @param {string} nidHash
+   * @param {string} registrarId
+   * @param {string} signature - DER hex ECDSA signature over { action: 'approveGroupMember', groupId, nidHash }
+   * @returns {{groupId, biometricType, memberCount}}
+   */
+  async approveGroupMembership(groupId, nidHash, registrarId, signature) {
+    try {
+      const result = await this.contract.submitTransaction(
+        'approveGroupMembership',
+        groupId,
+        nidHash,
+        registrarId,
+        signature
+      );
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group summary (registrars, pending requests, member counts)
+   * @param {string} groupId
+   */
+  async getEligibilityGroup(groupId) {
+    try {
+      const result = await this.contract.evaluateTransaction('getEligibilityGroup', groupId);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List all eligibility groups (summaries)
+   */
+  async listEligibilityGroups() {
+    try {
+      const result = await this.contract.evaluateTransaction('listEligibilityGroups');
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group's member commitments for one modality, in leaf order
+   * @param {string} groupId
+   * @param {string} biometricType - 'face' | 'iris'
+   * @returns {string[]}
+   */
+  async getGroupCommitments(groupId, biometricType = 'face') {
+    try {
+      const result = await this.contract.evaluateTransaction('getGroupCommitments', groupId, biometricType);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get every root a group's modality tree has had (oldest first)
+   * @param {string} groupId
+   * @param {string} biometricType - 'face' | 'iris'
+   * @returns {{root, leafCount, createdAt}[]}
+   */
+  async getGroupMerkleRootHistory(groupId, biometricType = 'face') {
+    try {
+      const result = await this.contract.evaluateTransaction('getGroupMerkleRootHistory', groupId, biometricType);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================
+  // Ballot Functions
+  // ============================
+
+  /**
+   * Create a ballot as a ledger asset
+   * @param {Object} ballot - { id, title, description, options: string[], startTime, endTime, allowMultipleVotes, biometricPolicy, selectionRule, eligibilityGroups }
+   * @returns {Object} The stored ballot
+   */
+  async createBallot(ballot) {
+    try {
+      const result = await this.contract.submitTransaction(
+        'createBallot',
+        ballot.id,
+        ballot.title,
+        ballot.description || '',
+        JSON.stringify(ballot.options),
+        ballot.startTime || '',
+        ballot.endTime || '',
+        String(Boolean(ballot.allowMultipleVotes)),
+        ballot.biometricPolicy ? JSON.stringify(ballot.biometricPolicy) : '',
+        ballot.selectionRule ? JSON.stringify(ballot.selectionRule) : '',
+        ballot.eligibilityGroups ? JSON.stringify(ballot.eligibilityGroups) : ''
+      );
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Close an active ballot
+   * @param {string} ballotId
+   * @returns {Object} The closed ballot
+   */
+  async closeBallot(ballotId) {
+    try {
+      const result = await this.contract.submitTransaction('closeBallot', ballotId);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a ballot's joint ElGamal public key on the ledger (set once)
+   * @param {string} ballotId
+   * @param {{x: string, y: string}} publicKey
+   * @returns {Object} The updated ballot
+   */
+  async setBallotEncryptionKey(ballotId, publicKey) {
+    try {
+      const result = await this.contract.submitTransaction(
+        'setBallotEncryptionKey',
+        ballotId,
+        JSON.stringify(publicKey)
+      );
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Open a ballot whose startTime has passed, freezing its eligibility
+   * snapshot (no-op if it is already open)
+   * @param {string} ballotId
+   * @returns {Object} The opened ballot
+   */
+  async openBallot(ballotId) {
+    try {
+      const result = await this.contract.submitTransaction('openBallot', ballotId);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restrict a ballot to one more eligibility group (only before it opens)
+   * @param {string} ballotId
+   * @param {string} groupId
+   * @returns {Object} The updated ballot
+   */
+  async attachEligibilityGroup(ballotId, groupId) {
+    try {
+      const result = await this.contract.submitTransaction('attachEligibilityGroup', ballotId, groupId);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a ballot by ID (throws if it does not exist)
+   * @param {string} ballotId
+   */
+  async getBallot(ballotId) {
+    try {
+      const result = await this.contract.evaluateTransaction('getBallot', ballotId);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List ballots, optionally filtered by status ('active' | 'closed')
+   * @param {string} status
+   */
+  async listBallots(status = '') {
+    try {
+      const result = await this.contract.evaluateTransaction('listBallots', status);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // ============================
   // Voting Functions
   // ============================
@@ -160,9 +503,10 @@ class FabricClient {
    * @param {string[]} publicSignals - Public signals from the circuit
    * @param {string} nullifier - Nullifier = Poseidon(secretKey, electionId)
    * @param {Array} encryptedVoteVector - Array of homomorphically encrypted votes (one per candidate)
-   * @param {string} ballotId - The ballot this vote is for
+   * @param {string} ballotId - The ballot this vote is for (must match the proof's electionId)
+   * @param {Object} sumProof - Proof that the encrypted vector selects an allowed number of options
    */
-  async castVote(proof, publicSignals, nullifier, encryptedVoteVector = null, ballotId = '') {
+  async castVote(proof, publicSignals, nullifier, encryptedVoteVector = null, ballotId = '', sumProof = null) {
     try {
       const result = await this.contract.submitTransaction(
         'castVote',
@@ -170,7 +514,8 @@ class FabricClient {
         JSON.stringify(publicSignals),
         nullifier,
         encryptedVoteVector ? JSON.stringify(encryptedVoteVector) : '',
-        ballotId
+        ballotId,
+        sumProof ? JSON.stringify(sumProof) : ''
       );
       return JSON.parse(result.toString());
     } catch (error) {
@@ -192,6 +537,20 @@ class FabricClient {
     }
   }
 
+  /**
+   * Every vote cast under a nullifier (re-voting ballots)
+   * @param {string} nullifier
+   * @returns {{ countedVoteId: string, history: Array<{ voteId, timestamp }> }}
+   */
+  async getVoteHistory(nullifier) {
+    try {
+      const result = await this.contract.evaluateTransaction('getVoteHistory', nullifier);
+      return JSON.parse(result.toString());
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get vote results (tallies)
    */
@@ -229,11 +588,13 @@ class FabricClient {
   }
 
   /**
-   * Get all votes (for auditing)
+   * Get all counted votes (for tallying and auditing)
+   * @param {string} ballotId
+   * @param {boolean} includeSuperseded - also return re-votes that were replaced
    */
-  async getAllVotes(ballotId = '') {
+  async getAllVotes(ballotId = '', includeSuperseded = false) {
     try {
-      const result = await this.contract.evaluateTransaction('getAllVotes', ballotId);
+      const result = await this.contract.evaluateTransaction('getAllVotes', ballotId, String(includeSuperseded));
       return JSON.parse(result.toString());
     } catch (error) {
       throw error;
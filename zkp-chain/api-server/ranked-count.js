@@ -0,0 +1,153 @@
+// ============================================================
+// ranked-count.js — Instant-runoff and STV counting
+// Counts decrypted preference lists of ranked ballots (after the
+// mix-net has cut the link to the voter) and records every round
+// so the result can be re-derived and audited.
+//
+//   irv: single winner; a candidate needs a majority of the
+//        ballots still active in that round
+//   stv: `seats` winners; Droop quota, surplus transferred at a
+//        fractional value (Gregory method)
+//
+// Ties are broken by the counts of earlier rounds (latest first);
+// if the candidates were tied in every round, the one listed
+// later on the ballot is eliminated first.
+// ============================================================
+
+const EPSILON = 1e-9;
+
+/**
+ * Turn the decrypted slots of one ranked ballot into a preference list
+ * Slot j holds the 1-based index of the option ranked j-th, or 0 once
+ * the voter stopped ranking. Anything else (a repeated option, a gap,
+ * an out-of-range index, too few rankings) spoils the ballot.
+ * @param {number[]} slotValues
+ * @param {number} optionCount
+ * @param {number} minSelections
+ * @returns {number[]|null} 0-based option indices in preference order, or null if spoiled
+ */
+function decodeRanking(slotValues, optionCount, minSelections = 1) {
+  const ranking = [];
+  let ended = false;
+
+  for (const value of slotValues) {
+    if (!Number.isInteger(value) || value < 0 || value > optionCount) return null;
+    if (value === 0) {
+      ended = true;
+      continue;
+    }
+    if (ended || ranking.includes(value - 1)) return null;
+    ranking.push(value - 1);
+  }
+
+  return ranking.length >= minSelections ? ranking : null;
+}
+
+function round4(x) {
+  return Math.round(x * 1e4) / 1e4;
+}
+
+// Negative if candidate a stands lower than b (current round first, then earlier rounds)
+function compareStanding(a, b, history) {
+  for (let r = history.length - 1; r >= 0; r--) {
+    const diff = history[r][a] - history[r][b];
+    if (Math.abs(diff) > EPSILON) return diff;
+  }
+  return b - a;
+}
+
+/**
+ * Count ranked ballots by instant-runoff or STV
+ * @param {string[]} optionNames - ballot options, in ballot order
+ * @param {number[][]} rankings - 0-based preference lists (from decodeRanking)
+ * @param {{ method: 'irv'|'stv', seats: number }} rule - the ballot's selection rule
+ * @returns {{ method, seats, quota: number|null, winners: string[], rounds: Object[] }}
+ *          rounds[k] = { round, counts, exhausted, threshold, elected, eliminated }
+ */
+function countRanked(optionNames, rankings, { method = "irv", seats = 1 } = {}) {
+  const seatsToFill = method === "irv" ? 1 : seats;
+  const droopQuota = Math.floor(rankings.length / (seatsToFill + 1)) + 1;
+  const result = {
+    method,
+    seats: seatsToFill,
+    quota: method === "stv" ? droopQuota : null,
+    winners: [],
+    rounds: []
+  };
+  if (rankings.length === 0) {
+    return result;
+  }
+
+  const ballots = rankings.map(preferences => ({ preferences, weight: 1 }));
+  const continuing = new Set(optionNames.map((_, i) => i));
+  const history = [];
+
+  while (result.winners.length < seatsToFill && continuing.size > 0) {
+    // Every ballot counts for its highest-ranked continuing candidate
+    const counts = optionNames.map(() => 0);
+    const piles = optionNames.map(() => []);
+    let exhausted = 0;
+    ballots.forEach(ballot => {
+      const top = ballot.preferences.find(i => continuing.has(i));
+      if (top === undefined) {
+        exhausted += ballot.weight;
+        return;
+      }
+      counts[top] += ballot.weight;
+      piles[top].push(ballot);
+    });
+    history.push(counts);
+
+    const candidates = [...continuing];
+    const active = candidates.reduce((sum, i) => sum + counts[i], 0);
+    const electionThreshold = method === "irv" ? Math.floor(active / 2) + 1 : droopQuota;
+
+    const round = {
+      round: result.rounds.length + 1,
+      counts: Object.fromEntries(candidates.map(i => [optionNames[i], round4(counts[i])])),
+      exhausted: round4(exhausted),
+      threshold: electionThreshold,
+      elected: [],
+      eliminated: null
+    };
+    result.rounds.push(round);
+
+    const highestFirst = candidates.sort((a, b) => compareStanding(b, a, history));
+    const openSeats = seatsToFill - result.winners.length;
+
+    // As many candidates left as seats: all of them are elected
+    if (continuing.size <= openSeats) {
+      highestFirst.forEach(i => {
+        continuing.delete(i);
+        result.winners.push(optionNames[i]);
+        round.elected.push(optionNames[i]);
+      });
+      break;
+    }
+
+    const reached = highestFirst.filter(i => counts[i] >= electionThreshold - EPSILON);
+    if (reached.length > 0) {
+      reached.slice(0, openSeats).forEach(i => {
+        continuing.delete(i);
+        result.winners.push(optionNames[i]);
+        round.elected.push(optionNames[i]);
+
+        // Surplus moves on: each ballot keeps going at (surplus / votes) of its weight
+        const transferValue = (counts[i] - electionThreshold) / counts[i];
+        piles[i].forEach(ballot => { ballot.weight *= transferValue; });
+      });
+      continue;
+    }
+
+    const lowest = highestFirst[highestFirst.length - 1];
+    continuing.delete(lowest);
+    round.eliminated = optionNames[lowest];
+  }
+
+  return result;
+}
+
+module.exports = {
+  decodeRanking,
+  countRanked
+};
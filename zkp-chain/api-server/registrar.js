@@ -0,0 +1,172 @@
+// ============================
+// Registrar CLI
+// Lets a registrar approve voter weights and review and admit
+// eligibility group members. The registrar's identity key stays in
+// REGISTRAR_DIR; approvals are ECDSA signatures the chaincode checks
+// against the registrar roster, so the API server cannot forge them.
+//
+// Usage:
+//   node registrar.js init    --id registrar1                              # create identity key
+//   node registrar.js weight  --id registrar1 --nid <nidHash> --weight 50  # sign a vote weight
+//   node registrar.js pending --id registrar1 --group <groupId>            # list pending requests
+//   node registrar.js approve --id registrar1 --group <groupId> --nid <nidHash>
+//
+// Environment:
+//   API_URL        API server base URL (default http://localhost:3000)
+//   REGISTRAR_DIR  where registrar key files live (default ./registrars)
+// ============================
+
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const BN = require("bn.js");
+const EC = require("elliptic").ec;
+const threshold = require("./crypto/threshold");
+
+const ec = new EC("secp256k1");
+
+const API_URL = process.env.API_URL || "http://localhost:3000";
+const REGISTRAR_DIR = process.env.REGISTRAR_DIR || path.join(__dirname, "registrars");
+
+const args = process.argv.slice(2);
+const command = args[0];
+const getArg = (name) => args.find((_, i, a) => a[i - 1] === `--${name}`);
+
+// ============================
+// Local key storage
+// ============================
+
+function registrarPath(registrarId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(registrarId)) {
+    throw new Error("Registrar ID may only contain letters, digits, '-' and '_'");
+  }
+  return path.join(REGISTRAR_DIR, `${registrarId}.json`);
+}
+
+function loadRegistrar(registrarId) {
+  const filePath = registrarPath(registrarId);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No key file for ${registrarId}. Run: node registrar.js init --id ${registrarId}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+async function fetchGroup(groupId) {
+  const res = await axios.get(`${API_URL}/api/v1/groups/${encodeURIComponent(groupId)}`);
+  return res.data.group;
+}
+
+// Check the group lists our identity key before signing anything for it
+function checkRoster(group, registrar) {
+  const self = group.registrars.find(r => r.id === registrar.id);
+  if (!self) {
+    throw new Error(`${registrar.id} is not a registrar for group ${group.id}`);
+  }
+  if (self.publicKey.x !== registrar.publicKey.x || self.publicKey.y !== registrar.publicKey.y) {
+    throw new Error(`Group lists a different public key for ${registrar.id}`);
+  }
+}
+
+// ============================
+// Commands
+// ============================
+
+async function init(registrarId) {
+  if (fs.existsSync(registrarPath(registrarId))) {
+    throw new Error(`Key file for ${registrarId} already exists`);
+  }
+
+  const key = ec.genKeyPair();
+  const registrar = {
+    id: registrarId,
+    privateKey: key.getPrivate().toString(16),
+    publicKey: threshold.serializePoint(key.getPublic())
+  };
+  if (!fs.existsSync(REGISTRAR_DIR)) {
+    fs.mkdirSync(REGISTRAR_DIR, { recursive: true });
+  }
+  fs.writeFileSync(registrarPath(registrarId), JSON.stringify(registrar, null, 2), { encoding: "utf8", mode: 0o600 });
+
+  console.log(`Registrar ${registrarId} initialized: ${registrarPath(registrarId)}`);
+  console.log("Add this entry to registrars.json and publish it with setRegistrarRoster.js:");
+  console.log(JSON.stringify({ id: registrarId, publicKey: registrar.publicKey }, null, 2));
+}
+
+// Voters with more than one vote pass this approval as "weightApproval"
+// when registering; the chaincode refuses weights nobody on the roster signed
+async function approveWeight(registrarId, nidHash, weight) {
+  const registrar = loadRegistrar(registrarId);
+  if (!Number.isInteger(weight) || weight < 1 || weight >= 2 ** 32) {
+    throw new Error("weight must be a positive integer below 2^32");
+  }
+
+  // Must match weightApprovalPayload() in the chaincode's lib/registrarRoster.js
+  const payload = { action: "approveVoterWeight", nidHash, weight };
+  const signature = threshold.signPayload(new BN(registrar.privateKey, 16), payload);
+
+  console.log(`Weight ${weight} approved for ${nidHash}. Give the voter this weightApproval:`);
+  console.log(JSON.stringify({ weight, registrarId, signature }));
+}
+
+async function pending(registrarId, groupId) {
+  const registrar = loadRegistrar(registrarId);
+  const group = await fetchGroup(groupId);
+  checkRoster(group, registrar);
+
+  if (group.pending.length === 0) {
+    console.log(`No pending membership requests for ${group.name}`);
+    return;
+  }
+  console.log(`Pending membership requests for ${group.name}:`);
+  group.pending.forEach(request => {
+    console.log(`  ${request.nidHash}  (${request.biometricType}, requested ${request.requestedAt})`);
+  });
+}
+
+async function approve(registrarId, groupId, nidHash) {
+  const registrar = loadRegistrar(registrarId);
+  const group = await fetchGroup(groupId);
+  checkRoster(group, registrar);
+
+  // Must match approvalPayload() in the chaincode's lib/eligibilityGroup.js
+  const payload = { action: "approveGroupMember", groupId, nidHash };
+  const signature = threshold.signPayload(new BN(registrar.privateKey, 16), payload);
+
+  const res = await axios.post(
+    `${API_URL}/api/v1/groups/${encodeURIComponent(groupId)}/members/approve`,
+    { nidHash, registrarId, signature }
+  );
+  console.log(`Member admitted to ${group.name} (${res.data.biometricType}, ${res.data.memberCount} members)`);
+}
+
+async function main() {
+  const registrarId = getArg("id");
+  const groupId = getArg("group");
+  const nidHash = getArg("nid");
+  const weight = getArg("weight");
+
+  const needsGroup = command === "pending" || command === "approve";
+  const needsNid = command === "approve" || command === "weight";
+  if (!registrarId || (needsGroup && !groupId) || (needsNid && !nidHash) || (command === "weight" && !weight)) {
+    console.log("Usage: node registrar.js <init|weight|pending|approve> --id <registrarId> [--group <groupId>] [--nid <nidHash>] [--weight <n>]");
+    process.exit(1);
+  }
+
+  switch (command) {
+    case "init": return init(registrarId);
+    case "weight": return approveWeight(registrarId, nidHash, Number(weight));
+    case "pending": return pending(registrarId, groupId);
+    case "approve": return approve(registrarId, groupId, nidHash);
+    default:
+      console.log(`Unknown command: ${command}`);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  const message = err.response && err.response.data && err.response.data.error
+    ? err.response.data.error
+    : err.message;
+  console.error(`❌ ${message}`);
+  process.exit(1);
+});
@@ -1,18 +1,58 @@
 // ============================
 // Ballot Management Routes
+// Ballots are ledger assets (IdentityContract) — these routes
+// are thin wrappers over FabricClient.
 // ============================
 
 const express = require("express");
+const { normalizeBiometricPolicy } = require("../../chaincode/identity/lib/biometricPolicy");
+const { normalizeSelectionRule, ballotSelectionRule } = require("../../chaincode/identity/lib/selectionRule");
+const { requireAdmin } = require("../admin-token");
+
 const router = express.Router();
 
-// In-memory ballot storage (in production, use database)
-let activeBallot = null;
-const ballotHistory = [];
+// Ledger ballots are "active" until closed; report "expired" once endTime passes
+function withEffectiveStatus(ballot) {
+  if (ballot.status === "active" && ballot.endTime && new Date(ballot.endTime) < new Date()) {
+    return { ...ballot, status: "expired" };
+  }
+  return ballot;
+}
+
+function summarizeBallot(ballot) {
+  return {
+    id: ballot.id,
+    title: ballot.title,
+    description: ballot.description,
+    options: ballot.options.map(o => ({ id: o.id, name: o.name })),
+    startTime: ballot.startTime,
+    endTime: ballot.endTime,
+    allowMultipleVotes: ballot.allowMultipleVotes,
+    biometricPolicy: ballot.biometricPolicy,
+    selectionRule: ballotSelectionRule(ballot),
+    eligibilityGroups: ballot.eligibilityGroups || [],
+    eligibilitySnapshot: ballot.eligibilitySnapshot || null,
+    status: ballot.status
+  };
+}
+
+// Look up a ballot on the ledger; resolves to null if it does not exist
+async function findBallot(fabricClient, ballotId) {
+  try {
+    const ballot = await fabricClient.getBallot(ballotId);
+    return withEffectiveStatus(ballot);
+  } catch (err) {
+    if (err.message && err.message.includes("does not exist")) {
+      return null;
+    }
+    throw err;
+  }
+}
 
 /**
  * POST /api/v1/ballot/create
  * Create a new ballot/election
- * 
+ *
  * Body:
  * {
  *   "title": "Presidential Election 2025",
@@ -20,12 +60,36 @@ const ballotHistory = [];
  *   "options": ["Alice Johnson", "Bob Smith", "Charlie Davis"],
  *   "startTime": "2025-12-01T00:00:00Z",
  *   "endTime": "2025-12-31T23:59:59Z",
- *   "allowMultipleVotes": false
+ *   "allowMultipleVotes": false,
+ *   "biometricPolicy": { "minCosineSimilarity": 0.5, "hammingThreshold": 123 },  // optional
+ *   "selectionRule": { "type": "upTo", "k": 2 },                                  // optional
+ *   "eligibilityGroups": ["dept_physics"]                                         // optional
  * }
+ *
+ * biometricPolicy is the weakest match every vote proof must meet:
+ * face cosine similarity >= minCosineSimilarity, iris Hamming distance < hammingThreshold.
+ *
+ * selectionRule is how many options a vote may select:
+ *   { "type": "single" }                           exactly one (default)
+ *   { "type": "upTo", "k": 2, "minSelections": 1 } between minSelections and k
+ *   { "type": "approval", "minSelections": 0 }     any number (approval voting)
+ *   { "type": "ranked", "method": "irv" }          preference order, instant-runoff
+ *   { "type": "ranked", "method": "stv", "seats": 3 } preference order, single transferable vote
+ * Ranked ballots are tallied by mix-net + decryption (see routes/tally.js).
+ *
+ * eligibilityGroups limits voting to members of those groups (see routes/group.js);
+ * without it every registered voter is eligible.
+ *
+ * allowMultipleVotes turns on re-voting: a voter may vote again until endTime
+ * and only the last vote counts, so a vote cast under pressure can be
+ * replaced. The replacement is visible to anyone who knows the voter's
+ * nullifier (it is public on both vote records), so this only helps
+ * against a coercer who does not learn it.
  */
 router.post("/create", async (req, res) => {
   try {
-    const { title, description, options, startTime, endTime, allowMultipleVotes } = req.body;
+    const { title, description, options, startTime, endTime, allowMultipleVotes, biometricPolicy, selectionRule, eligibilityGroups } = req.body;
+    const { fabricClient } = res.locals;
 
     // Validation
     if (!title || !options || !Array.isArray(options) || options.length < 2) {
@@ -44,86 +108,80 @@ router.post("/create", async (req, res) => {
       });
     }
 
-    // Create ballot
-    const ballot = {
-      id: `ballot_${Date.now()}`,
-      title,
-      description: description || "",
-      options: options.map((opt, idx) => ({
-        id: `option_${idx}`,
-        name: opt,
-        votes: 0
-      })),
-      startTime: startTime || new Date().toISOString(),
-      endTime: endTime || null,
-      allowMultipleVotes: allowMultipleVotes || false,
-      createdAt: new Date().toISOString(),
-      status: "active"
-    };
-
-    // Store ballot (close previous if exists)
-    if (activeBallot) {
-      activeBallot.status = "closed";
-      activeBallot.closedAt = new Date().toISOString();
-      ballotHistory.push(activeBallot);
+    let policy;
+    try {
+      policy = normalizeBiometricPolicy(biometricPolicy);
+    } catch (err) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid biometricPolicy: ${err.message}`
+      });
+    }
+
+    let rule;
+    try {
+      rule = normalizeSelectionRule(selectionRule, options.length);
+    } catch (err) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid selectionRule: ${err.message}`
+      });
     }
 
-    activeBallot = ballot;
+    if (eligibilityGroups !== undefined &&
+        (!Array.isArray(eligibilityGroups) || eligibilityGroups.some(g => typeof g !== "string" || !g))) {
+      return res.status(400).json({
+        ok: false,
+        error: "eligibilityGroups must be a list of group IDs"
+      });
+    }
 
-    console.log(`✅ Ballot created: ${ballot.title}`);
+    // Create ballot on the ledger (other open ballots are unaffected)
+    const ballot = await fabricClient.createBallot({
+      id: `ballot_${Date.now()}`,
+      title,
+      description,
+      options,
+      startTime,
+      endTime,
+      allowMultipleVotes,
+      biometricPolicy: policy,
+      selectionRule: rule,
+      eligibilityGroups
+    });
+
+    console.log(`✅ Ballot created on ledger: ${ballot.title}`);
     console.log(`   Options: ${ballot.options.map(o => o.name).join(", ")}`);
 
     res.json({
       ok: true,
-      ballot: {
-        id: ballot.id,
-        title: ballot.title,
-        description: ballot.description,
-        options: ballot.options.map(o => ({ id: o.id, name: o.name })),
-        startTime: ballot.startTime,
-        endTime: ballot.endTime,
-        allowMultipleVotes: ballot.allowMultipleVotes,
-        status: ballot.status
-      }
+      ballot: summarizeBallot(ballot)
     });
 
   } catch (err) {
     console.error("CREATE BALLOT ERROR:", err);
+    if (err.message && err.message.includes("Eligibility group")) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
     res.status(500).json({ ok: false, error: err.message });
   }
 });
 
 /**
  * GET /api/v1/ballot/active
- * Get the current active ballot
+ * List every ballot that is currently open for voting
  */
-router.get("/active", (req, res) => {
+router.get("/active", async (req, res) => {
   try {
-    if (!activeBallot) {
-      return res.json({
-        ok: true,
-        ballot: null,
-        message: "No active ballot"
-      });
-    }
-
-    // Check if ballot has expired
-    if (activeBallot.endTime && new Date(activeBallot.endTime) < new Date()) {
-      activeBallot.status = "expired";
-    }
+    const { fabricClient } = res.locals;
+    const activeBallots = (await fabricClient.listBallots("active"))
+      .map(withEffectiveStatus)
+      .filter(b => b.status === "active");
 
     res.json({
       ok: true,
-      ballot: {
-        id: activeBallot.id,
-        title: activeBallot.title,
-        description: activeBallot.description,
-        options: activeBallot.options.map(o => ({ id: o.id, name: o.name })),
-        startTime: activeBallot.startTime,
-        endTime: activeBallot.endTime,
-        allowMultipleVotes: activeBallot.allowMultipleVotes,
-        status: activeBallot.status
-      }
+      count: activeBallots.length,
+      ballots: activeBallots.map(summarizeBallot)
     });
 
   } catch (err) {
@@ -134,25 +192,43 @@ router.get("/active", (req, res) => {
 
 /**
  * POST /api/v1/ballot/close
- * Close the active ballot
+ * Close an open ballot
+ *
+ * Body:
+ * {
+ *   "ballotId": "ballot_1764547200000"
+ * }
  */
-router.post("/close", (req, res) => {
+router.post("/close", async (req, res) => {
   try {
-    if (!activeBallot) {
+    const { ballotId } = req.body;
+    const { fabricClient } = res.locals;
+
+    if (!ballotId) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing required field: ballotId"
+      });
+    }
+
+    const ballot = await findBallot(fabricClient, ballotId);
+    if (!ballot) {
       return res.status(404).json({
         ok: false,
-        error: "No active ballot to close"
+        error: "Ballot not found"
       });
     }
 
-    activeBallot.status = "closed";
-    activeBallot.closedAt = new Date().toISOString();
-    ballotHistory.push(activeBallot);
+    if (ballot.status === "closed") {
+      return res.status(400).json({
+        ok: false,
+        error: "Ballot is already closed"
+      });
+    }
 
-    console.log(`🔒 Ballot closed: ${activeBallot.title}`);
+    const closedBallot = await fabricClient.closeBallot(ballotId);
 
-    const closedBallot = activeBallot;
-    activeBallot = null;
+    console.log(`🔒 Ballot closed: ${closedBallot.title}`);
 
     res.json({
       ok: true,
@@ -175,8 +251,11 @@ router.post("/close", (req, res) => {
  * GET /api/v1/ballot/history
  * Get ballot history
  */
-router.get("/history", (req, res) => {
+router.get("/history", async (req, res) => {
   try {
+    const { fabricClient } = res.locals;
+    const ballotHistory = await fabricClient.listBallots("closed");
+
     res.json({
       ok: true,
       count: ballotHistory.length,
@@ -196,23 +275,93 @@ router.get("/history", (req, res) => {
 });
 
 /**
- * GET /api/v1/ballot/:ballotId
- * Get specific ballot by ID
+ * POST /api/v1/ballot/:ballotId/groups
+ * Restrict a ballot to one more eligibility group (only before its startTime)
+ * Operator only (Authorization: Bearer <ADMIN_API_TOKEN>); the chaincode
+ * further limits it to the ballot's creator or the admin identity.
+ *
+ * Body:
+ * {
+ *   "groupId": "dept_physics"
+ * }
  */
-router.get("/:ballotId", (req, res) => {
+router.post("/:ballotId/groups", requireAdmin(), async (req, res) => {
   try {
     const { ballotId } = req.params;
+    const { groupId } = req.body;
+    const { fabricClient } = res.locals;
 
-    // Check active ballot
-    if (activeBallot && activeBallot.id === ballotId) {
-      return res.json({
-        ok: true,
-        ballot: activeBallot
-      });
+    if (!groupId) {
+      return res.status(400).json({ ok: false, error: "Missing required field: groupId" });
     }
 
-    // Check history
-    const ballot = ballotHistory.find(b => b.id === ballotId);
+    const ballot = await findBallot(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({ ok: false, error: "Ballot not found" });
+    }
+
+    const updated = await fabricClient.attachEligibilityGroup(ballotId, groupId);
+
+    console.log(`👥 Group ${groupId} attached to ballot ${ballotId}`);
+
+    res.json({ ok: true, ballot: summarizeBallot(updated) });
+
+  } catch (err) {
+    console.error("ATTACH GROUP ERROR:", err);
+    const message = err.message || "";
+    const status = message.includes("may attach") ? 403
+      : ["does not exist", "already", "is closed"].some(m => message.includes(m)) ? 400
+        : 500;
+    res.status(status).json({ ok: false, error: message });
+  }
+});
+
+/**
+ * POST /api/v1/ballot/:ballotId/open
+ * Open a ballot whose startTime has passed: freezes its eligibility snapshot
+ * so voters can prove against it. Casting the first vote does the same; this
+ * lets browser provers build their tree before anyone has voted.
+ */
+router.post("/:ballotId/open", async (req, res) => {
+  try {
+    const { ballotId } = req.params;
+    const { fabricClient } = res.locals;
+
+    const ballot = await findBallot(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({ ok: false, error: "Ballot not found" });
+    }
+    if (ballot.eligibilitySnapshot) {
+      return res.json({ ok: true, ballot: summarizeBallot(ballot) });
+    }
+
+    const opened = await fabricClient.openBallot(ballotId);
+
+    console.log(`🗳️  Ballot ${ballotId} opened (${opened.eligibilitySnapshot.trees.length} voter trees frozen)`);
+
+    res.json({ ok: true, ballot: summarizeBallot(opened) });
+
+  } catch (err) {
+    console.error("OPEN BALLOT ERROR:", err);
+    const message = err.message || "";
+    const status = ["not started", "is closed"].some(m => message.includes(m)) ? 400 : 500;
+    res.status(status).json({ ok: false, error: message });
+  }
+});
+
+/**
+ * GET /api/v1/ballot/:ballotId
+ * Get specific ballot by ID, including its eligibility snapshot: the voter
+ * trees frozen when it opened ({ takenAt, trees: [{ groupId, biometricType,
+ * root, leafCount }] }), or null until then. Vote proofs must use those
+ * roots; a vote hides among the leafCount voters of the tree it used.
+ */
+router.get("/:ballotId", async (req, res) => {
+  try {
+    const { ballotId } = req.params;
+    const { fabricClient } = res.locals;
+
+    const ballot = await findBallot(fabricClient, ballotId);
     if (!ballot) {
       return res.status(404).json({
         ok: false,
@@ -233,35 +382,44 @@ router.get("/:ballotId", (req, res) => {
 
 /**
  * DELETE /api/v1/ballot/:ballotId
- * Delete a ballot (admin only - use with caution)
+ * Withdraw a ballot (admin only - use with caution)
+ * Operator only (Authorization: Bearer <ADMIN_API_TOKEN>). Ballots are ledger
+ * assets and cannot be erased, so this closes the ballot: it stops taking
+ * votes and moves to the history with the votes it already holds.
  */
-router.delete("/:ballotId", (req, res) => {
+router.delete("/:ballotId", requireAdmin(), async (req, res) => {
   try {
     const { ballotId } = req.params;
+    const { fabricClient } = res.locals;
 
-    // Check if it's the active ballot
-    if (activeBallot && activeBallot.id === ballotId) {
-      activeBallot = null;
-      return res.json({
-        ok: true,
-        message: "Active ballot deleted"
+    const ballot = await findBallot(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({
+        ok: false,
+        error: "Ballot not found"
       });
     }
 
-    // Check history
-    const index = ballotHistory.findIndex(b => b.id === ballotId);
-    if (index === -1) {
-      return res.status(404).json({
+    if (ballot.status === "closed") {
+      return res.status(400).json({
         ok: false,
-        error: "Ballot not found"
+        error: "Ballot is already closed"
       });
     }
 
-    ballotHistory.splice(index, 1);
+    const closedBallot = await fabricClient.closeBallot(ballotId);
+
+    console.log(`🗑️  Ballot withdrawn: ${closedBallot.title}`);
 
     res.json({
       ok: true,
-      message: "Ballot deleted from history"
+      message: "Ballot closed and moved to history (ledger ballots cannot be deleted)",
+      ballot: {
+        id: closedBallot.id,
+        title: closedBallot.title,
+        status: closedBallot.status,
+        closedAt: closedBallot.closedAt
+      }
     });
 
   } catch (err) {
@@ -270,15 +428,7 @@ router.delete("/:ballotId", (req, res) => {
   }
 });
 
-// Helper function to get active ballot (for vote validation)
-router.getActiveBallot = () => activeBallot;
-
-// Helper function to get a ballot by ID (active or from history)
-router.getBallotById = (ballotId) => {
-  if (activeBallot && activeBallot.id === ballotId) {
-    return activeBallot;
-  }
-  return ballotHistory.find(b => b.id === ballotId) || null;
-};
+// Helper function to get a ballot by ID (active or closed)
+router.getBallotById = (fabricClient, ballotId) => findBallot(fabricClient, ballotId);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
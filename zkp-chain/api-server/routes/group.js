@@ -0,0 +1,186 @@
+// ============================
+// Eligibility Group Routes
+// Groups are registrar-approved subsets of the registered voters
+// (a department, a constituency, ...). Each has its own Merkle tree
+// per modality on the ledger; a ballot that lists groups only
+// accepts proofs over those trees, so only members can vote.
+//
+// Membership is two-step:
+//   POST /:groupId/members          → pending request (by nidHash)
+//   POST /:groupId/members/approve  → a group registrar's signature
+//                                     admits the voter's commitment
+// A group's registrars come from the on-chain registrar roster (set
+// by the admin with setRegistrarRoster.js). Registrars sign with
+// registrar.js; the chaincode checks the signature against the
+// roster, so this server cannot admit anyone on its own.
+// ============================
+
+const express = require("express");
+
+const router = express.Router();
+
+// Chaincode validation failures are the caller's fault
+function groupErrorStatus(err) {
+  const message = err.message || "";
+  if (message.includes("does not exist") || message.includes("not registered")) return 404;
+  if (["already", "Invalid approval", "No pending", "registrar", "roster", "Group ID", "Unknown biometric"]
+    .some(m => message.includes(m))) return 400;
+  return 500;
+}
+
+const biometricTypeOf = (req) => req.query.biometricMode || "face";
+
+/**
+ * POST /api/v1/groups
+ * Create an eligibility group
+ *
+ * Body:
+ * {
+ *   "groupId": "dept_physics",
+ *   "name": "Physics Department",
+ *   "description": "Faculty and staff",
+ *   "registrarIds": ["registrar1"]  // optional: who of the on-chain roster may admit members (default: all)
+ * }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { groupId, name, description, registrarIds } = req.body;
+    const { fabricClient } = res.locals;
+
+    if (!groupId || !name) {
+      return res.status(400).json({ ok: false, error: "Missing required fields: groupId, name" });
+    }
+    if (registrarIds !== undefined && !Array.isArray(registrarIds)) {
+      return res.status(400).json({ ok: false, error: "registrarIds must be an array of registrar IDs" });
+    }
+
+    const group = await fabricClient.createEligibilityGroup({ id: groupId, name, description, registrarIds });
+
+    console.log(`👥 Eligibility group created: ${group.name} (${group.registrars.length} registrars)`);
+
+    res.json({ ok: true, group: { id: group.id, name: group.name, description: group.description, registrars: group.registrars } });
+  } catch (err) {
+    console.error("CREATE GROUP ERROR:", err);
+    res.status(groupErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/v1/groups
+ * List eligibility groups with member and pending counts
+ */
+router.get("/", async (req, res) => {
+  try {
+    const groups = await res.locals.fabricClient.listEligibilityGroups();
+    res.json({ ok: true, count: groups.length, groups });
+  } catch (err) {
+    console.error("LIST GROUPS ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/v1/groups/:groupId
+ * Group details: registrars, pending requests, member counts
+ */
+router.get("/:groupId", async (req, res) => {
+  try {
+    const group = await res.locals.fabricClient.getEligibilityGroup(req.params.groupId);
+    res.json({ ok: true, group });
+  } catch (err) {
+    console.error("GET GROUP ERROR:", err);
+    res.status(groupErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/groups/:groupId/members
+ * Request membership for a registered voter
+ *
+ * Body:
+ * {
+ *   "nidHash": "<sha256 of the NID number>"
+ * }
+ */
+router.post("/:groupId/members", async (req, res) => {
+  try {
+    const { nidHash } = req.body;
+    if (!nidHash) {
+      return res.status(400).json({ ok: false, error: "Missing required field: nidHash" });
+    }
+
+    const request = await res.locals.fabricClient.requestGroupMembership(req.params.groupId, nidHash);
+
+    res.json({
+      ok: true,
+      status: "pending",
+      request,
+      message: "Membership requested — a group registrar must approve it"
+    });
+  } catch (err) {
+    console.error("REQUEST MEMBERSHIP ERROR:", err);
+    res.status(groupErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/groups/:groupId/members/approve
+ * Admit a pending member with a registrar signature (see registrar.js)
+ *
+ * Body:
+ * {
+ *   "nidHash": "...",
+ *   "registrarId": "registrar1",
+ *   "signature": "<DER hex over { action: 'approveGroupMember', groupId, nidHash }>"
+ * }
+ */
+router.post("/:groupId/members/approve", async (req, res) => {
+  try {
+    const { nidHash, registrarId, signature } = req.body;
+    if (!nidHash || !registrarId || !signature) {
+      return res.status(400).json({ ok: false, error: "Missing required fields: nidHash, registrarId, signature" });
+    }
+
+    const result = await res.locals.fabricClient.approveGroupMembership(req.params.groupId, nidHash, registrarId, signature);
+
+    console.log(`✅ Group ${req.params.groupId}: ${result.biometricType} member approved by ${registrarId}`);
+
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("APPROVE MEMBERSHIP ERROR:", err);
+    res.status(groupErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/v1/groups/:groupId/commitments?biometricMode=face
+ * Member commitments in leaf order, for building the group's Merkle tree
+ */
+router.get("/:groupId/commitments", async (req, res) => {
+  try {
+    const biometricMode = biometricTypeOf(req);
+    const commitments = await res.locals.fabricClient.getGroupCommitments(req.params.groupId, biometricMode);
+    res.json({ ok: true, groupId: req.params.groupId, biometricMode, voterCount: commitments.length, commitments });
+  } catch (err) {
+    console.error("GET GROUP COMMITMENTS ERROR:", err);
+    res.status(groupErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/v1/groups/:groupId/root?biometricMode=face
+ * Every root the group's tree has had (proofs may use any of them)
+ */
+router.get("/:groupId/root", async (req, res) => {
+  try {
+    const biometricMode = biometricTypeOf(req);
+    const history = await res.locals.fabricClient.getGroupMerkleRootHistory(req.params.groupId, biometricMode);
+    const current = history[history.length - 1] || null;
+    res.json({ ok: true, groupId: req.params.groupId, biometricMode, ...current, history });
+  } catch (err) {
+    console.error("GET GROUP ROOT ERROR:", err);
+    res.status(groupErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
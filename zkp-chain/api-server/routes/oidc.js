@@ -0,0 +1,377 @@
+// ============================
+// Anonymous OpenID Connect Provider
+// Lets other apps ask "is this a registered citizen?" without
+// learning who it is. Users authenticate with the same ZK-SNARK
+// Merkle-membership proof as /login/challenge; the proof's
+// electionId is the relying party's clientIdHash, so the ID token
+// subject is a per-client pseudonym:
+//
+//   sub = nullifier = Poseidon(secretKey, clientIdHash)
+//
+// Stable for one voter at one client, unlinkable across clients,
+// and never equal to a ballot nullifier (see session-token.js
+// serviceScope). ID tokens are ES256 JWTs under the session key.
+//
+// Flow: authorization code (+ PKCE S256)
+//   GET  /authorize  → login page (QR, password, face/iris image)
+//   POST /authorize  → prove membership, redirect back with ?code
+//   POST /token      → exchange code for id_token + access_token
+//   GET  /jwks       → signing key
+//   GET  /.well-known/openid-configuration
+// ============================
+
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const sessionToken = require("../session-token");
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+const ISSUER_URL = process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}/oidc`;
+const AUTH_CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+// Registered relying parties:
+// { "clients": [{ "clientId": "forum", "name": "Citizen Forum",
+//                 "redirectUris": ["https://forum.example/callback"],
+//                 "clientSecretHash": "<sha256 hex of the secret>" }] }
+// Clients without clientSecretHash are public and must use PKCE.
+const OIDC_CLIENTS_FILE = process.env.OIDC_CLIENTS_FILE || path.join(__dirname, "..", "oidc-clients.json");
+
+function findClient(clientId) {
+  if (!clientId || !fs.existsSync(OIDC_CLIENTS_FILE)) {
+    return null;
+  }
+  const { clients = [] } = JSON.parse(fs.readFileSync(OIDC_CLIENTS_FILE, "utf8"));
+  return clients.find(c => c.clientId === clientId) || null;
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+function checkClientSecret(client, secret) {
+  const expected = Buffer.from(client.clientSecretHash, "hex");
+  const actual = sha256(String(secret || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Authorization codes: code -> { clientId, redirectUri, sub, nonce, codeChallenge, amr, authTime, expiresAt }
+const authCodes = new Map();
+
+function pruneAuthCodes() {
+  const now = Date.now();
+  for (const [code, entry] of authCodes) {
+    if (entry.expiresAt < now) authCodes.delete(code);
+  }
+}
+
+const escapeHtml = (value) => String(value === undefined ? "" : value)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Validate client_id/redirect_uri. Errors here must not redirect (RFC 6749 §4.1.2.1).
+function resolveAuthorizationRequest(params) {
+  const client = findClient(params.client_id);
+  if (!client) {
+    return { error: "Unknown client_id" };
+  }
+  if (!client.redirectUris.includes(params.redirect_uri)) {
+    return { error: "redirect_uri is not registered for this client" };
+  }
+  return { client };
+}
+
+function redirectWith(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") url.searchParams.set(key, value);
+  }
+  res.redirect(302, url.toString());
+}
+
+// The proof commits to the authorization request it answers
+function authorizationSignal(params) {
+  const digest = sha256(JSON.stringify([
+    params.client_id, params.redirect_uri, params.nonce || "", params.code_challenge || ""
+  ])).toString("hex");
+  return BigInt("0x" + digest.slice(0, 62));
+}
+
+/**
+ * Run the ZK login for one relying party and return its pseudonym.
+ * Same pipeline as /login/challenge, scoped to clientIdHash.
+ */
+async function proveMembership(locals, { qrFile, faceFile, irisFile, password, mode }, clientIdHash, signalHash) {
+  const {
+    fabricClient, decodeQRCode, decryptPayload, getFaceEmbedding, getIrisCode,
+    snark, irisSnark, credentialStore,
+  } = locals;
+
+  const qrData = decryptPayload(await decodeQRCode(qrFile), password);
+  if ((qrData.biometricMode || "face") !== mode) {
+    throw new Error(`QR code was registered with "${qrData.biometricMode || "face"}" biometric, not "${mode}"`);
+  }
+
+  if (mode === "face") {
+    if (!faceFile) throw new Error("Missing face image");
+    const creds = credentialStore.loadCredentials(qrData.nidHash, password);
+    const commitments = (await fabricClient.getCommitments()).map((c) => BigInt(c));
+    const result = await snark.generateAuthProof(
+      await getFaceEmbedding(faceFile),
+      qrData.faceEmbedding,
+      qrData.salt,
+      BigInt(creds.poseidonFaceHash),
+      BigInt(creds.secretKey),
+      commitments,
+      clientIdHash,
+      signalHash,
+      undefined, // default biometric policy
+      BigInt(creds.weight || 1)
+    );
+    return { isValid: result.isValid, pseudonym: result.publicSignals[2] };
+  }
+
+  if (!irisFile) throw new Error("Missing iris image");
+  const creds = credentialStore.loadCredentials(qrData.nidHash, password, "_iris");
+  const liveIris = await getIrisCode(irisFile);
+  const commitments = (await fabricClient.getIrisCommitments()).map((c) => BigInt(c));
+  const result = await irisSnark.generateIrisAuthProof(
+    liveIris.irisCode,
+    liveIris.noiseMask,
+    creds.irisCode256,
+    qrData.salt,
+    BigInt(creds.poseidonIrisHash),
+    BigInt(creds.secretKey),
+    commitments,
+    clientIdHash,
+    signalHash,
+    undefined, // default biometric policy
+    BigInt(creds.weight || 1)
+  );
+  return { isValid: result.isValid, pseudonym: result.publicSignals[2] };
+}
+
+// ============================
+// Discovery & keys
+// ============================
+
+router.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER_URL,
+    authorization_endpoint: `${ISSUER_URL}/authorize`,
+    token_endpoint: `${ISSUER_URL}/token`,
+    jwks_uri: `${ISSUER_URL}/jwks`,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code"],
+    subject_types_supported: ["pairwise"],
+    id_token_signing_alg_values_supported: ["ES256"],
+    scopes_supported: ["openid"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: ["iss", "sub", "aud", "exp", "iat", "auth_time", "nonce", "amr"],
+  });
+});
+
+router.get("/jwks", (req, res) => {
+  res.json({ keys: [sessionToken.publicJwk()] });
+});
+
+// ============================
+// Authorization endpoint
+// ============================
+
+/**
+ * GET /oidc/authorize
+ * Standard authorization request (response_type=code, scope=openid,
+ * client_id, redirect_uri, state, nonce, code_challenge[_method]).
+ * Renders the ZK login form, which posts back to /authorize.
+ */
+router.get("/authorize", (req, res) => {
+  const params = req.query;
+  const { client, error } = resolveAuthorizationRequest(params);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+  if (params.response_type !== "code" || !String(params.scope || "").split(" ").includes("openid")) {
+    return redirectWith(res, params.redirect_uri, {
+      error: "unsupported_response_type",
+      error_description: "Only response_type=code with scope=openid is supported",
+      state: params.state,
+    });
+  }
+
+  const hidden = ["client_id", "redirect_uri", "state", "nonce", "code_challenge", "code_challenge_method"]
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join("\n      ");
+
+  res.type("html").send(`<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Sign in anonymously</title></head>
+  <body style="font-family: sans-serif; max-width: 28rem; margin: 3rem auto;">
+    <h2>Prove you are a registered citizen</h2>
+    <p><strong>${escapeHtml(client.name || client.clientId)}</strong> will learn only that you are registered,
+      through a pseudonym that is unique to it.</p>
+    <form method="post" action="${escapeHtml(ISSUER_URL)}/authorize" enctype="multipart/form-data">
+      ${hidden}
+      <p><label>QR code <input type="file" name="qrCode" accept="image/*" required></label></p>
+      <p><label>Password <input type="password" name="password" required></label></p>
+      <p><label>Biometric
+        <select name="biometricMode"><option value="face">Face</option><option value="iris">Iris</option></select>
+      </label></p>
+      <p><label>Face image <input type="file" name="faceImg" accept="image/*"></label></p>
+      <p><label>Iris image <input type="file" name="irisImg" accept="image/*"></label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+/**
+ * POST /oidc/authorize
+ * The login form: proves membership for client_id and redirects back
+ * with a single-use authorization code (or error=access_denied).
+ */
+router.post(
+  "/authorize",
+  upload.fields([{ name: "qrCode" }, { name: "faceImg" }, { name: "irisImg" }]),
+  async (req, res) => {
+    const params = req.body;
+    const { client, error } = resolveAuthorizationRequest(params);
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    try {
+      const mode = params.biometricMode || "face";
+      const qrFile = req.files.qrCode?.[0];
+      if (!qrFile || !params.password || (mode !== "face" && mode !== "iris")) {
+        return redirectWith(res, params.redirect_uri, {
+          error: "invalid_request",
+          error_description: "QR code, password and a face or iris image are required",
+          state: params.state,
+        });
+      }
+      if (!client.clientSecretHash && !params.code_challenge) {
+        return redirectWith(res, params.redirect_uri, {
+          error: "invalid_request",
+          error_description: "Public clients must use PKCE (code_challenge)",
+          state: params.state,
+        });
+      }
+      if (params.code_challenge && params.code_challenge_method !== "S256") {
+        return redirectWith(res, params.redirect_uri, {
+          error: "invalid_request",
+          error_description: "code_challenge_method must be S256",
+          state: params.state,
+        });
+      }
+
+      const { isValid, pseudonym } = await proveMembership(res.locals, {
+        qrFile,
+        faceFile: req.files.faceImg?.[0],
+        irisFile: req.files.irisImg?.[0],
+        password: params.password,
+        mode,
+      }, sessionToken.serviceScope(client.clientId), authorizationSignal(params));
+
+      if (!isValid) {
+        return redirectWith(res, params.redirect_uri, {
+          error: "access_denied",
+          error_description: "ZK-SNARK membership proof failed",
+          state: params.state,
+        });
+      }
+
+      pruneAuthCodes();
+      const code = crypto.randomBytes(32).toString("base64url");
+      authCodes.set(code, {
+        clientId: client.clientId,
+        redirectUri: params.redirect_uri,
+        sub: pseudonym,
+        nonce: params.nonce,
+        codeChallenge: params.code_challenge,
+        amr: [mode],
+        authTime: Math.floor(Date.now() / 1000),
+        expiresAt: Date.now() + AUTH_CODE_TTL_MS,
+      });
+
+      console.log(`✅ OIDC login for ${client.clientId} (${mode})`);
+      redirectWith(res, params.redirect_uri, { code, state: params.state });
+    } catch (err) {
+      console.error("OIDC AUTHORIZE ERROR:", err);
+      redirectWith(res, params.redirect_uri, {
+        error: "access_denied",
+        error_description: err.message,
+        state: params.state,
+      });
+    }
+  }
+);
+
+// ============================
+// Token endpoint
+// ============================
+
+/**
+ * POST /oidc/token (application/x-www-form-urlencoded)
+ * grant_type=authorization_code, code, redirect_uri, client_id,
+ * client_secret (or HTTP Basic) and/or code_verifier.
+ * Returns { id_token, access_token, token_type, expires_in }.
+ */
+router.post("/token", express.urlencoded({ extended: false }), (req, res) => {
+  res.set("Cache-Control", "no-store");
+  const oauthError = (status, error, description) =>
+    res.status(status).json({ error, error_description: description });
+
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+  const [scheme, credentials] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Basic" && credentials) {
+    const decoded = Buffer.from(credentials, "base64").toString("utf8");
+    const sep = decoded.indexOf(":");
+    clientId = decodeURIComponent(decoded.slice(0, sep));
+    clientSecret = decodeURIComponent(decoded.slice(sep + 1));
+  }
+
+  if (req.body.grant_type !== "authorization_code") {
+    return oauthError(400, "unsupported_grant_type", "Only authorization_code is supported");
+  }
+
+  const client = findClient(clientId);
+  if (!client || (client.clientSecretHash && !checkClientSecret(client, clientSecret))) {
+    return oauthError(401, "invalid_client", "Unknown client or wrong client secret");
+  }
+
+  pruneAuthCodes();
+  const entry = authCodes.get(req.body.code);
+  // Codes are single use, whatever the outcome
+  authCodes.delete(req.body.code);
+  if (!entry || entry.clientId !== client.clientId || entry.redirectUri !== req.body.redirect_uri) {
+    return oauthError(400, "invalid_grant", "Authorization code is invalid, expired or was issued to another client");
+  }
+  if (entry.codeChallenge) {
+    const verifierHash = sha256(String(req.body.code_verifier || "")).toString("base64url");
+    if (verifierHash !== entry.codeChallenge) {
+      return oauthError(400, "invalid_grant", "code_verifier does not match code_challenge");
+    }
+  }
+
+  const { token: idToken } = sessionToken.signToken({
+    iss: ISSUER_URL,
+    sub: entry.sub,
+    aud: client.clientId,
+    nonce: entry.nonce,
+    auth_time: entry.authTime,
+    amr: entry.amr,
+  }, ID_TOKEN_TTL_SECONDS);
+  const { token: accessToken } = sessionToken.issueSessionToken(entry.sub, client.clientId, entry.amr[0]);
+
+  res.json({
+    id_token: idToken,
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: sessionToken.SESSION_TTL_SECONDS,
+  });
+});
+
+module.exports = router;
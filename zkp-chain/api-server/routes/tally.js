@@ -1,43 +1,453 @@
 // ============================
 // Homomorphic Tally Routes
+// Threshold ElGamal: the decryption key is split among trustees
+// (t-of-n). This server only coordinates — it publishes the DKG
+// transcript, aggregates ciphertexts and combines decryption
+// shares, but never holds a key share itself.
+//
+// Ceremony lifecycle (per ballot):
+//   dealing    → every trustee posts Feldman commitments + encrypted shares
+//   confirming → every trustee checks its shares and confirms (or complains)
+//   ready      → joint public key is published, voting can start
+//   failed     → a trustee complained about a dealing; run setup again
+// Trustees drive their side with trustee.js. Setup, dealings and
+// confirmations are operator-only (requireAdmin): whoever completes a
+// ceremony publishes the ballot's write-once encryption key.
+//
+// Tally backends:
+//   homomorphic → encrypted vote vectors are summed, only the sums are decrypted
+//   mixnet      → vectors are shuffled (POST /tally/mix), each one is decrypted
 // ============================
 
 const express = require("express");
+const fs = require("fs");
+const path = require("path");
 const homomorphic = require("../crypto/homomorphic");
+const threshold = require("../crypto/threshold");
+const ceremonyStore = require("../ceremony-store");
+const shuffle = require("../crypto/shuffle");
+const { decodeRanking, countRanked } = require("../ranked-count");
+const { allowedVoteSums } = require("../../chaincode/identity/lib/voteSumProof");
+const { ballotSelectionRule } = require("../../chaincode/identity/lib/selectionRule");
+const { requireAdmin } = require("../admin-token");
+const {
+  getCountedVotes, voteWeight, aggregateEncryptedVotes, digestTallies, collectMixInput, mixOutput
+} = require("../tally-input");
 
 const router = express.Router();
 
-// Store encryption keypairs per ballot (in production, use secure key management)
-const ballotKeys = new Map();
+// Trustee roster, set by the operator — never taken from a request:
+// { "threshold": 2, "trustees": [{ "id": "trustee1", "publicKey": { "x": "..", "y": ".." } }, ...] }
+const TRUSTEES_FILE = process.env.TRUSTEES_FILE || path.join(__dirname, "..", "trustees.json");
+
+function loadTrusteeRoster() {
+  if (!fs.existsSync(TRUSTEES_FILE)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(TRUSTEES_FILE, "utf8"));
+}
+
+// Look up a trustee and check its signature over the request payload
+function authenticateTrustee(ceremony, trusteeId, payload, signature) {
+  const trustee = ceremony.trustees.find(t => t.id === trusteeId);
+  if (!trustee) {
+    throw new Error(`Unknown trustee: ${trusteeId}`);
+  }
+  if (!signature || !threshold.verifyPayloadSignature(
+    threshold.deserializePoint(trustee.publicKey), payload, signature
+  )) {
+    throw new Error(`Invalid signature from trustee ${trusteeId}`);
+  }
+  return trustee;
+}
+
+// Once every trustee has dealt, derive the joint key and per-trustee verification keys
+function completeDealingPhase(ceremony) {
+  const allCommitments = ceremony.trustees.map(t =>
+    ceremony.dealings[t.id].commitments.map(threshold.deserializePoint)
+  );
+
+  ceremony.publicKey = threshold.serializePoint(threshold.computeJointPublicKey(allCommitments));
+  ceremony.verificationKeys = {};
+  ceremony.trustees.forEach(t => {
+    ceremony.verificationKeys[t.id] = threshold.serializePoint(
+      threshold.computeVerificationKey(allCommitments, t.index)
+    );
+  });
+  ceremony.status = "confirming";
+}
+
+/**
+ * Combine the decryption shares logged for one ciphertext
+ * Every share must carry a valid Chaum-Pedersen proof against its
+ * trustee's verification key, from at least `threshold` distinct trustees.
+ * @returns {Point|null} x·c1, or null if the shares do not check out
+ */
+function combineProvenShares(ceremony, ciphertext, decryptionShares) {
+  const shares = decryptionShares || [];
+  const validShares = shares.filter(share => {
+    const trustee = ceremony.trustees.find(t => t.id === share.trusteeId);
+    return trustee && share.index === trustee.index &&
+      threshold.verifyPartialDecryption(
+        threshold.deserializePoint(ceremony.verificationKeys[trustee.id]), ciphertext, share
+      );
+  });
+
+  if (validShares.length !== shares.length ||
+      new Set(validShares.map(share => share.index)).size < ceremony.threshold) {
+    return null;
+  }
+  return threshold.combineDecryptionFactors(validShares, ceremony.threshold);
+}
+
+// ============================
+// Mix-net backend
+// Instead of summing, the encrypted vote vectors go through a chain
+// of verifiable re-encryption shuffles (crypto/shuffle.js) and the
+// shuffled vectors are decrypted one by one. Individual ballots can
+// then be counted or audited without being traceable to their ledger
+// entry (or nullifier). Ranked ballots always use it — a preference
+// list cannot be summed.
+// ============================
+
+// Upper bound on mix stages per request (each stage costs a shuffle proof)
+const MAX_MIX_STAGES = 10;
+
+// Mix the vote vectors and open a decryption job for every slot of the
+// mixed vectors (ballot-major). Without an explicit stage count the
+// current mix is reused while its input is unchanged: a fresh shuffle
+// would invalidate the trustees' shares.
+function openMixDecryption(ceremony, input, publicKey, stages) {
+  const inputDigest = digestTallies(input);
+  if (stages === undefined && ceremony.decryption && ceremony.decryption.mix &&
+      ceremony.decryption.mix.inputDigest === inputDigest) {
+    return ceremony.decryption;
+  }
+
+  const mix = { inputDigest, stages: shuffle.mix(publicKey, input, stages || 1) };
+  console.log(`Mixed ${input.length} ballots through ${mix.stages.length} stage(s) (proofs of shuffle attached)`);
+
+  const encryptedTallies = [].concat(...mixOutput(mix));
+  ceremony.decryption = {
+    digest: digestTallies(encryptedTallies),
+    encryptedTallies,
+    mix,
+    shares: {},
+    openedAt: new Date().toISOString()
+  };
+  ceremonyStore.saveCeremony(ceremony);
+  console.log(`Decryption job opened (digest ${ceremony.decryption.digest.slice(0, 16)}...)`);
+  return ceremony.decryption;
+}
+
+// Plaintext of a decrypted slot: one of candidates, or null if it is none of them
+function decodeSlot(ciphertext, decryptionFactor, candidates) {
+  const value = candidates.find(candidate =>
+    homomorphic.verifyDecryption(ciphertext, candidate, decryptionFactor)
+  );
+  return value === undefined ? null : value;
+}
+
+// Plaintexts a slot may hold: 0 or an option index for ranked ballots,
+// else 0 or the weight of one of the voters
+function slotCandidates(ballot, allVotes) {
+  if (ballotSelectionRule(ballot).type === "ranked") {
+    return Array.from({ length: ballot.options.length + 1 }, (_, value) => value);
+  }
+  return [0, ...new Set(allVotes.map(voteWeight))].sort((a, b) => a - b);
+}
+
+/**
+ * Count the decrypted mixed ballots
+ * Ranked ballots are counted by IRV/STV (tallies are first preferences);
+ * selection ballots add the voter's weight per selected option, as the
+ * homomorphic tally does (every selection of one ballot carries the same weight).
+ * @param {Object} ballot
+ * @param {Array<Array<number|null>>} slotValues - decrypted slots per mixed ballot
+ * @returns {{ tallies, validBallots, spoiledBallots, decryptedBallots, winners?, quota?, rounds? }}
+ */
+function countMixedBallots(ballot, slotValues) {
+  const rule = ballotSelectionRule(ballot);
+  const optionNames = ballot.options.map(option => option.name);
+  const tallies = {};
+  optionNames.forEach(name => { tallies[name] = 0; });
+
+  const decode = rule.type === "ranked"
+    ? values => decodeRanking(values, optionNames.length, rule.minSelections)
+    : values => {
+      if (!values.every(Number.isInteger)) return null;
+      const selected = [];
+      values.forEach((value, i) => { if (value !== 0) selected.push(i); });
+      const wellFormed = selected.every(i => values[i] === values[selected[0]]);
+      return wellFormed && allowedVoteSums(ballot).includes(selected.length) ? selected : null;
+    };
+
+  const chosen = slotValues.map(decode);
+  const valid = chosen.filter(Boolean);
+  const decryptedBallots = chosen.map(indices => indices && indices.map(i => optionNames[i]));
+
+  if (rule.type === "ranked") {
+    // First preferences, for display next to the round-by-round report
+    valid.forEach(ranking => { tallies[optionNames[ranking[0]]]++; });
+  } else {
+    chosen.forEach((selected, b) => {
+      if (selected) selected.forEach(i => { tallies[optionNames[i]] += slotValues[b][i]; });
+    });
+  }
+
+  const count = {
+    tallies,
+    validBallots: valid.length,
+    spoiledBallots: chosen.length - valid.length,
+    decryptedBallots
+  };
+  return rule.type === "ranked" ? { ...count, ...countRanked(optionNames, valid, rule) } : count;
+}
+
+/**
+ * Mix-net tally: mix (unless already mixed), collect trustee shares for
+ * the mixed slots, decrypt and count (responds like POST /tally/compute)
+ */
+function computeMixnetTally(res, ballot, ceremony, allVotes) {
+  const publicKey = threshold.deserializePoint(ceremony.publicKey);
+  const input = collectMixInput(ballot, allVotes, publicKey);
+  console.log(`Valid encrypted vote vectors: ${input.length}`);
+
+  if (input.length === 0) {
+    return res.json({
+      ok: true,
+      ballotId: ballot.id,
+      tallies: {},
+      totalVotes: allVotes.length,
+      message: "No valid encrypted votes to tally"
+    });
+  }
+
+  const job = openMixDecryption(ceremony, input, publicKey);
+  const postedShares = job.shares;
+  const sharesReceived = Object.keys(postedShares).length;
+
+  if (sharesReceived < ceremony.threshold) {
+    console.log(`Awaiting trustee decryption shares: ${sharesReceived}/${ceremony.threshold}`);
+    return res.status(202).json({
+      ok: true,
+      ballotId: ballot.id,
+      status: "awaiting_shares",
+      digest: job.digest,
+      sharesReceived,
+      threshold: ceremony.threshold,
+      encryptedVotes: input.length,
+      message: `Waiting for ${ceremony.threshold - sharesReceived} more trustee(s) to run: node trustee.js decrypt`
+    });
+  }
+
+  // Combine trustee shares slot by slot
+  const width = ballot.options.length;
+  const candidates = slotCandidates(ballot, allVotes);
+  const trusteesUsed = Object.keys(postedShares);
+  const decryptionLog = [];
+  const slotValues = mixOutput(job.mix).map((slots, b) => slots.map((slot, j) => {
+    const k = b * width + j;
+    const ciphertext = homomorphic.deserializeCiphertext(slot);
+    const shares = trusteesUsed.map(id => postedShares[id][k]);
+    const decryptionFactor = threshold.combineDecryptionFactors(shares, ceremony.threshold);
+    const value = decodeSlot(ciphertext, decryptionFactor, candidates);
+
+    decryptionLog.push({
+      ballot: b,
+      slot: j,
+      value,
+      decryptionFactor: threshold.serializePoint(decryptionFactor),
+      decryptionShares: trusteesUsed.map(id => ({ trusteeId: id, ...postedShares[id][k] }))
+    });
+    return value;
+  }));
+
+  const count = countMixedBallots(ballot, slotValues);
+  console.log(`\n✅ Mix-net tally complete`);
+  console.log(`Final tallies:`, count.tallies);
+  if (count.winners) {
+    console.log(`Winners (${count.method.toUpperCase()}): ${count.winners.join(", ") || "none"}`);
+  }
+  console.log(`=== TALLY COMPLETE ===\n`);
+
+  res.json({
+    ok: true,
+    ballotId: ballot.id,
+    ballotTitle: ballot.title,
+    totalVotes: allVotes.length,
+    encryptedVotes: input.length,
+    method: "mixnet",
+    selectionRule: ballotSelectionRule(ballot),
+    ...count,
+    threshold: ceremony.threshold,
+    trustees: trusteesUsed,
+    mix: { stages: job.mix.stages },
+    decryptionLog
+  });
+}
+
+// Mix-net counterpart of POST /tally/verify (ballot, ceremony and votes already loaded)
+function verifyMixnetTally(res, ballot, ceremony, allVotes, body) {
+  const { mix, decryptionLog } = body;
+  if (!mix || !Array.isArray(mix.stages) || mix.stages.length === 0 || !Array.isArray(decryptionLog)) {
+    return res.status(400).json({
+      ok: false,
+      error: "Missing mix or decryptionLog in request body"
+    });
+  }
+
+  const publicKey = threshold.deserializePoint(ceremony.publicKey);
+  const input = collectMixInput(ballot, allVotes, publicKey);
+
+  // 1. Every stage is a re-encryption and permutation of the one before,
+  //    starting from the vote vectors on the ledger
+  const mixValid = shuffle.verifyMix(publicKey, input, mix.stages);
+
+  // 2. Every mixed slot decrypts to the logged value under proven trustee shares
+  const candidates = slotCandidates(ballot, allVotes);
+  const invalidSlots = [];
+  const slotValues = mixOutput(mix).map((slots, b) => slots.map((slot, j) => {
+    const entry = decryptionLog.find(e => e && e.ballot === b && e.slot === j);
+    try {
+      const ciphertext = homomorphic.deserializeCiphertext(slot);
+      const decryptionFactor = entry && combineProvenShares(ceremony, ciphertext, entry.decryptionShares);
+      if (!decryptionFactor || decodeSlot(ciphertext, decryptionFactor, candidates) !== entry.value) {
+        throw new Error("decryption does not match the logged value");
+      }
+      return entry.value;
+    } catch (err) {
+      invalidSlots.push({ ballot: b, slot: j, error: err.message });
+      return null;
+    }
+  }));
+  const decryptionValid = invalidSlots.length === 0;
+
+  // 3. Re-counting the decrypted ballots gives the published result
+  const recount = countMixedBallots(ballot, slotValues);
+  const countValid = JSON.stringify(recount.tallies) === JSON.stringify(body.tallies) &&
+    JSON.stringify(recount.winners) === JSON.stringify(body.winners) &&
+    JSON.stringify(recount.rounds) === JSON.stringify(body.rounds);
+
+  const valid = mixValid && decryptionValid && countValid;
+  console.log(`Verification result: ${valid ? 'VALID' : 'INVALID'}`);
+  console.log(`=== VERIFICATION COMPLETE ===\n`);
+
+  return res.json({
+    ok: true,
+    ballotId: ballot.id,
+    valid,
+    mixValid,
+    decryptionValid,
+    countValid,
+    tallies: recount.tallies,
+    winners: recount.winners,
+    invalidSlots
+  });
+}
 
 /**
  * POST /api/v1/tally/setup/:ballotId
- * Setup homomorphic encryption for a ballot
- * Generates ElGamal keypair
+ * Start the trustee key ceremony for a ballot (or restart a failed one)
+ * Operator only (Authorization: Bearer <ADMIN_API_TOKEN>).
+ *
+ * The roster always comes from trustees.json (TRUSTEES_FILE):
+ * {
+ *   "threshold": 2,
+ *   "trustees": [
+ *     { "id": "trustee1", "publicKey": { "x": "...", "y": "..." } },
+ *     ...
+ *   ]
+ * }
+ * publicKey is the trustee's identity key (printed by `node trustee.js init`).
  */
-router.post("/setup/:ballotId", async (req, res) => {
+router.post("/setup/:ballotId", requireAdmin(), async (req, res) => {
   try {
     const { ballotId } = req.params;
+    const { fabricClient, ballotRoutes } = res.locals;
 
     console.log(`\n=== TALLY SETUP FOR BALLOT ${ballotId} ===`);
 
-    // Generate ElGamal keypair
-    const keypair = homomorphic.generateKeypair();
-    
-    console.log("ElGamal keypair generated");
-    console.log(`Public key: ${keypair.publicKey.getX().toString(16).slice(0, 16)}...`);
-    console.log(`Private key: ${keypair.privateKey.toString(16).slice(0, 16)}... (KEEP SECRET)`);
+    const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({
+        ok: false,
+        error: `Ballot not found: ${ballotId}`
+      });
+    }
+
+    const existing = ceremonyStore.loadCeremony(ballotId);
+    if (existing && existing.status !== "failed") {
+      return res.status(409).json({
+        ok: false,
+        error: `Trustee ceremony already exists for this ballot (status: ${existing.status})`
+      });
+    }
+
+    const roster = loadTrusteeRoster();
+    if (!roster || !Array.isArray(roster.trustees) || roster.trustees.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `No trustee roster configured — create ${path.basename(TRUSTEES_FILE)}`
+      });
+    }
+
+    const t = Number(roster.threshold);
+    const n = roster.trustees.length;
+    if (!Number.isInteger(t) || t < 1 || t > n) {
+      return res.status(400).json({
+        ok: false,
+        error: `Threshold must be an integer between 1 and ${n}`
+      });
+    }
 
-    // Store keypair (in production, private key should be in HSM or distributed)
-    ballotKeys.set(ballotId, keypair);
+    const ids = roster.trustees.map(tr => tr.id);
+    if (ids.some(id => !id) || new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        ok: false,
+        error: "Every trustee needs a unique id"
+      });
+    }
+
+    let trustees;
+    try {
+      // Trustee indices start at 1 (the polynomial at 0 is the joint secret)
+      trustees = roster.trustees.map((tr, idx) => ({
+        id: tr.id,
+        index: idx + 1,
+        publicKey: threshold.serializePoint(threshold.deserializePoint(tr.publicKey))
+      }));
+    } catch (err) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid trustee public key: ${err.message}`
+      });
+    }
+
+    const ceremony = {
+      ballotId,
+      threshold: t,
+      trustees,
+      status: "dealing",
+      dealings: {},
+      confirmations: {},
+      complaints: [],
+      publicKey: null,
+      verificationKeys: {},
+      decryption: null,
+      createdAt: new Date().toISOString()
+    };
+    ceremonyStore.saveCeremony(ceremony);
 
-    const serialized = homomorphic.serializeKeypair(keypair);
+    console.log(`Trustee ceremony started: ${t}-of-${n} (${ids.join(", ")})`);
 
     res.json({
       ok: true,
       ballotId,
-      publicKey: serialized.publicKey,
-      message: "Homomorphic encryption setup complete"
+      status: ceremony.status,
+      threshold: t,
+      trustees: trustees.map(tr => ({ id: tr.id, index: tr.index })),
+      message: "Trustee key ceremony started — each trustee must now run: node trustee.js deal"
     });
 
   } catch (err) {
@@ -46,28 +456,202 @@ router.post("/setup/:ballotId", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/tally/ceremony/:ballotId
+ * Public transcript of the trustee ceremony (no secrets)
+ */
+router.get("/ceremony/:ballotId", (req, res) => {
+  try {
+    const ceremony = ceremonyStore.loadCeremony(req.params.ballotId);
+    if (!ceremony) {
+      return res.status(404).json({
+        ok: false,
+        error: "No trustee ceremony for this ballot. Run /tally/setup first."
+      });
+    }
+
+    res.json({ ok: true, ceremony });
+
+  } catch (err) {
+    console.error("GET CEREMONY ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/tally/ceremony/:ballotId/dealing
+ * A trustee posts its DKG dealing (operator token and trustee signature)
+ *
+ * Body:
+ * {
+ *   "trusteeId": "trustee1",
+ *   "commitments": [{ "x", "y" }, ...],            // a_k·G, k = 0..threshold-1
+ *   "encryptedShares": { "<trusteeId>": envelope }, // f(j) encrypted to each trustee
+ *   "signature": "..."                              // over { ballotId, trusteeId, commitments, encryptedShares }
+ * }
+ */
+router.post("/ceremony/:ballotId/dealing", requireAdmin(), (req, res) => {
+  try {
+    const { ballotId } = req.params;
+    const { trusteeId, commitments, encryptedShares, signature } = req.body;
+
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony) {
+      return res.status(404).json({ ok: false, error: "No trustee ceremony for this ballot" });
+    }
+    if (ceremony.status !== "dealing") {
+      return res.status(409).json({ ok: false, error: `Ceremony is not accepting dealings (status: ${ceremony.status})` });
+    }
+
+    try {
+      authenticateTrustee(ceremony, trusteeId, { ballotId, trusteeId, commitments, encryptedShares }, signature);
+    } catch (err) {
+      return res.status(403).json({ ok: false, error: err.message });
+    }
+
+    if (ceremony.dealings[trusteeId]) {
+      return res.status(409).json({ ok: false, error: `Trustee ${trusteeId} has already dealt` });
+    }
+
+    if (!Array.isArray(commitments) || commitments.length !== ceremony.threshold) {
+      return res.status(400).json({
+        ok: false,
+        error: `Expected ${ceremony.threshold} commitments`
+      });
+    }
+    try {
+      commitments.forEach(threshold.deserializePoint);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: `Invalid commitment: ${err.message}` });
+    }
+
+    const missing = ceremony.trustees.filter(t => !encryptedShares || !encryptedShares[t.id]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `Missing encrypted shares for: ${missing.map(t => t.id).join(", ")}`
+      });
+    }
+
+    ceremony.dealings[trusteeId] = { commitments, encryptedShares };
+    console.log(`Dealing received from ${trusteeId} (${Object.keys(ceremony.dealings).length}/${ceremony.trustees.length})`);
+
+    if (Object.keys(ceremony.dealings).length === ceremony.trustees.length) {
+      completeDealingPhase(ceremony);
+      console.log(`All dealings received — joint public key derived, awaiting confirmations`);
+    }
+    ceremonyStore.saveCeremony(ceremony);
+
+    res.json({
+      ok: true,
+      ballotId,
+      status: ceremony.status,
+      dealings: Object.keys(ceremony.dealings).length,
+      trustees: ceremony.trustees.length
+    });
+
+  } catch (err) {
+    console.error("DEALING ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/tally/ceremony/:ballotId/confirm
+ * A trustee confirms that every share it received matches the dealer's
+ * commitments, or lists the dealers whose shares did not (operator token
+ * and trustee signature).
+ *
+ * Body:
+ * {
+ *   "trusteeId": "trustee2",
+ *   "complaints": [],          // dealer trustee IDs with invalid shares
+ *   "signature": "..."         // over { ballotId, trusteeId, complaints }
+ * }
+ */
+router.post("/ceremony/:ballotId/confirm", requireAdmin(), async (req, res) => {
+  try {
+    const { ballotId } = req.params;
+    const { trusteeId, signature } = req.body;
+    const { fabricClient } = res.locals;
+    const complaints = req.body.complaints || [];
+
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony) {
+      return res.status(404).json({ ok: false, error: "No trustee ceremony for this ballot" });
+    }
+    if (ceremony.status !== "confirming") {
+      return res.status(409).json({ ok: false, error: `Ceremony is not awaiting confirmations (status: ${ceremony.status})` });
+    }
+
+    try {
+      authenticateTrustee(ceremony, trusteeId, { ballotId, trusteeId, complaints }, signature);
+    } catch (err) {
+      return res.status(403).json({ ok: false, error: err.message });
+    }
+
+    if (complaints.length > 0) {
+      complaints.forEach(against => ceremony.complaints.push({ from: trusteeId, against }));
+      ceremony.status = "failed";
+      console.warn(`Trustee ${trusteeId} complained about: ${complaints.join(", ")} — ceremony failed`);
+    } else {
+      ceremony.confirmations[trusteeId] = true;
+      if (ceremony.trustees.every(t => ceremony.confirmations[t.id])) {
+        ceremony.status = "ready";
+        console.log(`✅ Trustee ceremony complete for ${ballotId} — joint public key is live`);
+      }
+    }
+    ceremonyStore.saveCeremony(ceremony);
+
+    // Put the joint key on the ledger: the chaincode accepts no votes before it
+    // and checks every vote's proofs against it
+    if (ceremony.status === "ready") {
+      try {
+        await fabricClient.setBallotEncryptionKey(ballotId, ceremony.publicKey);
+        console.log(`Joint public key published on-chain for ${ballotId}`);
+      } catch (err) {
+        console.warn(`Could not publish joint public key on-chain (the ballot accepts no votes until it is): ${err.message}`);
+      }
+    }
+
+    res.json({
+      ok: true,
+      ballotId,
+      status: ceremony.status,
+      confirmations: Object.keys(ceremony.confirmations).length,
+      trustees: ceremony.trustees.length
+    });
+
+  } catch (err) {
+    console.error("CONFIRM ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 /**
  * GET /api/v1/tally/publickey/:ballotId
- * Get public key for a ballot
+ * Get the joint public key for a ballot (once the trustee ceremony is complete)
  */
 router.get("/publickey/:ballotId", (req, res) => {
   try {
     const { ballotId } = req.params;
 
-    const keypair = ballotKeys.get(ballotId);
-    if (!keypair) {
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony || ceremony.status !== "ready") {
       return res.status(404).json({
         ok: false,
-        error: "No encryption key found for this ballot"
+        error: ceremony
+          ? `Trustee ceremony not complete (status: ${ceremony.status})`
+          : "No encryption key found for this ballot"
       });
     }
 
-    const serialized = homomorphic.serializeKeypair(keypair);
-
     res.json({
       ok: true,
       ballotId,
-      publicKey: serialized.publicKey
+      publicKey: ceremony.publicKey,
+      threshold: ceremony.threshold,
+      trustees: ceremony.trustees.length
     });
 
   } catch (err) {
@@ -76,10 +660,134 @@ router.get("/publickey/:ballotId", (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/tally/mix/:ballotId
+ * Run the ballot's encrypted vote vectors through the mix-net and open a
+ * decryption job for the mixed vectors (then: trustees decrypt, and
+ * POST /tally/compute with { "backend": "mixnet" } counts them).
+ * Operator only (Authorization: Bearer <ADMIN_API_TOKEN>). Mixing again
+ * replaces the previous mix, so it is refused once a trustee has posted
+ * decryption shares for it.
+ *
+ * Every stage runs on this server, so the mix hides which voteId cast which
+ * ballot from everyone except the server operator; the shuffle proofs only
+ * show the ballots were not changed. More stages add proofs, not anonymity.
+ *
+ * Body (optional): { "stages": 3 }  — number of chained shuffles (default 1)
+ */
+router.post("/mix/:ballotId", requireAdmin(), async (req, res) => {
+  try {
+    const { ballotId } = req.params;
+    const { fabricClient, ballotRoutes } = res.locals;
+    const stages = req.body && req.body.stages !== undefined ? Number(req.body.stages) : 1;
+
+    if (!Number.isInteger(stages) || stages < 1 || stages > MAX_MIX_STAGES) {
+      return res.status(400).json({
+        ok: false,
+        error: `stages must be an integer between 1 and ${MAX_MIX_STAGES}`
+      });
+    }
+
+    console.log(`\n=== MIXING BALLOT ${ballotId} (${stages} stage(s)) ===`);
+
+    const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({
+        ok: false,
+        error: `Ballot not found: ${ballotId}`
+      });
+    }
+
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony || ceremony.status !== "ready") {
+      return res.status(404).json({
+        ok: false,
+        error: "No encryption key found for this ballot. Run /tally/setup first."
+      });
+    }
+    if (ceremony.decryption && Object.keys(ceremony.decryption.shares).length > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: "Trustees have already posted decryption shares for this ballot — it can no longer be re-mixed"
+      });
+    }
+
+    const publicKey = threshold.deserializePoint(ceremony.publicKey);
+    const input = collectMixInput(ballot, await getCountedVotes(fabricClient, ballotId), publicKey);
+    if (input.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "No valid encrypted votes to mix"
+      });
+    }
+
+    const job = openMixDecryption(ceremony, input, publicKey, stages);
+
+    res.json({
+      ok: true,
+      ballotId,
+      ballots: input.length,
+      inputDigest: job.mix.inputDigest,
+      digest: job.digest,
+      stages: job.mix.stages,
+      message: "Ballots mixed — trustees can now run: node trustee.js decrypt"
+    });
+
+  } catch (err) {
+    console.error("MIX ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * GET /api/v1/tally/mix/:ballotId
+ * Published mix transcript: every stage's output and proof of shuffle
+ */
+router.get("/mix/:ballotId", (req, res) => {
+  try {
+    const ceremony = ceremonyStore.loadCeremony(req.params.ballotId);
+    if (!ceremony || !ceremony.decryption || !ceremony.decryption.mix) {
+      return res.status(404).json({
+        ok: false,
+        error: "No mix for this ballot. Run /tally/mix first."
+      });
+    }
+
+    const { mix, digest } = ceremony.decryption;
+    res.json({
+      ok: true,
+      ballotId: ceremony.ballotId,
+      inputDigest: mix.inputDigest,
+      digest,
+      stages: mix.stages
+    });
+
+  } catch (err) {
+    console.error("GET MIX ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 /**
  * POST /api/v1/tally/compute/:ballotId
  * Compute homomorphic tally for a ballot
- * Fetches all encrypted votes from blockchain and sums them
+ * Fetches all encrypted votes from blockchain and sums them, then
+ * combines the trustees' decryption shares for those sums. If fewer
+ * than `threshold` trustees have posted shares, responds with
+ * status "awaiting_shares" — trustees run `node trustee.js decrypt`.
+ *
+ * On multi-select ballots (selectionRule "upTo" / "approval") each vote
+ * adds 1 to every option it selected, so tallies are per-option
+ * approval counts and may sum to more than the number of votes.
+ *
+ * Body (optional): { "backend": "mixnet" } tallies through the mix-net
+ * instead: the vote vectors are shuffled (or the mix from POST /tally/mix
+ * is used), the trustees decrypt the shuffled vectors and each one is
+ * counted. The response adds decryptedBallots and the mix transcript.
+ *
+ * Ranked ballots (selectionRule "ranked") always use the mix-net and are
+ * counted by IRV or STV. The response adds winners and the round-by-round
+ * report (rounds); tallies are first-preference counts.
  */
 router.post("/compute/:ballotId", async (req, res) => {
   try {
@@ -89,24 +797,26 @@ router.post("/compute/:ballotId", async (req, res) => {
     console.log(`\n=== COMPUTING HOMOMORPHIC TALLY ===`);
     console.log(`Ballot ID: ${ballotId}`);
 
-    // Get ballot info
-    const ballot = ballotRoutes.getActiveBallot();
-    if (!ballot || ballot.id !== ballotId) {
-      // Try to find in history
-      console.log("Ballot not currently active, checking history...");
+    // Get ballot info (option order defines the vote vector layout)
+    const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({
+        ok: false,
+        error: `Ballot not found: ${ballotId}`
+      });
     }
 
-    // Get encryption keypair
-    const keypair = ballotKeys.get(ballotId);
-    if (!keypair) {
+    // Get the trustee ceremony (joint public key + verification keys)
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony || ceremony.status !== "ready") {
       return res.status(404).json({
         ok: false,
         error: "No encryption key found for this ballot. Run /tally/setup first."
       });
     }
 
-    // Get all votes from blockchain
-    const allVotes = await fabricClient.getAllVotes(ballotId);
+    // Get all counted votes from blockchain
+    const allVotes = await getCountedVotes(fabricClient, ballotId);
     console.log(`Total votes on blockchain for ballot: ${allVotes.length}`);
 
     if (allVotes.length === 0) {
@@ -119,6 +829,10 @@ router.post("/compute/:ballotId", async (req, res) => {
       });
     }
 
+    if (ballotSelectionRule(ballot).type === "ranked" || (req.body && req.body.backend === "mixnet")) {
+      return computeMixnetTally(res, ballot, ceremony, allVotes);
+    }
+
     // Count votes with encryption
     let encryptedVoteCount = 0;
     allVotes.forEach(vote => {
@@ -171,134 +885,94 @@ router.post("/compute/:ballotId", async (req, res) => {
       });
     }
 
-    // FIXED: True homomorphic tallying using encrypted vectors
-    // The tally is completely oblivious to individual voter choices.
-    const encryptedTallies = {};
+    const { encryptedTallies, processedCount, totalWeight } = aggregateEncryptedVotes(
+      ballot, allVotes, threshold.deserializePoint(ceremony.publicKey)
+    );
+    console.log(`Successfully processed ${processedCount} encrypted votes`);
 
-    // Initialize with null for all options
-    if (ballot) {
-      ballot.options.forEach(option => {
-        encryptedTallies[option.name] = null;
-      });
-    }
+    // Open (or reuse) the decryption job for exactly these sums.
+    // New votes change the digest, so shares for stale sums are discarded.
+    const serializedTallies = encryptedTallies.map(sum =>
+      sum === null ? null : homomorphic.serializeCiphertext(sum)
+    );
+    const digest = digestTallies(serializedTallies);
 
-    let processedCount = 0;
-    allVotes.forEach(vote => {
-      if (!vote.encryptedVote || !Array.isArray(vote.encryptedVote)) {
-        console.warn(`Vote ${vote.voteId} has invalid or legacy encrypted vote format - skipping`);
-        return;
-      }
+    if (!ceremony.decryption || ceremony.decryption.digest !== digest) {
+      ceremony.decryption = {
+        digest,
+        encryptedTallies: serializedTallies,
+        shares: {},
+        openedAt: new Date().toISOString()
+      };
+      ceremonyStore.saveCeremony(ceremony);
+      console.log(`Decryption job opened (digest ${digest.slice(0, 16)}...)`);
+    }
 
-      try {
-        // VECTOR FORMAT (True Privacy)
-        // The vote is an array of ciphertexts, one for each option
-        // We sum them element-wise
-        if (ballot && ballot.options && vote.encryptedVote.length === ballot.options.length) {
-          
-          let isValidVote = true;
-          const ciphertexts = [];
-
-          // First pass: Verify all proofs
-          for (let i = 0; i < ballot.options.length; i++) {
-            const ciphertext = homomorphic.deserializeCiphertext(vote.encryptedVote[i]);
-            ciphertexts.push(ciphertext);
-            
-            const proof = vote.encryptedVote[i].validityProof;
-            if (proof) {
-               const isValid = homomorphic.verifyValidVote(keypair.publicKey, ciphertext, proof);
-               if (!isValid) {
-                  console.warn(`  Vote ${vote.voteId} validity proof failed (perhaps encrypted with an older public key) - skipping`);
-                  isValidVote = false;
-                  break;
-               }
-            } else {
-               // Allow for testing, but warn
-               console.warn(`  Vote ${vote.voteId} missing validity proof`);
-            }
-          }
+    const postedShares = ceremony.decryption.shares;
+    const sharesReceived = Object.keys(postedShares).length;
 
-          if (isValidVote) {
-            for (let i = 0; i < ballot.options.length; i++) {
-              const optionName = ballot.options[i].name;
-              const ciphertext = ciphertexts[i];
-              
-              if (encryptedTallies[optionName] === null) {
-                encryptedTallies[optionName] = ciphertext;
-              } else {
-                encryptedTallies[optionName] = homomorphic.addCiphertexts(
-                  encryptedTallies[optionName],
-                  ciphertext
-                );
-              }
-            }
-            console.log(`  Processed vector vote ${vote.voteId}`);
-            processedCount++;
-          }
-        } else {
-          console.warn(`  Vector vote ${vote.voteId} length doesn't match ballot options - skipping`);
-        }
-      } catch (err) {
-        console.error(`Error processing vote ${vote.voteId}:`, err.message);
-      }
-    });
-
-    console.log(`Successfully processed ${processedCount} encrypted votes`);
+    if (sharesReceived < ceremony.threshold) {
+      console.log(`Awaiting trustee decryption shares: ${sharesReceived}/${ceremony.threshold}`);
+      return res.status(202).json({
+        ok: true,
+        ballotId,
+        status: "awaiting_shares",
+        digest,
+        sharesReceived,
+        threshold: ceremony.threshold,
+        encryptedVotes: processedCount,
+        message: `Waiting for ${ceremony.threshold - sharesReceived} more trustee(s) to run: node trustee.js decrypt`
+      });
+    }
 
-    // Decrypt tallies
+    // Combine trustee shares
     const tallies = {};
     const decryptionLog = [];
+    const trusteesUsed = Object.keys(postedShares);
+
+    ballot.options.forEach((option, i) => {
+      const choice = option.name;
+      const encryptedSum = encryptedTallies[i];
 
-    for (const [choice, encryptedSum] of Object.entries(encryptedTallies)) {
       if (encryptedSum === null) {
         // No votes for this choice
         tallies[choice] = 0;
+        decryptionLog.push({ choice, count: 0, encryptedSum: null });
         console.log(`\nNo votes for "${choice}"`);
-        continue;
+        return;
       }
 
-      console.log(`\nDecrypting tally for "${choice}"...`);
-      
+      console.log(`\nCombining decryption shares for "${choice}"...`);
+
       try {
-        // Decrypt: M = sum of all v_i·G for this choice
-        const M = homomorphic.decrypt(keypair.privateKey, encryptedSum);
-        
-        console.log(`  Decrypted point M for "${choice}"`);
-        console.log(`    M.x: ${M.getX().toString(16).slice(0, 32)}...`);
-        console.log(`    M.y: ${M.getY().toString(16).slice(0, 32)}...`);
-        
+        // D = x·c1 = Σ λ_j·D_j, then M = c2 − D = sum of all v_i·G for this choice
+        const shares = trusteesUsed.map(id => postedShares[id][i]);
+        const decryptionFactor = threshold.combineDecryptionFactors(shares, ceremony.threshold);
+        const M = encryptedSum.c2.add(decryptionFactor.neg());
+
         // Solve discrete log to get vote count
-        // Since each vote encrypts 1, the sum is the vote count
-        const maxExpected = allVotes.length;
+        // Each vote encrypts its voter's weight, so no sum exceeds the total weight
+        const maxExpected = totalWeight;
         const count = homomorphic.solveDiscreteLog(M, maxExpected);
-        
+
         tallies[choice] = count;
-        
+
+        // Everything an auditor needs to check count·G == c2 − x·c1
+        // without x: the combined factor plus each trustee's proven share
         decryptionLog.push({
           choice,
           count,
-          encryptedSum: homomorphic.serializeCiphertext(encryptedSum)
+          encryptedSum: serializedTallies[i],
+          decryptionFactor: threshold.serializePoint(decryptionFactor),
+          decryptionShares: trusteesUsed.map(id => ({ trusteeId: id, ...postedShares[id][i] }))
         });
-        
+
         console.log(`  ✅ Count: ${count}`);
       } catch (err) {
         console.error(`  ❌ Error decrypting "${choice}":`, err.message);
-        console.error(`  Stack:`, err.stack);
-        
-        // Try to diagnose the issue
-        try {
-          const M = homomorphic.decrypt(keypair.privateKey, encryptedSum);
-          console.log(`  Decrypted point exists, issue is in discrete log`);
-          console.log(`  Point coordinates:`, {
-            x: M.getX().toString(16),
-            y: M.getY().toString(16)
-          });
-        } catch (decryptErr) {
-          console.error(`  Decryption itself failed:`, decryptErr.message);
-        }
-        
         tallies[choice] = 0;
       }
-    }
+    });
 
     console.log(`\n✅ Tally computation complete`);
     console.log(`Final tallies:`, tallies);
@@ -307,11 +981,15 @@ router.post("/compute/:ballotId", async (req, res) => {
     res.json({
       ok: true,
       ballotId,
-      ballotTitle: ballot ? ballot.title : "Unknown",
+      ballotTitle: ballot.title,
       tallies,
       totalVotes: allVotes.length,
       encryptedVotes: processedCount,
+      totalWeight,
       method: "homomorphic",
+      selectionRule: ballotSelectionRule(ballot),
+      threshold: ceremony.threshold,
+      trustees: trusteesUsed,
       decryptionLog
     });
 
@@ -321,18 +999,147 @@ router.post("/compute/:ballotId", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/tally/decryption/:ballotId
+ * Current decryption job: the encrypted sums trustees must partially decrypt
+ * (opened by POST /tally/compute or /tally/mix). For mix-net tallies
+ * (backend "mixnet") encryptedTallies holds the slots of the mixed vectors,
+ * ballot by ballot. Trustees re-derive the job from the ledger before
+ * decrypting it (trustee.js decrypt).
+ */
+router.get("/decryption/:ballotId", (req, res) => {
+  try {
+    const ceremony = ceremonyStore.loadCeremony(req.params.ballotId);
+    if (!ceremony || !ceremony.decryption) {
+      return res.status(404).json({
+        ok: false,
+        error: "No decryption job for this ballot. Run /tally/compute first."
+      });
+    }
+
+    const { digest, encryptedTallies, shares, mix } = ceremony.decryption;
+    res.json({
+      ok: true,
+      ballotId: ceremony.ballotId,
+      backend: mix ? "mixnet" : "homomorphic",
+      digest,
+      encryptedTallies,
+      sharesReceived: Object.keys(shares),
+      threshold: ceremony.threshold
+    });
+
+  } catch (err) {
+    console.error("GET DECRYPTION ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/tally/decryption/:ballotId/share
+ * A trustee posts its partial decryptions of the current encrypted sums
+ *
+ * Body:
+ * {
+ *   "trusteeId": "trustee1",
+ *   "digest": "...",             // digest of the decryption job being answered
+ *   "shares": [ share | null ],  // one per ballot option, from partialDecrypt()
+ *   "signature": "..."           // over { ballotId, trusteeId, digest, shares }
+ * }
+ * Each share's Chaum-Pedersen proof is checked against the trustee's
+ * verification key, so a faulty trustee cannot skew the tally.
+ */
+router.post("/decryption/:ballotId/share", (req, res) => {
+  try {
+    const { ballotId } = req.params;
+    const { trusteeId, digest, shares, signature } = req.body;
+
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony || !ceremony.decryption) {
+      return res.status(404).json({ ok: false, error: "No decryption job for this ballot" });
+    }
+
+    let trustee;
+    try {
+      trustee = authenticateTrustee(ceremony, trusteeId, { ballotId, trusteeId, digest, shares }, signature);
+    } catch (err) {
+      return res.status(403).json({ ok: false, error: err.message });
+    }
+
+    const job = ceremony.decryption;
+    if (digest !== job.digest) {
+      return res.status(409).json({
+        ok: false,
+        error: "Decryption job has changed (new votes were tallied) — fetch it again"
+      });
+    }
+
+    if (!Array.isArray(shares) || shares.length !== job.encryptedTallies.length) {
+      return res.status(400).json({
+        ok: false,
+        error: `Expected ${job.encryptedTallies.length} decryption shares`
+      });
+    }
+
+    const verificationKey = threshold.deserializePoint(ceremony.verificationKeys[trusteeId]);
+    for (let i = 0; i < shares.length; i++) {
+      if (job.encryptedTallies[i] === null) continue;
+
+      const share = shares[i];
+      const ciphertext = homomorphic.deserializeCiphertext(job.encryptedTallies[i]);
+      if (!share || share.index !== trustee.index ||
+          !threshold.verifyPartialDecryption(verificationKey, ciphertext, share)) {
+        console.warn(`Rejected decryption share ${i} from ${trusteeId}: invalid proof`);
+        return res.status(400).json({
+          ok: false,
+          error: `Invalid decryption proof for option ${i}`
+        });
+      }
+    }
+
+    job.shares[trusteeId] = shares;
+    ceremonyStore.saveCeremony(ceremony);
+
+    const sharesReceived = Object.keys(job.shares).length;
+    console.log(`Decryption share accepted from ${trusteeId} (${sharesReceived}/${ceremony.threshold})`);
+
+    res.json({
+      ok: true,
+      ballotId,
+      sharesReceived,
+      threshold: ceremony.threshold,
+      ready: sharesReceived >= ceremony.threshold
+    });
+
+  } catch (err) {
+    console.error("DECRYPTION SHARE ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 /**
  * POST /api/v1/tally/verify/:ballotId
  * Verify homomorphic tally computation
- * Anyone can verify the tally is correctly computed
+ * Anyone can verify the tally is correctly computed, without any key:
+ *   1. the encrypted sums match the ciphertexts on the ledger
+ *   2. every trustee decryption share carries a valid Chaum-Pedersen proof
+ *      against that trustee's public verification key
+ *   3. count·G == c2 − x·c1, with x·c1 combined from the proven shares
+ *
+ * Body: { "decryptionLog": [...] }  (as returned by /tally/compute)
+ *
+ * Mix-net tallies (method "mixnet", always for ranked ballots) are
+ * verified from the whole /tally/compute response: every proof of shuffle
+ * is checked, starting from the vote vectors on the ledger, every mixed
+ * slot's decryption is checked as above, and the count (IRV/STV for
+ * ranked ballots) is re-run on the decrypted ballots.
  */
 router.post("/verify/:ballotId", async (req, res) => {
   try {
     const { ballotId } = req.params;
     const { decryptionLog } = req.body;
-    const { fabricClient } = res.locals;
+    const { fabricClient, ballotRoutes } = res.locals;
 
-    if (!decryptionLog) {
+    if (!Array.isArray(decryptionLog)) {
       return res.status(400).json({
         ok: false,
         error: "Missing decryptionLog in request body"
@@ -341,62 +1148,87 @@ router.post("/verify/:ballotId", async (req, res) => {
 
     console.log(`\n=== VERIFYING TALLY ===`);
 
-    // Get all votes
-    const allVotes = await fabricClient.getAllVotes(ballotId);
+    const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({
+        ok: false,
+        error: `Ballot not found: ${ballotId}`
+      });
+    }
 
-    // Recompute encrypted sums
-    const recomputedSums = {};
+    const ceremony = ceremonyStore.loadCeremony(ballotId);
+    if (!ceremony || ceremony.status !== "ready") {
+      return res.status(404).json({
+        ok: false,
+        error: "No trustee ceremony found for this ballot"
+      });
+    }
 
-    // Build hash -> name map for backward compatibility in plaintext fallback route
-    // (We keep this for the plaintext tallying only, not used for homomorphic vector verification)
-    const ballot = require('./ballot').getActiveBallot && require('./ballot').getActiveBallot();
+    const allVotes = await getCountedVotes(fabricClient, ballotId);
+    if (ballotSelectionRule(ballot).type === "ranked" || req.body.method === "mixnet") {
+      return verifyMixnetTally(res, ballot, ceremony, allVotes, req.body);
+    }
 
-    allVotes.forEach(vote => {
-      if (!vote.encryptedVote || !Array.isArray(vote.encryptedVote)) return;
+    // Recompute encrypted sums exactly as /tally/compute does
+    const { encryptedTallies } = aggregateEncryptedVotes(
+      ballot, allVotes, threshold.deserializePoint(ceremony.publicKey)
+    );
+
+    // Verify each option's tally
+    const verifications = [];
+    let allValid = true;
+
+    ballot.options.forEach((option, i) => {
+      const choice = option.name;
+      const recomputed = encryptedTallies[i];
+      const logEntry = decryptionLog.find(entry => entry && entry.choice === choice);
+
+      const result = { choice, sumMatches: false, sharesValid: false, decryptionValid: false };
 
       try {
-        // Vector format
-        if (ballot && ballot.options && vote.encryptedVote.length === ballot.options.length) {
-          for (let i = 0; i < ballot.options.length; i++) {
-            const optionName = ballot.options[i].name;
-            const ciphertext = homomorphic.deserializeCiphertext(vote.encryptedVote[i]);
-            
-            if (!recomputedSums[optionName]) {
-              recomputedSums[optionName] = ciphertext;
-            } else {
-              recomputedSums[optionName] = homomorphic.addCiphertexts(
-                recomputedSums[optionName],
-                ciphertext
-              );
-            }
-          }
+        if (!logEntry) {
+          throw new Error("Missing from decryption log");
         }
-      } catch (err) {
-        console.error(`Error in verify sum for ${vote.voteId}:`, err.message);
-      }
-    });
+        result.count = logEntry.count;
 
-    // Verify each tally
-    const verifications = [];
-    let allValid = true;
+        if (recomputed === null) {
+          // No votes: nothing was decrypted, the count must be 0
+          result.sumMatches = !logEntry.encryptedSum;
+          result.sharesValid = true;
+          result.decryptionValid = logEntry.count === 0;
+        } else {
+          const claimed = homomorphic.deserializeCiphertext(logEntry.encryptedSum);
+          result.sumMatches = claimed.c1.eq(recomputed.c1) && claimed.c2.eq(recomputed.c2);
 
-    for (const logEntry of decryptionLog) {
-      const { choice, encryptedSum } = logEntry;
-      
-      const claimed = homomorphic.deserializeCiphertext(encryptedSum);
-      const recomputed = recomputedSums[choice];
+          // Only shares whose proof checks out against the trustee's key count
+          const decryptionFactor = combineProvenShares(ceremony, recomputed, logEntry.decryptionShares);
+          result.sharesValid = decryptionFactor !== null;
 
-      const matches = recomputed && 
-        claimed.c1.eq(recomputed.c1) && 
-        claimed.c2.eq(recomputed.c2);
+          if (result.sharesValid) {
+            const published = logEntry.decryptionFactor
+              ? threshold.deserializePoint(logEntry.decryptionFactor)
+              : decryptionFactor;
+            result.decryptionValid = published.eq(decryptionFactor) &&
+              homomorphic.verifyDecryption(recomputed, logEntry.count, decryptionFactor);
+          }
+        }
+      } catch (err) {
+        console.error(`Error verifying tally for "${choice}":`, err.message);
+        result.error = err.message;
+      }
 
-      verifications.push({
-        choice,
-        valid: matches
-      });
+      result.valid = result.sumMatches && result.sharesValid && result.decryptionValid;
+      if (!result.valid) allValid = false;
+      verifications.push(result);
+    });
 
-      if (!matches) allValid = false;
-    }
+    // Entries for options that are not on the ballot cannot be valid
+    decryptionLog.forEach(entry => {
+      if (!entry || !ballot.options.some(option => option.name === entry.choice)) {
+        verifications.push({ choice: entry && entry.choice, valid: false, error: "Unknown ballot option" });
+        allValid = false;
+      }
+    });
 
     console.log(`Verification result: ${allValid ? 'VALID' : 'INVALID'}`);
     console.log(`=== VERIFICATION COMPLETE ===\n`);
@@ -414,28 +1246,4 @@ router.post("/verify/:ballotId", async (req, res) => {
   }
 });
 
-/**
- * GET /api/v1/tally/keys
- * Get all ballot keys (ADMIN ONLY - for debugging)
- */
-router.get("/keys", (req, res) => {
-  try {
-    const keys = {};
-    
-    for (const [ballotId, keypair] of ballotKeys.entries()) {
-      keys[ballotId] = homomorphic.serializeKeypair(keypair);
-    }
-
-    res.json({
-      ok: true,
-      count: Object.keys(keys).length,
-      keys
-    });
-
-  } catch (err) {
-    console.error("GET KEYS ERROR:", err);
-    res.status(500).json({ ok: false, error: err.message });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -7,16 +7,36 @@
 const express = require("express");
 const multer = require("multer");
 const crypto = require("crypto");
+const EC = require("elliptic").ec;
+const BN = require("bn.js");
 const homomorphic = require("../crypto/homomorphic");
+const { deriveElectionId } = require("../../chaincode/identity/lib/electionId");
+const { computeSignalHash } = require("../../chaincode/identity/lib/signalHash");
+const {
+  proveVoteSum, verifyVoteSum, allowedVoteSums, proveWeightedEntry, verifyWeightedEntry, proveRanking, verifyRanking,
+  verifyVoteProof
+} = require("../../chaincode/identity/lib/voteSumProof");
+const { ballotSelectionRule } = require("../../chaincode/identity/lib/selectionRule");
+const { getSignal } = require("../../chaincode/identity/lib/proofVerifier");
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
+const ec = new EC("secp256k1");
 
-function sha256Hash(data) {
-  if (data === undefined || data === null) {
-    throw new Error("sha256Hash() received undefined data");
+// voteChoice arrives as a single name, a repeated multipart field (array)
+// or a JSON array string — normalize to an array of option names
+function parseVoteChoices(voteChoice) {
+  if (Array.isArray(voteChoice)) {
+    return voteChoice;
   }
-  return crypto.createHash("sha256").update(String(data)).digest("hex");
+  if (typeof voteChoice === "string" && voteChoice.trim().startsWith("[")) {
+    const parsed = JSON.parse(voteChoice);
+    if (!Array.isArray(parsed)) {
+      throw new Error("voteChoice must be an option name or an array of option names");
+    }
+    return parsed;
+  }
+  return [voteChoice];
 }
 
 function deriveKeyFromPassword(password, salt) {
@@ -43,12 +63,306 @@ function decryptPayload(encryptedPayload, password) {
   return JSON.parse(decrypted);
 }
 
+// Steps 2-4 of casting: the ballot must be active and inside its voting window.
+// Returns the reason voting is closed, or null if it is open.
+function ballotClosedReason(ballot) {
+  if (ballot.status !== "active") {
+    return `Ballot is ${ballot.status}. Voting is not allowed.`;
+  }
+  if (ballot.startTime && new Date(ballot.startTime) > new Date()) {
+    return "Ballot has not started yet";
+  }
+  if (ballot.endTime && new Date(ballot.endTime) < new Date()) {
+    return "Ballot has expired";
+  }
+  return null;
+}
+
+// Step 5 of casting: validate vote choices against ballot options and selection rule.
+// Returns { voteChoices, selectionRule }, or { error } holding the 400 response body.
+function checkVoteChoices(ballot, voteChoice) {
+  const validOptions = ballot.options.map(o => o.name);
+  let voteChoices;
+  try {
+    voteChoices = parseVoteChoices(voteChoice);
+  } catch (err) {
+    return { error: { ok: false, error: `Invalid voteChoice: ${err.message}` } };
+  }
+
+  const invalidChoice = voteChoices.find(choice => !validOptions.includes(choice));
+  if (invalidChoice !== undefined) {
+    return {
+      error: {
+        ok: false,
+        error: `Invalid vote choice. Must be one of: ${validOptions.join(", ")}`,
+        validOptions
+      }
+    };
+  }
+
+  if (new Set(voteChoices).size !== voteChoices.length) {
+    return { error: { ok: false, error: "Duplicate vote choices" } };
+  }
+
+  const selectionRule = ballotSelectionRule(ballot);
+  if (voteChoices.length < selectionRule.minSelections || voteChoices.length > selectionRule.maxSelections) {
+    return {
+      error: {
+        ok: false,
+        error: selectionRule.minSelections === selectionRule.maxSelections
+          ? `This ballot requires exactly ${selectionRule.maxSelections} choice(s)`
+          : `This ballot allows between ${selectionRule.minSelections} and ${selectionRule.maxSelections} choices`,
+        selectionRule
+      }
+    };
+  }
+
+  return { voteChoices, selectionRule };
+}
+
+// Joint ElGamal public key of the ballot's trustee ceremony, or null if the
+// ceremony is not complete yet
+async function fetchBallotPublicKey(ballotId) {
+  const axios = require("axios");
+  const pkResponse = await axios.get(
+    `http://localhost:${process.env.PORT || 3000}/api/v1/tally/publickey/${ballotId}`,
+    { validateStatus: status => status === 200 || status === 404 }
+  );
+  if (!pkResponse.data || !pkResponse.data.ok || !pkResponse.data.publicKey) {
+    return null;
+  }
+  return ec.curve.point(
+    new BN(pkResponse.data.publicKey.x, 16),
+    new BN(pkResponse.data.publicKey.y, 16)
+  );
+}
+
+/**
+ * Homomorphic encryption of the vote vector with its validity proofs.
+ * Selection ballots: entry j encrypts the voter's weight if option j is chosen, else 0,
+ * plus a sum proof for the selection rule. Ranked ballots: slot j encrypts the 1-based
+ * index of the j-th choice (0 = unranked), plus a ranking proof.
+ * @returns {{ encryptedVote: Object[], sumProof: Object, plaintext: number[], randomness: string[] }}
+ *   randomness holds each entry's r (hex) — only ever revealed by a Benaloh audit
+ */
+function encryptVoteVector(ballot, publicKey, voteChoices, weight) {
+  const validOptions = ballot.options.map(o => o.name);
+
+  if (ballotSelectionRule(ballot).type === "ranked") {
+    const slotValues = ballot.options.map((_, j) =>
+      j < voteChoices.length ? validOptions.indexOf(voteChoices[j]) + 1 : 0
+    );
+    const ciphers = slotValues.map(value => homomorphic.encrypt(publicKey, value));
+    const vector = ciphers.map(cipher => homomorphic.serializeCiphertext(cipher));
+
+    const rankingProof = proveRanking(publicKey, vector, slotValues, ciphers.map(cipher => cipher.r));
+    if (!verifyRanking(publicKey, vector, rankingProof)) {
+      throw new Error("Ranking slot ZKP failed local verification");
+    }
+
+    return {
+      encryptedVote: vector,
+      sumProof: rankingProof,
+      plaintext: slotValues,
+      randomness: ciphers.map(cipher => cipher.r.toString(16))
+    };
+  }
+
+  const plaintext = [];
+  const entryRandomness = [];
+  let randomness = new BN(0);
+  const vector = ballot.options.map(option => {
+    const voteValue = voteChoices.includes(option.name) ? weight : 0;
+    const cipher = homomorphic.encrypt(publicKey, voteValue);
+    randomness = randomness.add(cipher.r);
+    plaintext.push(voteValue);
+    entryRandomness.push(cipher.r.toString(16));
+    const serialized = homomorphic.serializeCiphertext(cipher);
+
+    // Each entry is 0 or the voter's weight (0 or 1 for unweighted voters)
+    let validityProof;
+    let proofValid;
+    if (weight === 1) {
+      validityProof = homomorphic.proveValidVote(publicKey, cipher, voteValue, cipher.r);
+      proofValid = homomorphic.verifyValidVote(publicKey, cipher, validityProof);
+    } else {
+      validityProof = proveWeightedEntry(publicKey, serialized, voteValue, cipher.r, weight);
+      proofValid = verifyWeightedEntry(publicKey, serialized, validityProof, weight);
+    }
+    if (!proofValid) {
+      throw new Error(`Vote validity ZKP failed local verification for option ${option.name}`);
+    }
+
+    serialized.validityProof = validityProof;
+    return serialized;
+  });
+
+  // Also prove the number selected is within the ballot's rule (sum = weight × selections)
+  const allowedSums = allowedVoteSums(ballot, weight);
+  const sumProof = proveVoteSum(publicKey, vector, voteChoices.length * weight, randomness, allowedSums);
+  if (!verifyVoteSum(publicKey, vector, sumProof, allowedSums)) {
+    throw new Error("Vote sum ZKP failed local verification");
+  }
+
+  return { encryptedVote: vector, sumProof, plaintext, randomness: entryRandomness };
+}
+
+// Check a vote vector encrypted by the voter's browser before proving over it:
+// one entry per option, every selection entry with its 0-or-weight proof, and
+// the sum (or ranking) proof for the ballot's rule.
+// Returns the reason the vote is rejected, or null if it is well-formed.
+function checkEncryptedVote(ballot, publicKey, encryptedVote, sumProof, weight) {
+  if (!Array.isArray(encryptedVote) || encryptedVote.length !== ballot.options.length) {
+    return `encryptedVote must have one entry per ballot option (${ballot.options.length})`;
+  }
+
+  const ranked = ballotSelectionRule(ballot).type === "ranked";
+  if (!ranked) {
+    const badEntry = encryptedVote.findIndex(entry => {
+      try {
+        if (!entry.validityProof) return true;
+        return weight === 1
+          ? !homomorphic.verifyValidVote(publicKey, homomorphic.deserializeCiphertext(entry), entry.validityProof)
+          : !verifyWeightedEntry(publicKey, entry, entry.validityProof, weight);
+      } catch (err) {
+        return true;
+      }
+    });
+    if (badEntry !== -1) {
+      return `validity proof missing or invalid for option ${ballot.options[badEntry].name}`;
+    }
+  }
+
+  if (!verifyVoteProof(ballot, publicKey, encryptedVote, sumProof, weight)) {
+    return ranked ? "ranking proof missing or invalid" : `sum proof missing or invalid (voter weight ${weight})`;
+  }
+  return null;
+}
+
+// Option names encoded by an audited plaintext vector (inverse of encryptVoteVector)
+function decodeVotePlaintext(ballot, plaintext) {
+  if (ballotSelectionRule(ballot).type === "ranked") {
+    return plaintext
+      .filter(value => value > 0)
+      .map(value => ballot.options[value - 1] ? ballot.options[value - 1].name : null);
+  }
+  return ballot.options.filter((_, j) => plaintext[j] > 0).map(option => option.name);
+}
+
+// The tracking code shown to the voter is the signalHash of the encrypted ballot:
+// the same value the SNARK proof commits to and the chaincode recomputes on cast
+function trackingCodeOf(signalHash) {
+  return signalHash.toString(16).padStart(62, "0");
+}
+
+// The vote a re-vote replaced, from the nullifier's history on the ledger.
+// That history is public (GET /vote/history/:nullifier), and so is the
+// nullifier on every vote record: anyone who knows it sees the re-vote.
+async function supersededVoteId(fabricClient, ballot, nullifier) {
+  if (!ballot.allowMultipleVotes) {
+    return null;
+  }
+  const { history } = await fabricClient.getVoteHistory(nullifier);
+  return history.length > 1 ? history[history.length - 2].voteId : null;
+}
+
+// ============================
+// Benaloh cast-or-audit: prepared ballots
+// ============================
+
+const PREPARED_BALLOT_TTL_MS = 15 * 60 * 1000;
+
+// preparedId → encrypted ballot awaiting cast or audit. Kept in memory only:
+// after a restart the voter simply prepares a new ballot.
+const preparedBallots = new Map();
+
+function getPreparedBallot(preparedId) {
+  const now = Date.now();
+  for (const [id, prepared] of preparedBallots) {
+    if (prepared.expiresAt <= now) {
+      preparedBallots.delete(id);
+    }
+  }
+  return preparedBallots.get(preparedId) || null;
+}
+
+// Freeze the voter set of a ballot whose startTime has passed but that
+// nobody has opened yet, so proofs can be built over its snapshot
+async function ensureBallotOpen(fabricClient, ballot) {
+  if (!ballot.eligibilitySnapshot) {
+    const opened = await fabricClient.openBallot(ballot.id);
+    ballot.eligibilitySnapshot = opened.eligibilitySnapshot;
+  }
+  return ballot;
+}
+
+// The frozen tree a ballot's proofs must use for one modality and group
+// (groupId null = the global voter tree), or undefined if that tree is not
+// part of the ballot's voter set
+function snapshotTree(ballot, biometricMode, groupId = null) {
+  return ballot.eligibilitySnapshot.trees
+    .find(t => t.biometricType === biometricMode && t.groupId === groupId);
+}
+
+// Commitments a vote proof for this ballot is taken over: the global tree
+// of the modality, or — for a ballot restricted to eligibility groups — the
+// tree of the first listed group holding the voter's commitment. Trees are
+// append-only, so the ballot's snapshot is the first leafCount commitments.
+// Returns null if the voter is not in the ballot's (snapshot) voter set.
+async function eligibleCommitments(fabricClient, ballot, biometricMode, commitment) {
+  const groups = ballot.eligibilityGroups || [];
+  const sources = groups.length > 0 ? groups : [null];
+  for (const groupId of sources) {
+    let commitments;
+    if (groupId) {
+      commitments = await fabricClient.getGroupCommitments(groupId, biometricMode);
+    } else {
+      commitments = biometricMode === "face"
+        ? await fabricClient.getCommitments()
+        : await fabricClient.getIrisCommitments();
+    }
+    const snapshot = snapshotTree(ballot, biometricMode, groupId);
+    commitments = snapshot ? commitments.slice(0, snapshot.leafCount) : [];
+    if (commitments.some(c => BigInt(c) === commitment)) {
+      return commitments;
+    }
+  }
+  return null;
+}
+
+// Voters a vote hides among: the leaves of the one snapshot tree its proof
+// was built over — vote records publish that tree's root and modality, so
+// the other trees of the ballot do not add to it
+function anonymitySetSize(ballot, biometricMode, merkleRoot) {
+  const tree = ballot.eligibilitySnapshot.trees
+    .find(t => t.biometricType === biometricMode && BigInt(t.root).toString() === merkleRoot);
+  return tree ? tree.leafCount : null;
+}
+
+// Every Merkle root a vote proof for this ballot may use (see eligibleCommitments)
+function eligibleRoots(ballot, biometricMode) {
+  return ballot.eligibilitySnapshot.trees
+    .filter(t => t.biometricType === biometricMode)
+    .map(t => t.root);
+}
+
+const NOT_ELIGIBLE = {
+  ok: false,
+  error: "You are not in this ballot's voter set — not a member of its eligibility groups, or registered after it opened",
+  code: "NOT_ELIGIBLE"
+};
+
 /**
  * POST /api/v1/vote
  * Cast anonymous vote using:
  *   1. ZK-SNARK proof (Face: cosine similarity | Iris: Hamming distance)
  *      + Merkle Tree membership + Nullifier
- *   2. Homomorphic encryption of vote vector
+ *   2. Homomorphic encryption of vote vector, bound to the proof via signalHash
+ *
+ * The vote must already be encrypted: the server never encrypts a plaintext
+ * choice here. Votes are encrypted in the voter's browser, or by POST
+ * /vote/prepare, where the voter can audit the server's ciphertexts (Benaloh)
+ * before casting them.
  * 
  * Body:
  * - ballotId: ID of the ballot to vote on (required)
@@ -56,15 +370,32 @@ function decryptPayload(encryptedPayload, password) {
  * - faceImg: live face photo (for face mode)
  * - irisImg: live iris photo (for iris mode)
  * - password: to decrypt QR
- * - voteChoice: the vote (must match an option in the specified ballot)
  * - biometricMode: "face" (default) or "iris"
+ * - encryptedVote, sumProof: (JSON) the vote vector and its proofs, encrypted in the
+ *   voter's browser — preferred, the server never sees the choice. The proofs are
+ *   checked against the ballot key and the voter's registered weight.
+ * - preparedId: instead of encryptedVote, cast a ballot encrypted earlier by
+ *   POST /vote/prepare
+ *
+ * The response's trackingCode identifies the cast ciphertexts; for a prepared
+ * ballot it equals the code returned by /vote/prepare. anonymitySetSize is
+ * the leaf count of the snapshot tree the proof was built over.
+ *
+ * On ballots created with allowMultipleVotes the voter may vote again until
+ * endTime; the new vote supersedes the earlier one (returned as `supersedes`).
+ * This is not a hidden re-vote: both votes carry the same public nullifier,
+ * so anyone who knows it (say, a coercer who saw the first vote cast) can
+ * see that it was replaced.
  */
 router.post(
   "/",
   upload.fields([{ name: "qrCode" }, { name: "faceImg" }, { name: "irisImg" }]),
   async (req, res) => {
     try {
-      const { password, voteChoice, biometricMode, ballotId } = req.body;
+      const {
+        password, biometricMode, ballotId, preparedId,
+        encryptedVote: encryptedVoteJSON, sumProof: sumProofJSON,
+      } = req.body;
       const mode = biometricMode || "face";
 
       const qrFile = req.files.qrCode?.[0];
@@ -77,13 +408,26 @@ router.post(
         ballotRoutes, tallyRoutes, snark, irisSnark, credentialStore,
       } = res.locals;
 
-      if (!password || !qrFile || !voteChoice || !ballotId) {
+      if (!password || !qrFile || !(preparedId || encryptedVoteJSON) || !ballotId) {
         return res.status(400).json({ 
           ok: false, 
-          error: "Missing required fields: ballotId, password, qrCode, voteChoice" 
+          error: "Missing required fields: ballotId, password, qrCode, encryptedVote (or preparedId from /vote/prepare)" 
         });
       }
 
+      // Vote vector encrypted in the browser: only ciphertexts reach the server
+      let clientVote = null;
+      if (encryptedVoteJSON) {
+        try {
+          clientVote = {
+            encryptedVote: JSON.parse(encryptedVoteJSON),
+            sumProof: sumProofJSON ? JSON.parse(sumProofJSON) : null
+          };
+        } catch (err) {
+          return res.status(400).json({ ok: false, error: `Invalid encryptedVote/sumProof JSON: ${err.message}` });
+        }
+      }
+
       if (mode === "face" && !faceFile) {
         return res.status(400).json({ ok: false, error: "Missing faceImg for face biometric mode" });
       }
@@ -94,53 +438,48 @@ router.post(
 
       console.log(`\n=== VOTE SUBMISSION START (${mode.toUpperCase()} — ZK-SNARK + Merkle + Nullifier) ===`);
       console.log("Ballot ID:", ballotId);
-      console.log("Vote choice:", voteChoice);
+      console.log("Vote:", preparedId ? `prepared ballot ${preparedId}` : "client-encrypted");
       console.log("Biometric mode:", mode);
 
       // 1. Look up the ballot by ID
-      const activeBallot = ballotRoutes.getBallotById(ballotId);
-      if (!activeBallot) {
+      const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+      if (!ballot) {
         return res.status(404).json({
           ok: false,
           error: `Ballot not found: ${ballotId}`
         });
       }
 
-      // 2. Validate ballot status
-      if (activeBallot.status !== "active") {
-        return res.status(400).json({
-          ok: false,
-          error: `Ballot is ${activeBallot.status}. Voting is not allowed.`
-        });
+      // 2-4. Validate ballot status and voting window
+      const closedReason = ballotClosedReason(ballot);
+      if (closedReason) {
+        return res.status(400).json({ ok: false, error: closedReason });
       }
 
-      // 3. Check if ballot has started
-      if (activeBallot.startTime && new Date(activeBallot.startTime) > new Date()) {
-        return res.status(400).json({
-          ok: false,
-          error: "Ballot has not started yet"
-        });
+      // A prepared ballot (POST /vote/prepare) is cast as-is; audited ones are spoiled
+      let prepared = null;
+      if (preparedId) {
+        prepared = getPreparedBallot(preparedId);
+        if (!prepared) {
+          return res.status(404).json({ ok: false, error: "Prepared ballot not found or expired — prepare it again" });
+        }
+        if (prepared.spoiled) {
+          return res.status(409).json({ ok: false, error: "This ballot was audited and is spoiled — prepare a new one to vote" });
+        }
+        if (prepared.ballotId !== ballot.id) {
+          return res.status(400).json({ ok: false, error: "Prepared ballot belongs to a different ballotId" });
+        }
       }
 
-      // 4. Check if ballot has expired
-      if (activeBallot.endTime && new Date(activeBallot.endTime) < new Date()) {
-        return res.status(400).json({
-          ok: false,
-          error: "Ballot has expired"
-        });
-      }
+      // 5. Vote choices were checked when the ballot was prepared;
+      //    client-encrypted votes are checked through their proofs in step 9
+      const selectionRule = ballotSelectionRule(ballot);
+      const voteChoices = prepared ? prepared.voteChoices : null;
 
-      // 5. Validate vote choice against ballot options
-      const validOptions = activeBallot.options.map(o => o.name);
-      if (!validOptions.includes(voteChoice)) {
-        return res.status(400).json({
-          ok: false,
-          error: `Invalid vote choice. Must be one of: ${validOptions.join(", ")}`,
-          validOptions
-        });
-      }
+      // The proof below is built over the voter set frozen when the ballot opened
+      await ensureBallotOpen(fabricClient, ballot);
 
-      console.log(`✅ Ballot validation passed: "${activeBallot.title}"`);
+      console.log(`✅ Ballot validation passed: "${ballot.title}"`);
 
       // 6. Decode and decrypt QR code
       const encryptedStr = await decodeQRCode(qrFile);
@@ -158,9 +497,53 @@ router.post(
         });
       }
 
-      // 7. Election ID from ballot
-      const electionIdHash = sha256Hash(activeBallot.id);
-      const electionId = BigInt("0x" + electionIdHash.slice(0, 32));
+      // 7. Election ID from ballot (same derivation the chaincode enforces)
+      const electionId = deriveElectionId(ballot.id);
+
+      // 8. Load the voter's SNARK credentials — the vote weight registered
+      //    with the commitment sets what each selection encrypts
+      const voterCreds = credentialStore.loadCredentials(qrData.nidHash, password, mode === "iris" ? "_iris" : "");
+      console.log(`✅ ${mode === "iris" ? "Iris" : "Face"} SNARK credentials loaded`);
+
+      const weight = Number(voterCreds.weight || 1);
+      if (weight !== 1 && selectionRule.type === "ranked") {
+        return res.status(400).json({
+          ok: false,
+          error: "Ranked ballots count every voter once; weighted voters cannot vote on them"
+        });
+      }
+
+      if (prepared && (prepared.nidHash !== qrData.nidHash || prepared.weight !== weight)) {
+        return res.status(403).json({ ok: false, error: "Prepared ballot was encrypted for a different voter" });
+      }
+
+      // 9. The encrypted vote vector
+      //    Settled before proving: the proof commits to these exact ciphertexts
+      //    (same for both face and iris modes)
+      let encryptedVoteVector;
+      let voteSumProof;
+
+      if (prepared) {
+        encryptedVoteVector = prepared.encryptedVote;
+        voteSumProof = prepared.sumProof;
+        console.log(`✅ Casting prepared ballot (tracking code ${prepared.trackingCode})`);
+      } else {
+        const publicKey = await fetchBallotPublicKey(ballot.id);
+        if (!publicKey) {
+          return res.status(400).json({ ok: false, error: "No encryption key for this ballot yet" });
+        }
+        const rejectReason = checkEncryptedVote(ballot, publicKey, clientVote.encryptedVote, clientVote.sumProof, weight);
+        if (rejectReason) {
+          return res.status(400).json({ ok: false, error: `Encrypted vote rejected: ${rejectReason}` });
+        }
+        encryptedVoteVector = clientVote.encryptedVote;
+        voteSumProof = clientVote.sumProof;
+        console.log(`✅ Client-encrypted vote verified (${encryptedVoteVector.length} entries, ${selectionRule.type === "ranked" ? "slot" : "sum"} proof)`);
+      }
+
+      // 10. signalHash binds the proof to this ballot + ciphertext vector
+      //    (the chaincode recomputes it from the submitted ciphertexts)
+      const signalHash = computeSignalHash(ballot.id, encryptedVoteVector);
 
       let snarkProofResult;
       let nullifier;
@@ -178,24 +561,28 @@ router.post(
           throw new Error("No face embedding found in QR code");
         }
 
-        // Load face SNARK credentials
-        const snarkCreds = credentialStore.loadCredentials(qrData.nidHash, password);
-        console.log("✅ Face SNARK credentials loaded");
-
-        // Get face commitments for Merkle tree
-        const commitments = await fabricClient.getCommitments();
+        // Get face commitments for Merkle tree: the ballot's snapshot (of the voter's group on restricted ballots)
+        const voterCommitment = await snark.computeCommitment(
+          BigInt(voterCreds.poseidonFaceHash),
+          BigInt(voterCreds.secretKey),
+          BigInt(weight)
+        );
+        const commitments = await eligibleCommitments(fabricClient, ballot, "face", voterCommitment);
+        if (!commitments) {
+          return res.status(403).json(NOT_ELIGIBLE);
+        }
         const commitmentsBigInt = commitments.map((c) => BigInt(c));
         console.log(`✅ Fetched ${commitments.length} face commitments for Merkle tree`);
 
         // Compute nullifier for double-vote check
         nullifier = await snark.computeNullifier(
-          BigInt(snarkCreds.secretKey),
+          BigInt(voterCreds.secretKey),
           electionId
         );
 
-        // Early double-vote check
+        // Early double-vote check (re-voting ballots replace the earlier vote instead)
         const alreadyVoted = await fabricClient.hasVoted(nullifier.toString());
-        if (alreadyVoted) {
+        if (alreadyVoted && !ballot.allowMultipleVotes) {
           return res.status(403).json({
             ok: false,
             error: "Double voting detected - you have already cast a vote in this election",
@@ -209,10 +596,13 @@ router.post(
           faceLogin,
           registeredEmbedding,
           qrData.salt,
-          BigInt(snarkCreds.poseidonFaceHash),
-          BigInt(snarkCreds.secretKey),
+          BigInt(voterCreds.poseidonFaceHash),
+          BigInt(voterCreds.secretKey),
           commitmentsBigInt,
-          electionId
+          electionId,
+          signalHash,
+          ballot.biometricPolicy,
+          BigInt(weight)
         );
 
         if (!snarkProofResult.isValid) {
@@ -234,29 +624,33 @@ router.post(
         const liveIrisResult = await getIrisCode(irisFile);
         console.log("✅ Live iris code extracted (quality:", liveIrisResult.quality, ")");
 
-        // Load iris SNARK credentials (with _iris suffix)
-        const irisCreds = credentialStore.loadCredentials(qrData.nidHash, password, "_iris");
-        console.log("✅ Iris SNARK credentials loaded");
-
-        const registeredIrisCode256 = irisCreds.irisCode256;
+        const registeredIrisCode256 = voterCreds.irisCode256;
         if (!registeredIrisCode256) {
           throw new Error("No iris code found in credential store");
         }
 
-        // Get iris commitments for independent Merkle tree
-        const irisCommitments = await fabricClient.getIrisCommitments();
+        // Get iris commitments for independent Merkle tree: the ballot's snapshot (of the voter's group on restricted ballots)
+        const voterCommitment = await irisSnark.computeIrisCommitment(
+          BigInt(voterCreds.poseidonIrisHash),
+          BigInt(voterCreds.secretKey),
+          BigInt(weight)
+        );
+        const irisCommitments = await eligibleCommitments(fabricClient, ballot, "iris", voterCommitment);
+        if (!irisCommitments) {
+          return res.status(403).json(NOT_ELIGIBLE);
+        }
         const irisCommitmentsBigInt = irisCommitments.map((c) => BigInt(c));
         console.log(`✅ Fetched ${irisCommitments.length} iris commitments for Merkle tree`);
 
         // Compute nullifier for double-vote check
         nullifier = await irisSnark.computeIrisNullifier(
-          BigInt(irisCreds.secretKey),
+          BigInt(voterCreds.secretKey),
           electionId
         );
 
-        // Early double-vote check
+        // Early double-vote check (re-voting ballots replace the earlier vote instead)
         const alreadyVoted = await fabricClient.hasVoted(nullifier.toString());
-        if (alreadyVoted) {
+        if (alreadyVoted && !ballot.allowMultipleVotes) {
           return res.status(403).json({
             ok: false,
             error: "Double voting detected - you have already cast a vote in this election",
@@ -271,10 +665,13 @@ router.post(
           liveIrisResult.noiseMask,
           registeredIrisCode256,
           qrData.salt,
-          BigInt(irisCreds.poseidonIrisHash),
-          BigInt(irisCreds.secretKey),
+          BigInt(voterCreds.poseidonIrisHash),
+          BigInt(voterCreds.secretKey),
           irisCommitmentsBigInt,
-          electionId
+          electionId,
+          signalHash,
+          ballot.biometricPolicy,
+          BigInt(weight)
         );
 
         if (!snarkProofResult.isValid) {
@@ -291,51 +688,13 @@ router.post(
         return res.status(400).json({ ok: false, error: `Invalid biometricMode: ${mode}` });
       }
 
-      // =====================================================
-      // COMMON: Homomorphic encryption + blockchain submission
-      // (Same for both face and iris modes)
-      // =====================================================
-
-      const EC = require("elliptic").ec;
-      const BN = require("bn.js");
-      const ec = new EC("secp256k1");
-
-      let encryptedVoteVector = null;
-      
-      try {
-        const axios = require('axios');
-        const pkResponse = await axios.get(
-          `http://localhost:${process.env.PORT || 3000}/api/v1/tally/publickey/${activeBallot.id}`
-        );
-        
-        if (pkResponse.data && pkResponse.data.ok && pkResponse.data.publicKey) {
-          const publicKey = ec.curve.point(
-            new BN(pkResponse.data.publicKey.x, 16),
-            new BN(pkResponse.data.publicKey.y, 16)
-          );
-          
-          encryptedVoteVector = activeBallot.options.map(option => {
-            const voteValue = (option.name === voteChoice) ? 1 : 0;
-            const cipher = homomorphic.encrypt(publicKey, voteValue);
-            const validityProof = homomorphic.proveValidVote(publicKey, cipher, voteValue, cipher.r);
-            
-            const proofValid = homomorphic.verifyValidVote(publicKey, cipher, validityProof);
-            if (!proofValid) {
-              throw new Error(`Vote validity ZKP failed local verification for option ${option.name}`);
-            }
-            
-            const serialized = homomorphic.serializeCiphertext(cipher);
-            serialized.validityProof = validityProof;
-            return serialized;
-          });
-          
-          console.log(`✅ Vote encrypted as vector of size ${encryptedVoteVector.length}`);
-        } else {
-          console.warn("No encryption key found for ballot - vote will not be encrypted");
-          console.warn("   Run: POST /api/v1/tally/setup/" + activeBallot.id);
+      // Claim the prepared ballot before submitting so it cannot be audited
+      // (revealing r) once it is on its way to the ledger
+      if (prepared) {
+        if (prepared.spoiled) {
+          return res.status(409).json({ ok: false, error: "This ballot was audited and is spoiled — prepare a new one to vote" });
         }
-      } catch (err) {
-        console.warn("Could not encrypt vote:", err.message);
+        preparedBallots.delete(preparedId);
       }
 
       // Submit vote to blockchain with SNARK proof + nullifier
@@ -344,21 +703,31 @@ router.post(
         snarkProofResult.publicSignals,
         nullifier.toString(),
         encryptedVoteVector,
-        ballotId
+        ballotId,
+        voteSumProof
       );
 
+      const supersedes = await supersededVoteId(fabricClient, ballot, nullifier.toString());
+
       console.log("✅ Vote cast on blockchain");
       console.log("Vote ID:", voteResult.voteId);
+      if (supersedes) {
+        console.log("Re-vote: supersedes", supersedes);
+      }
       console.log(`=== VOTE SUBMISSION COMPLETE (${mode.toUpperCase()} — ZK-SNARK + Merkle + Nullifier) ===\n`);
 
       res.json({
         ok: true,
         isMatch: true,
         voteId: voteResult.voteId,
-        voteChoice,
-        ballotId: activeBallot.id,
+        supersedes,
+        trackingCode: trackingCodeOf(signalHash),
+        voteChoices,
+        ballotId: ballot.id,
         biometricMode: mode,
-        ballotTitle: activeBallot.title,
+        weight,
+        anonymitySetSize: anonymitySetSize(ballot, mode, getSignal(snarkProofResult.publicSignals, mode, "merkleRoot")),
+        ballotTitle: ballot.title,
         timestamp: voteResult.timestamp,
         zkp: {
           snarkProof: true,
@@ -389,6 +758,380 @@ router.post(
   }
 );
 
+/**
+ * POST /api/v1/vote/proof
+ * Cast a vote proven in the voter's browser: biometrics, the QR embedding and
+ * the plaintext choice never reach the server. The server verifies the
+ * pre-built Groth16 proof and its public signals, then calls castVote (the
+ * chaincode re-checks everything on endorsement).
+ *
+ * Body (JSON):
+ * - ballotId
+ * - biometricMode: "face" (default) or "iris" — selects the verification key
+ * - proof, publicSignals: snarkjs groth16 output
+ * - nullifier: must equal the proof's nullifier signal
+ * - encryptedVote, sumProof: the browser-encrypted vote vector and its proofs
+ *   (the proof's signalHash must commit to them)
+ */
+router.post("/proof", async (req, res) => {
+  try {
+    const { ballotId, proof, publicSignals, nullifier, encryptedVote, sumProof } = req.body;
+    const mode = req.body.biometricMode || "face";
+    const { fabricClient, ballotRoutes, snark, irisSnark } = res.locals;
+
+    if (!ballotId || !proof || !Array.isArray(publicSignals) || !nullifier || !Array.isArray(encryptedVote)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing required fields: ballotId, proof, publicSignals, nullifier, encryptedVote"
+      });
+    }
+    if (mode !== "face" && mode !== "iris") {
+      return res.status(400).json({ ok: false, error: `Invalid biometricMode: ${mode}` });
+    }
+
+    const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({ ok: false, error: `Ballot not found: ${ballotId}` });
+    }
+    const closedReason = ballotClosedReason(ballot);
+    if (closedReason) {
+      return res.status(400).json({ ok: false, error: closedReason });
+    }
+
+    // 1. Groth16 proof against the ballot's biometric policy
+    let isValid = false;
+    try {
+      isValid = mode === "face"
+        ? await snark.verifyProof(proof, publicSignals, ballot.biometricPolicy)
+        : await irisSnark.verifyIrisProof(proof, publicSignals, ballot.biometricPolicy);
+    } catch (err) {
+      isValid = false;
+    }
+    if (!isValid) {
+      return res.status(400).json({ ok: false, error: `${mode === "face" ? "Face" : "Iris"} ZK-SNARK proof verification failed` });
+    }
+
+    // 2. Public signals: this ballot, these ciphertexts, this nullifier, a root the ledger knows
+    const signal = name => getSignal(publicSignals, mode, name);
+    if (signal("electionId") !== deriveElectionId(ballot.id).toString()) {
+      return res.status(400).json({ ok: false, error: "Proof was generated for a different ballot" });
+    }
+    if (signal("signalHash") !== computeSignalHash(ballot.id, encryptedVote).toString()) {
+      return res.status(400).json({ ok: false, error: "Proof does not commit to the submitted encrypted vote" });
+    }
+    if (signal("nullifier") !== BigInt(nullifier).toString()) {
+      return res.status(400).json({ ok: false, error: "nullifier does not match the proof" });
+    }
+
+    await ensureBallotOpen(fabricClient, ballot);
+    if (!eligibleRoots(ballot, mode).some(root => BigInt(root).toString() === signal("merkleRoot"))) {
+      return res.status(400).json({ ok: false, error: "Proof uses a Merkle root this ballot does not accept — prove against the ballot's eligibility snapshot" });
+    }
+
+    // 3. Encrypted vote proofs, at the weight the SNARK binds to the voter
+    const weight = Number(signal("weight"));
+    const publicKey = await fetchBallotPublicKey(ballot.id);
+    if (!publicKey) {
+      return res.status(400).json({ ok: false, error: "No encryption key for this ballot yet" });
+    }
+    const rejectReason = checkEncryptedVote(ballot, publicKey, encryptedVote, sumProof, weight);
+    if (rejectReason) {
+      return res.status(400).json({ ok: false, error: `Encrypted vote rejected: ${rejectReason}` });
+    }
+
+    // Early double-vote check (re-voting ballots replace the earlier vote instead)
+    const alreadyVoted = await fabricClient.hasVoted(signal("nullifier"));
+    if (alreadyVoted && !ballot.allowMultipleVotes) {
+      return res.status(403).json({
+        ok: false,
+        error: "Double voting detected - you have already cast a vote in this election",
+        code: "DOUBLE_VOTE"
+      });
+    }
+
+    const voteResult = await fabricClient.castVote(
+      proof,
+      publicSignals,
+      signal("nullifier"),
+      encryptedVote,
+      ballot.id,
+      sumProof
+    );
+
+    console.log(`✅ Browser-proven ${mode} vote cast on blockchain (Vote ID: ${voteResult.voteId})`);
+
+    res.json({
+      ok: true,
+      voteId: voteResult.voteId,
+      supersedes: await supersededVoteId(fabricClient, ballot, signal("nullifier")),
+      trackingCode: trackingCodeOf(computeSignalHash(ballot.id, encryptedVote)),
+      ballotId: ballot.id,
+      biometricMode: mode,
+      weight,
+      anonymitySetSize: anonymitySetSize(ballot, mode, signal("merkleRoot")),
+      ballotTitle: ballot.title,
+      timestamp: voteResult.timestamp,
+      message: `Vote cast with a ${mode.toUpperCase()} ZK-SNARK proof generated on the voter's device`
+    });
+
+  } catch (err) {
+    console.error("PROOF VOTE ERROR:", err);
+    if (err.message && err.message.includes("already voted")) {
+      return res.status(403).json({
+        ok: false,
+        error: "Double voting detected - you have already cast a vote",
+        code: "DOUBLE_VOTE"
+      });
+    }
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/vote/prepare
+ * Benaloh cast-or-audit, step 1: encrypt the vote vector without casting it.
+ * Returns the encrypted ballot and its tracking code. The voter then either
+ *   - casts it: POST /api/v1/vote with preparedId (plus the usual biometric), or
+ *   - audits it: POST /api/v1/vote/audit/:preparedId, which reveals the
+ *     encryption randomness and spoils the ballot (prepare again to vote)
+ * Prepared ballots expire after 15 minutes.
+ *
+ * The server sees the plaintext here; it is meant for clients that cannot encrypt
+ * themselves. The web frontend encrypts in the browser (encryptedVote on POST /vote)
+ * and audits its own ballots through POST /vote/audit/verify.
+ *
+ * This is the only place the server encrypts a plaintext choice, so every
+ * server-encrypted vote can be audited before it is cast.
+ *
+ * No session token: this route sees the voter's nidHash (from the QR) and
+ * plaintext choice, and a login pseudonym alongside them would let the
+ * server link the voter's logins to this ballot. Nothing is cast here —
+ * casting a prepared ballot still takes the voter's biometric SNARK.
+ *
+ * Body: ballotId, qrCode, password, biometricMode (as for POST /vote, minus the
+ * live biometric — the QR only supplies the voter's registered weight), and
+ * voteChoice: an option name; for multi-select ballots an array of options
+ * (repeat the field or send a JSON array); for ranked ballots the array in
+ * order of preference
+ */
+router.post(
+  "/prepare",
+  upload.fields([{ name: "qrCode" }]),
+  async (req, res) => {
+    try {
+      const { password, voteChoice, biometricMode, ballotId } = req.body;
+      const mode = biometricMode || "face";
+      const qrFile = req.files?.qrCode?.[0];
+      const { fabricClient, decodeQRCode, ballotRoutes, credentialStore } = res.locals;
+
+      if (!password || !qrFile || !voteChoice || !ballotId) {
+        return res.status(400).json({
+          ok: false,
+          error: "Missing required fields: ballotId, password, qrCode, voteChoice"
+        });
+      }
+
+      const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+      if (!ballot) {
+        return res.status(404).json({ ok: false, error: `Ballot not found: ${ballotId}` });
+      }
+
+      const closedReason = ballotClosedReason(ballot);
+      if (closedReason) {
+        return res.status(400).json({ ok: false, error: closedReason });
+      }
+
+      const choiceCheck = checkVoteChoices(ballot, voteChoice);
+      if (choiceCheck.error) {
+        return res.status(400).json(choiceCheck.error);
+      }
+      const { voteChoices, selectionRule } = choiceCheck;
+
+      const qrData = decryptPayload(await decodeQRCode(qrFile), password);
+      const qrMode = qrData.biometricMode || "face";
+      if (qrMode !== mode) {
+        return res.status(400).json({
+          ok: false,
+          error: `QR code was registered with "${qrMode}" biometric but vote mode is "${mode}". Please use the correct mode.`,
+        });
+      }
+
+      const voterCreds = credentialStore.loadCredentials(qrData.nidHash, password, mode === "iris" ? "_iris" : "");
+      const weight = Number(voterCreds.weight || 1);
+      if (weight !== 1 && selectionRule.type === "ranked") {
+        return res.status(400).json({
+          ok: false,
+          error: "Ranked ballots count every voter once; weighted voters cannot vote on them"
+        });
+      }
+
+      const publicKey = await fetchBallotPublicKey(ballot.id);
+      if (!publicKey) {
+        return res.status(400).json({
+          ok: false,
+          error: `No encryption key for this ballot yet — run POST /api/v1/tally/setup/${ballot.id}`
+        });
+      }
+
+      const encrypted = encryptVoteVector(ballot, publicKey, voteChoices, weight);
+      const trackingCode = trackingCodeOf(computeSignalHash(ballot.id, encrypted.encryptedVote));
+      const preparedId = crypto.randomBytes(16).toString("hex");
+      const expiresAt = Date.now() + PREPARED_BALLOT_TTL_MS;
+
+      getPreparedBallot(preparedId); // drops expired entries
+      preparedBallots.set(preparedId, {
+        ballotId: ballot.id,
+        nidHash: qrData.nidHash,
+        weight,
+        voteChoices,
+        encryptedVote: encrypted.encryptedVote,
+        sumProof: encrypted.sumProof,
+        plaintext: encrypted.plaintext,
+        randomness: encrypted.randomness,
+        trackingCode,
+        spoiled: false,
+        expiresAt
+      });
+
+      console.log(`✅ Ballot prepared for "${ballot.title}" (tracking code ${trackingCode})`);
+
+      res.json({
+        ok: true,
+        preparedId,
+        ballotId: ballot.id,
+        trackingCode,
+        encryptedVote: encrypted.encryptedVote,
+        sumProof: encrypted.sumProof,
+        publicKey: { x: publicKey.getX().toString(16), y: publicKey.getY().toString(16) },
+        expiresAt: new Date(expiresAt).toISOString()
+      });
+
+    } catch (err) {
+      console.error("PREPARE VOTE ERROR:", err);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/vote/audit/verify
+ * Check an audited ballot: re-encrypt every entry with the revealed randomness
+ * under the ballot's public key, recompute the tracking code, and decode the
+ * plaintext back to option names. Needs no secrets, so the voter can run it
+ * (or repeat it independently) on another device.
+ *
+ * Body (JSON): ballotId, encryptedVote, plaintext, randomness, trackingCode, voteChoices
+ * — i.e. the response of POST /vote/audit/:preparedId
+ */
+router.post("/audit/verify", async (req, res) => {
+  try {
+    const { ballotId, encryptedVote, plaintext, randomness, trackingCode, voteChoices } = req.body;
+    const { fabricClient, ballotRoutes } = res.locals;
+
+    if (!ballotId || !Array.isArray(encryptedVote) || !Array.isArray(plaintext) || !Array.isArray(randomness)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing required fields: ballotId, encryptedVote, plaintext, randomness"
+      });
+    }
+
+    const ballot = await ballotRoutes.getBallotById(fabricClient, ballotId);
+    if (!ballot) {
+      return res.status(404).json({ ok: false, error: `Ballot not found: ${ballotId}` });
+    }
+
+    const entries = ballot.options.length;
+    if (encryptedVote.length !== entries || plaintext.length !== entries || randomness.length !== entries) {
+      return res.status(400).json({
+        ok: false,
+        error: `Ballot has ${entries} options; encryptedVote, plaintext and randomness must each have ${entries} entries`
+      });
+    }
+
+    const publicKey = await fetchBallotPublicKey(ballot.id);
+    if (!publicKey) {
+      return res.status(404).json({ ok: false, error: "No encryption key found for this ballot" });
+    }
+
+    const entryResults = encryptedVote.map((entry, j) => {
+      try {
+        return homomorphic.verifyEncryption(
+          publicKey,
+          homomorphic.deserializeCiphertext(entry),
+          plaintext[j],
+          new BN(String(randomness[j]), 16)
+        );
+      } catch (err) {
+        return false;
+      }
+    });
+    const encryptionValid = entryResults.every(Boolean);
+
+    const expectedCode = trackingCodeOf(computeSignalHash(ballot.id, encryptedVote));
+    const trackingCodeValid = trackingCode === undefined || trackingCode === expectedCode;
+
+    const decodedChoices = decodeVotePlaintext(ballot, plaintext);
+    let choicesMatch = null;
+    if (voteChoices !== undefined) {
+      const claimed = parseVoteChoices(voteChoices);
+      choicesMatch = ballotSelectionRule(ballot).type === "ranked"
+        ? JSON.stringify(claimed) === JSON.stringify(decodedChoices)
+        : claimed.length === decodedChoices.length && claimed.every(choice => decodedChoices.includes(choice));
+    }
+
+    res.json({
+      ok: true,
+      valid: encryptionValid && trackingCodeValid && choicesMatch !== false,
+      encryptionValid,
+      invalidEntries: entryResults.flatMap((valid, j) => valid ? [] : [j]),
+      trackingCode: expectedCode,
+      trackingCodeValid,
+      decodedChoices,
+      choicesMatch
+    });
+
+  } catch (err) {
+    console.error("AUDIT VERIFY ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * POST /api/v1/vote/audit/:preparedId
+ * Benaloh cast-or-audit, step 2 (audit): reveal the plaintext and encryption
+ * randomness of a prepared ballot and spoil it — it can no longer be cast.
+ * Pass the response to POST /vote/audit/verify to check it.
+ */
+router.post("/audit/:preparedId", (req, res) => {
+  try {
+    const { preparedId } = req.params;
+    const prepared = getPreparedBallot(preparedId);
+    if (!prepared) {
+      return res.status(404).json({ ok: false, error: "Prepared ballot not found, expired or already cast" });
+    }
+
+    prepared.spoiled = true;
+    console.log(`🔍 Prepared ballot audited and spoiled (tracking code ${prepared.trackingCode})`);
+
+    res.json({
+      ok: true,
+      preparedId,
+      spoiled: true,
+      ballotId: prepared.ballotId,
+      trackingCode: prepared.trackingCode,
+      voteChoices: prepared.voteChoices,
+      weight: prepared.weight,
+      encryptedVote: prepared.encryptedVote,
+      plaintext: prepared.plaintext,
+      randomness: prepared.randomness
+    });
+
+  } catch (err) {
+    console.error("AUDIT VOTE ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 /**
  * GET /api/v1/vote/results
  * Get voting results (public)
@@ -417,20 +1160,28 @@ router.get("/results", async (req, res) => {
  * GET /api/v1/vote/verify/:voteId
  * Verify a specific vote's SNARK proof (public audit)
  * Tries face verification key first, then iris if that fails.
+ * The proof's threshold signals are checked against the ballot's biometric policy.
  */
 router.get("/verify/:voteId", async (req, res) => {
   try {
     const { voteId } = req.params;
-    const { fabricClient, snark, irisSnark } = res.locals;
+    const { fabricClient, snark, irisSnark, ballotRoutes } = res.locals;
     
     const vote = await fabricClient.getVote(voteId);
+    const ballot = await ballotRoutes.getBallotById(fabricClient, vote.ballotId);
+    if (!ballot) {
+      return res.status(404).json({ ok: false, error: `Ballot not found: ${vote.ballotId}` });
+    }
+
+    // Only the nullifier's last vote counts
+    const { countedVoteId } = await fabricClient.getVoteHistory(vote.nullifier);
     
     // Try face verification first, then iris
     let isValid = false;
     let verifiedWith = "unknown";
 
     try {
-      isValid = await snark.verifyProof(vote.proof, vote.publicSignals);
+      isValid = await snark.verifyProof(vote.proof, vote.publicSignals, ballot.biometricPolicy);
       if (isValid) verifiedWith = "face";
     } catch (e) {
       // Face verification failed, try iris
@@ -438,7 +1189,7 @@ router.get("/verify/:voteId", async (req, res) => {
 
     if (!isValid) {
       try {
-        isValid = await irisSnark.verifyIrisProof(vote.proof, vote.publicSignals);
+        isValid = await irisSnark.verifyIrisProof(vote.proof, vote.publicSignals, ballot.biometricPolicy);
         if (isValid) verifiedWith = "iris";
       } catch (e) {
         // Iris verification also failed
@@ -451,7 +1202,9 @@ router.get("/verify/:voteId", async (req, res) => {
       isValid,
       verifiedWith,
       nullifier: vote.nullifier,
-      timestamp: vote.timestamp
+      timestamp: vote.timestamp,
+      counted: countedVoteId === voteId,
+      supersededBy: countedVoteId === voteId ? null : countedVoteId
     });
   } catch (err) {
     console.error("VERIFY VOTE ERROR:", err);
@@ -459,6 +1212,29 @@ router.get("/verify/:voteId", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/vote/history/:nullifier
+ * Every vote cast under a nullifier, oldest first (re-voting ballots).
+ * The last one is the vote that counts.
+ */
+router.get("/history/:nullifier", async (req, res) => {
+  try {
+    const { fabricClient } = res.locals;
+    const { countedVoteId, history } = await fabricClient.getVoteHistory(req.params.nullifier);
+
+    res.json({
+      ok: true,
+      nullifier: req.params.nullifier,
+      countedVoteId,
+      history
+    });
+  } catch (err) {
+    console.error("VOTE HISTORY ERROR:", err);
+    const status = err.message && err.message.includes("No vote has been cast") ? 404 : 500;
+    res.status(status).json({ ok: false, error: err.message });
+  }
+});
+
 /**
  * GET /api/v1/vote/status
  * Get voting system status
@@ -5,6 +5,7 @@ const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
 const crypto = require("crypto");
+const path = require("path");
 const QRCode = require("qrcode");
 const Jimp = require("jimp");
 const jsQR = require("jsqr");
@@ -14,9 +15,13 @@ const FabricClient = require("./fabric-client");
 const voteRoutes = require("./routes/vote");
 const ballotRoutes = require("./routes/ballot");
 const tallyRoutes = require("./routes/tally");
+const groupRoutes = require("./routes/group");
+const oidcRoutes = require("./routes/oidc");
 const snark = require("./crypto/snark");
 const irisSnark = require("./crypto/iris-snark");
 const credentialStore = require("./credential-store");
+const sessionToken = require("./session-token");
+const { getSignal } = require("../chaincode/identity/lib/proofVerifier");
 
 require("dotenv").config();
 
@@ -181,6 +186,7 @@ app.use((req, res, next) => {
   // Attach utilities to res.locals for vote routes
   res.locals.fabricClient = fabricClient;
   res.locals.decodeQRCode = decodeQRCode;
+  res.locals.decryptPayload = decryptPayload;
   res.locals.getFaceEmbedding = getFaceEmbedding;
   res.locals.compareEmbeddings = compareEmbeddings;
   res.locals.getIrisCode = getIrisCode;
@@ -206,10 +212,21 @@ app.use("/api/v1/tally", tallyRoutes);
 // Mount vote routes
 app.use("/api/v1/vote", voteRoutes);
 
+// Mount eligibility group routes
+app.use("/api/v1/groups", groupRoutes);
+
+// Mount the anonymous OpenID Connect provider (issuer: /oidc)
+app.use("/oidc", oidcRoutes);
+
 // --------------------------------------
 // REGISTER (Face or Iris — independent)
 // Uses ZK-SNARK (Poseidon + Merkle Tree)
 // biometricMode: "face" (default) | "iris"
+// weightApproval: optional JSON { weight, registrarId, signature }
+//         from `registrar.js weight` for voters with more than one
+//         vote (e.g. a shareholder's share count). The weight is
+//         bound into the commitment and the chaincode checks the
+//         registrar's signature; without it the weight is 1.
 // Each mode uses its own Merkle tree
 // --------------------------------------
 app.post("/api/v1/register", upload.fields([
@@ -235,6 +252,26 @@ app.post("/api/v1/register", upload.fields([
       return res.status(400).json({ ok: false, error: "Missing irisImg for iris biometric mode" });
     }
 
+    let weightApproval = null;
+    if (req.body.weightApproval) {
+      try {
+        weightApproval = typeof req.body.weightApproval === "string"
+          ? JSON.parse(req.body.weightApproval)
+          : req.body.weightApproval;
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: "weightApproval must be JSON" });
+      }
+      // The circuit range-checks the weight to 32 bits
+      const { weight: approved, registrarId, signature } = weightApproval;
+      if (!Number.isInteger(approved) || approved < 1 || approved >= 2 ** 32 || !registrarId || !signature) {
+        return res.status(400).json({
+          ok: false,
+          error: "weightApproval needs { weight, registrarId, signature } with a positive integer weight below 2^32"
+        });
+      }
+    }
+    const weight = weightApproval ? weightApproval.weight : 1;
+
     console.log(`\n=== REGISTRATION START (${mode.toUpperCase()} — Merkle + Nullifier) ===`);
 
     // 1. Hash NID
@@ -252,13 +289,14 @@ app.post("/api/v1/register", upload.fields([
       console.log("Face embedding dimension:", embedding.length);
 
       // Compute SNARK-compatible registration data
-      const regData = await snark.computeRegistrationData(embedding, salt);
+      const regData = await snark.computeRegistrationData(embedding, salt, BigInt(weight));
       console.log("✅ Face SNARK registration data computed");
       console.log("  Poseidon faceHash:", regData.faceHash.toString().slice(0, 20) + "...");
       console.log("  Commitment:", regData.commitment.toString().slice(0, 20) + "...");
 
-      // Register commitment on blockchain (face Merkle tree)
-      await fabricClient.registerUser(nidHash, regData.commitment.toString());
+      // Register commitment on blockchain (face Merkle tree); the chaincode
+      // derives the leaf from it and the weight it approved
+      await fabricClient.registerUser(nidHash, regData.innerCommitment.toString(), weightApproval);
       console.log("✅ Face commitment registered on blockchain");
 
       // Invalidate face Merkle tree cache
@@ -269,16 +307,24 @@ app.post("/api/v1/register", upload.fields([
         poseidonFaceHash: regData.faceHash.toString(),
         secretKey: regData.secretKey.toString(),
         commitment: regData.commitment.toString(),
+        weight,
       };
       credentialStore.saveCredentials(nidHash, snarkCredentials, password);
       console.log("✅ Face SNARK credentials saved to encrypted credential store");
 
-      // QR payload (lightweight)
+      // QR payload (lightweight). The SNARK credentials ride along so the
+      // browser can prove on its own; like the rest of the payload they are
+      // only readable with the voter's password.
       const qrPayload = {
         nidHash,
         salt,
         biometricMode: "face",
         faceEmbedding: embedding,
+        credentials: {
+          poseidonFaceHash: snarkCredentials.poseidonFaceHash,
+          secretKey: snarkCredentials.secretKey,
+          weight,
+        },
       };
 
       // Encrypt & generate QR
@@ -309,14 +355,16 @@ app.post("/api/v1/register", upload.fields([
       const regData = await irisSnark.computeIrisRegistrationData(
         irisResult.irisCode,
         irisResult.noiseMask,
-        salt
+        salt,
+        BigInt(weight)
       );
       console.log("✅ Iris SNARK registration data computed");
       console.log("  Poseidon irisHash:", regData.irisHash.toString().slice(0, 20) + "...");
       console.log("  Commitment:", regData.commitment.toString().slice(0, 20) + "...");
 
-      // Register commitment on blockchain (IRIS Merkle tree — independent)
-      await fabricClient.registerIrisUser(nidHash, regData.commitment.toString());
+      // Register commitment on blockchain (IRIS Merkle tree — independent);
+      // the chaincode derives the leaf from it and the weight it approved
+      await fabricClient.registerIrisUser(nidHash, regData.innerCommitment.toString(), weightApproval);
       console.log("✅ Iris commitment registered on blockchain (independent Merkle tree)");
 
       // Invalidate iris Merkle tree cache
@@ -327,6 +375,7 @@ app.post("/api/v1/register", upload.fields([
         poseidonIrisHash: regData.irisHash.toString(),
         secretKey: regData.secretKey.toString(),
         commitment: regData.commitment.toString(),
+        weight,
         irisCode256: regData.irisCode256,
       };
       credentialStore.saveCredentials(nidHash, irisCredentials, password, "_iris");
@@ -365,9 +414,52 @@ app.post("/api/v1/register", upload.fields([
   }
 });
 
+// --------------------------------------
+// LOGIN NONCES - single-use challenges
+// A login proof commits to its nonce through signalHash, so it cannot be
+// replayed. Its electionId is the scope of the service being logged in
+// to, which makes the nullifier a stable per-service pseudonym.
+// --------------------------------------
+const LOGIN_NONCE_TTL_MS = 2 * 60 * 1000;
+const loginNonces = new Map(); // nonce -> { service, expiresAt, used }
+
+function pruneLoginNonces() {
+  const now = Date.now();
+  for (const [nonce, entry] of loginNonces) {
+    if (entry.expiresAt < now) loginNonces.delete(nonce);
+  }
+}
+
+// Returns why the nonce cannot be used, or null if it is live
+function loginNonceError(nonce) {
+  pruneLoginNonces();
+  const entry = nonce ? loginNonces.get(String(nonce)) : null;
+  if (!entry) return "Unknown or expired login nonce — request a new one from /api/v1/login/nonce";
+  if (entry.used) return "Login nonce has already been used";
+  return null;
+}
+
+// ?service= names the relying service (defaults to this API)
+app.get("/api/v1/login/nonce", (req, res) => {
+  pruneLoginNonces();
+  const service = req.query.service || sessionToken.DEFAULT_SERVICE;
+  // 128 random bits always fit in the BN128 scalar field
+  const nonce = BigInt("0x" + crypto.randomBytes(16).toString("hex")).toString();
+  const expiresAt = Date.now() + LOGIN_NONCE_TTL_MS;
+  loginNonces.set(nonce, { service, expiresAt, used: false });
+  res.json({
+    ok: true,
+    nonce,
+    service,
+    electionId: sessionToken.serviceScope(service).toString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+  });
+});
+
 // --------------------------------------
 // LOGIN - ZK-SNARK Proof (Face or Iris)
 // biometricMode: "face" (default) | "iris"
+// nonce: from GET /login/nonce, bound into the proof as its signalHash
 // Each mode uses its own Merkle tree
 // --------------------------------------
 app.post(
@@ -375,7 +467,7 @@ app.post(
   upload.fields([{ name: "qrCode" }, { name: "faceImg" }, { name: "irisImg" }]),
   async (req, res) => {
     try {
-      const { password, biometricMode } = req.body;
+      const { password, biometricMode, nonce } = req.body;
       const mode = biometricMode || "face";
 
       const qrFile = req.files.qrCode?.[0];
@@ -386,6 +478,11 @@ app.post(
         return res.status(400).json({ ok: false, error: "Missing password or qrCode" });
       }
 
+      const nonceError = loginNonceError(nonce);
+      if (nonceError) {
+        return res.status(400).json({ ok: false, error: nonceError });
+      }
+
       if (mode === "face" && !faceFile) {
         return res.status(400).json({ ok: false, error: "Missing faceImg for face biometric mode" });
       }
@@ -411,8 +508,10 @@ app.post(
         });
       }
 
-      // Use a dummy electionId for login (not election-specific)
-      const loginElectionId = BigInt("0");
+      // electionId scopes the nullifier to the service; signalHash binds
+      // the proof to this one login
+      const loginElectionId = sessionToken.serviceScope(loginNonces.get(String(nonce)).service);
+      const loginSignal = BigInt(nonce);
 
       if (mode === "face") {
         // =====================
@@ -445,7 +544,10 @@ app.post(
           BigInt(snarkCreds.poseidonFaceHash),
           BigInt(snarkCreds.secretKey),
           commitmentsBigInt,
-          loginElectionId
+          loginElectionId,
+          loginSignal,
+          undefined, // default biometric policy
+          BigInt(snarkCreds.weight || 1)
         );
 
         if (!isValid) {
@@ -469,6 +571,7 @@ app.post(
             protocol: "groth16",
             curve: "bn128",
           },
+          nonce,
           nidHash: qrData.nidHash,
         });
 
@@ -504,7 +607,10 @@ app.post(
           BigInt(irisCreds.poseidonIrisHash),
           BigInt(irisCreds.secretKey),
           irisCommitmentsBigInt,
-          loginElectionId
+          loginElectionId,
+          loginSignal,
+          undefined, // default biometric policy
+          BigInt(irisCreds.weight || 1)
         );
 
         if (!isValid) {
@@ -528,6 +634,7 @@ app.post(
             protocol: "groth16",
             curve: "bn128",
           },
+          nonce,
           nidHash: qrData.nidHash,
         });
 
@@ -542,6 +649,116 @@ app.post(
   }
 );
 
+// --------------------------------------
+// LOGIN VERIFY - check a login proof against its nonce
+// Body: { nonce, biometricMode, proof, publicSignals }
+// The nonce is spent on the first attempt, so a captured proof
+// cannot be submitted again. The proof must use the current root.
+// On success returns an anonymous session token for the nonce's
+// service: its subject is the proof's per-service nullifier.
+// --------------------------------------
+app.post("/api/v1/login/verify", async (req, res) => {
+  try {
+    const { nonce, proof, publicSignals } = req.body;
+    const mode = req.body.biometricMode || "face";
+
+    if (!nonce || !proof || !Array.isArray(publicSignals)) {
+      return res.status(400).json({ ok: false, error: "Missing required fields: nonce, proof, publicSignals" });
+    }
+    if (mode !== "face" && mode !== "iris") {
+      return res.status(400).json({ ok: false, error: `Invalid biometricMode: ${mode}. Must be "face" or "iris".` });
+    }
+
+    const nonceError = loginNonceError(nonce);
+    if (nonceError) {
+      return res.status(401).json({ ok: false, error: nonceError });
+    }
+    const nonceEntry = loginNonces.get(String(nonce));
+    nonceEntry.used = true;
+
+    let isValid = false;
+    try {
+      isValid = mode === "face"
+        ? await snark.verifyProof(proof, publicSignals)
+        : await irisSnark.verifyIrisProof(proof, publicSignals);
+    } catch (err) {
+      isValid = false;
+    }
+    if (!isValid) {
+      return res.status(401).json({ ok: false, error: "ZK-SNARK proof verification failed" });
+    }
+
+    if (getSignal(publicSignals, mode, "signalHash") !== BigInt(nonce).toString()) {
+      return res.status(401).json({ ok: false, error: "Proof was not generated for this nonce" });
+    }
+    if (getSignal(publicSignals, mode, "electionId") !== sessionToken.serviceScope(nonceEntry.service).toString()) {
+      return res.status(401).json({ ok: false, error: `Proof was not generated for ${nonceEntry.service}` });
+    }
+
+    const current = mode === "face"
+      ? await fabricClient.getMerkleRoot()
+      : await fabricClient.getIrisMerkleRoot();
+    if (BigInt(current.root).toString() !== getSignal(publicSignals, mode, "merkleRoot")) {
+      return res.status(401).json({ ok: false, error: "Proof does not use the current Merkle root" });
+    }
+
+    const pseudonym = getSignal(publicSignals, mode, "nullifier");
+    const { token, claims } = sessionToken.issueSessionToken(pseudonym, nonceEntry.service, mode);
+
+    res.json({
+      ok: true,
+      verified: true,
+      biometricMode: mode,
+      service: nonceEntry.service,
+      pseudonym,
+      token,
+      tokenType: "Bearer",
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+    });
+  } catch (err) {
+    console.error("LOGIN VERIFY ERROR:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// --------------------------------------
+// SESSION - who the bearer is, as far as this API may know
+// --------------------------------------
+app.get("/api/v1/session", sessionToken.requireSession(), (req, res) => {
+  const { sub, aud, amr, exp } = res.locals.session;
+  res.json({
+    ok: true,
+    authenticated: true,
+    pseudonym: sub,
+    service: aud,
+    biometricMode: amr[0],
+    expiresAt: new Date(exp * 1000).toISOString(),
+  });
+});
+
+// --------------------------------------
+// CIRCUIT ARTIFACTS - for in-browser proving
+// The same public wasm/zkey files the server prover uses
+// --------------------------------------
+const CIRCUIT_ARTIFACTS = {
+  "face_auth.wasm": path.join(__dirname, "circuits", "face_auth_js", "face_auth.wasm"),
+  "face_auth.zkey": path.join(__dirname, "circuits", "face_auth.zkey"),
+  "iris_auth.wasm": path.join(__dirname, "circuits", "iris_auth_js", "iris_auth.wasm"),
+  "iris_auth.zkey": path.join(__dirname, "circuits", "iris_auth.zkey"),
+};
+
+app.get("/api/v1/circuits/:artifact", (req, res) => {
+  const artifactPath = CIRCUIT_ARTIFACTS[req.params.artifact];
+  if (!artifactPath) {
+    return res.status(404).json({ ok: false, error: `Unknown circuit artifact: ${req.params.artifact}` });
+  }
+  res.sendFile(artifactPath, { maxAge: "1h" }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ ok: false, error: `Circuit artifact not built: ${req.params.artifact}` });
+    }
+  });
+});
+
 // ============================
 // Health & Query Endpoints
 // ============================
@@ -613,6 +830,67 @@ app.get("/api/v1/commitments/count", async (req, res) => {
   }
 });
 
+app.get("/api/v1/commitments/root", async (req, res) => {
+  try {
+    const current = await fabricClient.getMerkleRoot();
+    const history = await fabricClient.getMerkleRootHistory();
+    res.json({ ok: true, ...current, history });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/v1/commitments/iris/root", async (req, res) => {
+  try {
+    const current = await fabricClient.getIrisMerkleRoot();
+    const history = await fabricClient.getIrisMerkleRootHistory();
+    res.json({ ok: true, ...current, history });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Merkle path for one leaf, for provers that do not rebuild the tree themselves.
+// Asking for a path reveals which leaf is proving — clients that care should
+// fetch /commitments and build the path locally instead.
+async function sendMerklePath(res, commitments, leafIndex, buildTree, getProof) {
+  const index = Number(leafIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= commitments.length) {
+    return res.status(400).json({ ok: false, error: `leafIndex must be an integer in [0, ${commitments.length - 1}]` });
+  }
+  const { root, layers, zeroHashes } = await buildTree(commitments.map((c) => BigInt(c)));
+  const { pathElements, pathIndices } = getProof(layers, zeroHashes, index);
+  res.json({
+    ok: true,
+    leafIndex: index,
+    leaf: commitments[index],
+    merkleRoot: root.toString(),
+    levels: pathElements.length,
+    pathElements: pathElements.map((e) => e.toString()),
+    pathIndices,
+  });
+}
+
+app.get("/api/v1/commitments/merkle-path/:leafIndex", async (req, res) => {
+  try {
+    const commitments = await fabricClient.getCommitments();
+    await sendMerklePath(res, commitments, req.params.leafIndex,
+      snark.buildMerkleTreeOptimized, snark.getMerkleProofOptimized);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/api/v1/commitments/iris/merkle-path/:leafIndex", async (req, res) => {
+  try {
+    const commitments = await fabricClient.getIrisCommitments();
+    await sendMerklePath(res, commitments, req.params.leafIndex,
+      irisSnark.buildIrisMerkleTree, irisSnark.getIrisMerkleProof);
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // Legacy endpoints (for backward compatibility)
 app.get("/api/v1/ring", async (req, res) => {
   try {
@@ -697,14 +975,28 @@ async function startServer() {
       console.log(`   Biometric Modes: face (cosine similarity), iris (Hamming distance)`);
       console.log(`📊 Endpoints:`);
       console.log(`   POST /api/v1/register - Register voter (face or iris, biometricMode param)`);
-      console.log(`   POST /api/v1/login/challenge - ZK-SNARK auth proof (face or iris)`);
-      console.log(`   POST /api/v1/ballot/create - Create ballot`);
-      console.log(`   POST /api/v1/tally/setup/:ballotId - Setup homomorphic encryption`);
+      console.log(`   GET  /api/v1/login/nonce - Issue a single-use login challenge`);
+      console.log(`   POST /api/v1/login/challenge - ZK-SNARK auth proof bound to a nonce (face or iris)`);
+      console.log(`   POST /api/v1/login/verify - Verify a login proof and issue an anonymous session token`);
+      console.log(`   GET  /api/v1/session - Session token check (Authorization: Bearer)`);
+      console.log(`   GET  /oidc/.well-known/openid-configuration - Anonymous OIDC provider (pairwise ZK pseudonyms)`);
+      console.log(`   POST /api/v1/ballot/create - Create ballot (optionally restricted to eligibility groups)`);
+      console.log(`   POST /api/v1/ballot/:ballotId/open - Freeze the voter set of a started ballot`);
+      console.log(`   POST /api/v1/groups - Create an eligibility group with its registrars`);
+      console.log(`   POST /api/v1/groups/:groupId/members/approve - Admit a member (registrar signature)`);
+      console.log(`   POST /api/v1/tally/setup/:ballotId - Start trustee key ceremony (threshold ElGamal, operator token)`);
       console.log(`   POST /api/v1/vote - Cast anonymous vote (face or iris SNARK)`);
-      console.log(`   POST /api/v1/tally/compute/:ballotId - Compute homomorphic tally`);
+      console.log(`   POST /api/v1/vote/proof - Cast a vote with a browser-generated SNARK proof`);
+      console.log(`   POST /api/v1/vote/prepare - Encrypt a ballot for cast-or-audit`);
+      console.log(`   POST /api/v1/tally/compute/:ballotId - Compute homomorphic tally (combines trustee shares)`);
+      console.log(`   POST /api/v1/tally/decryption/:ballotId/share - Submit trustee decryption shares`);
       console.log(`   GET  /api/v1/vote/results - Get vote results`);
       console.log(`   GET  /api/v1/commitments - Get face voter commitments`);
       console.log(`   GET  /api/v1/commitments/iris - Get iris voter commitments`);
+      console.log(`   GET  /api/v1/commitments/root - Get on-chain face Merkle root + history`);
+      console.log(`   GET  /api/v1/commitments/iris/root - Get on-chain iris Merkle root + history`);
+      console.log(`   GET  /api/v1/commitments/merkle-path/:leafIndex - Get a face Merkle path`);
+      console.log(`   GET  /api/v1/circuits/:artifact - Download circuit wasm/zkey for in-browser proving`);
     });
   } catch (err) {
     console.error("Startup failed:", err);
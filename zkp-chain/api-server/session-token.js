@@ -0,0 +1,190 @@
+// ============================================================
+// session-token.js — Anonymous session tokens after ZK login
+// Compact ES256 JWTs signed with the server's P-256 key. A token
+// carries only the login proof's nullifier for one service scope
+// (sub) — never a nidHash — so a service can tell "authenticated
+// eligible voter" and recognise returning voters, but cannot link
+// them across services or to their ballots.
+// ============================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const KEYS_DIR = path.join(__dirname, "keys");
+const SIGNING_KEY_PATH = path.join(KEYS_DIR, "session_signing_key.pem");
+
+const ISSUER = process.env.SESSION_ISSUER || "zkp-voting-api";
+const DEFAULT_SERVICE = "zkp-voting-api";
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS || 15 * 60);
+
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+
+// Signing key: SESSION_SIGNING_KEY (PEM) or a key generated once and kept in keys/
+let _signingKey = null;
+function getSigningKey() {
+  if (!_signingKey) {
+    let pem = process.env.SESSION_SIGNING_KEY;
+    if (!pem && fs.existsSync(SIGNING_KEY_PATH)) {
+      pem = fs.readFileSync(SIGNING_KEY_PATH, "utf8");
+    }
+    if (!pem) {
+      const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+      pem = privateKey.export({ type: "pkcs8", format: "pem" });
+      fs.mkdirSync(KEYS_DIR, { recursive: true });
+      fs.writeFileSync(SIGNING_KEY_PATH, pem, { mode: 0o600 });
+      console.log(`🔑 Session signing key generated at ${SIGNING_KEY_PATH}`);
+    }
+    _signingKey = crypto.createPrivateKey(pem);
+  }
+  return _signingKey;
+}
+
+/**
+ * Public signing key as a JWK (for verifiers and the JWKS endpoint).
+ * kid is the RFC 7638 thumbprint, so it changes whenever the key does.
+ */
+function publicJwk() {
+  const { kty, crv, x, y } = crypto.createPublicKey(getSigningKey()).export({ format: "jwk" });
+  const kid = base64url(crypto.createHash("sha256").update(JSON.stringify({ crv, kty, x, y })).digest());
+  return { kty, crv, x, y, kid, use: "sig", alg: "ES256" };
+}
+
+/**
+ * Service scope used as the login proof's electionId.
+ * The "service:" prefix keeps it disjoint from deriveElectionId(ballotId),
+ * so a login pseudonym can never equal a vote nullifier.
+ *
+ * @param {string} service
+ * @returns {BigInt} first 128 bits of sha256("service:" + service)
+ */
+function serviceScope(service) {
+  const digest = crypto.createHash("sha256").update(`service:${service}`).digest("hex");
+  return BigInt("0x" + digest.slice(0, 32));
+}
+
+/**
+ * Sign a JWT with the server key.
+ *
+ * @param {Object} claims - payload; iss, iat, exp and jti are filled in
+ * @param {number} ttlSeconds
+ * @returns {{ token: string, claims: Object }}
+ */
+function signToken(claims, ttlSeconds = SESSION_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: ISSUER,
+    iat: now,
+    exp: now + ttlSeconds,
+    jti: crypto.randomBytes(16).toString("hex"),
+    ...claims,
+  };
+  const header = { alg: "ES256", typ: "JWT", kid: publicJwk().kid };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign("sha256", Buffer.from(signingInput), {
+    key: getSigningKey(),
+    dsaEncoding: "ieee-p1363",
+  });
+  return { token: `${signingInput}.${base64url(signature)}`, claims: payload };
+}
+
+/**
+ * Verify a JWT signed by this server.
+ *
+ * @param {string} token
+ * @param {string} audience - required aud claim
+ * @returns {Object} the claims
+ * @throws if the signature, issuer, audience or expiry do not check out
+ */
+function verifyToken(token, audience) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed token");
+  }
+  const [headerB64, payloadB64, signatureB64] = parts;
+
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(headerB64, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(payloadB64, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new Error("Malformed token");
+  }
+  if (header.alg !== "ES256") {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(`${headerB64}.${payloadB64}`),
+    { key: crypto.createPublicKey(getSigningKey()), dsaEncoding: "ieee-p1363" },
+    Buffer.from(signatureB64, "base64url")
+  );
+  if (!valid) {
+    throw new Error("Invalid token signature");
+  }
+  if (claims.iss !== ISSUER) {
+    throw new Error("Token was not issued by this server");
+  }
+  if (claims.aud !== audience) {
+    throw new Error(`Token is not valid for ${audience}`);
+  }
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error("Token has expired");
+  }
+  return claims;
+}
+
+/**
+ * Mint the session token for a verified login proof.
+ *
+ * @param {string} nullifier - Poseidon(secretKey, serviceScope(service)) from the proof
+ * @param {string} service
+ * @param {string} biometricMode - "face" | "iris"
+ * @returns {{ token: string, claims: Object }}
+ */
+function issueSessionToken(nullifier, service, biometricMode) {
+  return signToken({ sub: nullifier, aud: service, amr: [biometricMode] });
+}
+
+/**
+ * Express middleware for routes that need an authenticated eligible voter.
+ * Accepts "Authorization: Bearer <token>" and exposes the claims as
+ * res.locals.session ({ sub: pseudonym, aud, amr, exp, ... }).
+ *
+ * Used by GET /api/v1/session. The vote routes (POST /vote, /vote/proof,
+ * /vote/prepare) do not take a session: each vote carries its own
+ * per-ballot SNARK, and a token there would let the server link the
+ * login pseudonym to the ballot (and, on /vote/prepare, to the voter's
+ * nidHash and plaintext choice).
+ *
+ * @param {string} service - audience the token must have been issued for
+ */
+function requireSession(service = DEFAULT_SERVICE) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      res.set("WWW-Authenticate", 'Bearer realm="zkp-voting"');
+      return res.status(401).json({ ok: false, error: "Missing session token — log in with a ZK proof first" });
+    }
+    try {
+      res.locals.session = verifyToken(token, service);
+    } catch (err) {
+      res.set("WWW-Authenticate", 'Bearer realm="zkp-voting", error="invalid_token"');
+      return res.status(401).json({ ok: false, error: err.message });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ISSUER,
+  DEFAULT_SERVICE,
+  SESSION_TTL_SECONDS,
+  publicJwk,
+  serviceScope,
+  signToken,
+  verifyToken,
+  issueSessionToken,
+  requireSession,
+};
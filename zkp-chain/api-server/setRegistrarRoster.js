@@ -0,0 +1,41 @@
+// ============================
+// Publish the registrar roster on-chain
+// Reads registrars.json and submits it as the wallet's "admin"
+// identity — the only one the chaincode lets replace the roster.
+// Weight approvals and group memberships are checked against the
+// on-chain roster, so re-run this whenever registrars.json changes.
+//
+// Usage:
+//   node setRegistrarRoster.js
+//
+// Environment:
+//   REGISTRARS_FILE  roster file (default ./registrars.json)
+//                    { "registrars": [{ "id": "registrar1", "publicKey": { "x": "..", "y": ".." } }] }
+// ============================
+
+const fs = require("fs");
+const path = require("path");
+const FabricClient = require("./fabric-client");
+
+const REGISTRARS_FILE = process.env.REGISTRARS_FILE || path.join(__dirname, "registrars.json");
+
+async function main() {
+  if (!fs.existsSync(REGISTRARS_FILE)) {
+    throw new Error(`No registrar roster at ${REGISTRARS_FILE}`);
+  }
+  const { registrars } = JSON.parse(fs.readFileSync(REGISTRARS_FILE, "utf8"));
+
+  const fabricClient = new FabricClient();
+  await fabricClient.connect("admin");
+  try {
+    const roster = await fabricClient.setRegistrarRoster(registrars);
+    console.log(`✅ Registrar roster set on-chain: ${roster.registrars.map(r => r.id).join(", ")}`);
+  } finally {
+    await fabricClient.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+// ============================================================
+// tally-input.js — What a tally decrypts
+// Collects the counted, proof-checked encrypted votes of a ballot
+// and turns them into the ciphertexts trustees are asked to
+// decrypt: per-option homomorphic sums, or the vote vectors that
+// go into the mix-net. The API server uses it to open decryption
+// jobs; trustee.js re-derives the same job from the ledger and
+// refuses to decrypt anything else.
+// ============================================================
+
+const crypto = require("crypto");
+const homomorphic = require("./crypto/homomorphic");
+const { verifyVoteSum, allowedVoteSums, verifyWeightedEntry, verifyRanking } = require("../chaincode/identity/lib/voteSumProof");
+const { ballotSelectionRule } = require("../chaincode/identity/lib/selectionRule");
+
+// Votes that count towards the tally. On re-voting ballots only the last
+// vote under each nullifier counts; the chaincode already leaves superseded
+// votes out of getAllVotes, this keeps the rule if they are ever returned.
+async function getCountedVotes(fabricClient, ballotId) {
+  const allVotes = await fabricClient.getAllVotes(ballotId);
+  const latest = new Map();
+  allVotes.filter(vote => !vote.supersededBy).forEach(vote => {
+    const current = latest.get(vote.nullifier);
+    if (!current || vote.timestamp >= current.timestamp) {
+      latest.set(vote.nullifier, vote);
+    }
+  });
+  return allVotes.filter(vote => latest.get(vote.nullifier) === vote);
+}
+
+// Vote weight proven by the voter's SNARK (recorded by castVote; older votes count 1)
+function voteWeight(vote) {
+  return Number(vote.weight || 1);
+}
+
+/**
+ * Check one selection vote's validity and sum proofs against the joint key
+ * Entries of a weighted vote hold 0 or the voter's weight.
+ * @returns {Array<{ c1: Point, c2: Point }>|null} its ciphertexts, or null if it must be skipped
+ */
+function verifySelectionVote(ballot, vote, publicKey) {
+  if (!vote.encryptedVote || !Array.isArray(vote.encryptedVote)) {
+    console.warn(`Vote ${vote.voteId} has invalid or legacy encrypted vote format - skipping`);
+    return null;
+  }
+
+  try {
+    // VECTOR FORMAT (True Privacy)
+    // The vote is an array of ciphertexts, one for each option
+    if (vote.encryptedVote.length !== ballot.options.length) {
+      console.warn(`  Vector vote ${vote.voteId} length doesn't match ballot options - skipping`);
+      return null;
+    }
+
+    const ciphertexts = [];
+    const weight = voteWeight(vote);
+
+    // First pass: Verify all proofs
+    for (let i = 0; i < ballot.options.length; i++) {
+      const ciphertext = homomorphic.deserializeCiphertext(vote.encryptedVote[i]);
+      ciphertexts.push(ciphertext);
+
+      // Each entry must prove it holds 0 or w: the sum proof alone accepts [2w, −w, 0]
+      const proof = vote.encryptedVote[i].validityProof;
+      if (!proof) {
+        console.warn(`  Vote ${vote.voteId} missing validity proof - skipping`);
+        return null;
+      }
+      const proofValid = weight === 1
+        ? homomorphic.verifyValidVote(publicKey, ciphertext, proof)
+        : verifyWeightedEntry(publicKey, vote.encryptedVote[i], proof, weight);
+      if (!proofValid) {
+        console.warn(`  Vote ${vote.voteId} validity proof failed (perhaps encrypted with an older public key) - skipping`);
+        return null;
+      }
+    }
+
+    // Each entry is 0 or w — the vector as a whole must select an allowed number of options.
+    // Without it "w for every candidate" passes.
+    if (!verifyVoteSum(publicKey, vote.encryptedVote, vote.sumProof, allowedVoteSums(ballot, weight))) {
+      console.warn(`  Vote ${vote.voteId} sum proof missing or invalid - skipping`);
+      return null;
+    }
+
+    return ciphertexts;
+  } catch (err) {
+    console.error(`Error processing vote ${vote.voteId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Sum the encrypted vote vectors of a ballot, option by option
+ * Votes whose validity or sum proofs fail against the joint key are skipped.
+ * @returns {{ encryptedTallies: Array<Object|null>, processedCount: number, totalWeight: number }}
+ *          encryptedTallies[i] is the ciphertext sum for ballot.options[i] (null = no votes);
+ *          totalWeight bounds every decrypted sum
+ */
+function aggregateEncryptedVotes(ballot, allVotes, publicKey) {
+  const encryptedTallies = ballot.options.map(() => null);
+  let processedCount = 0;
+  let totalWeight = 0;
+
+  allVotes.forEach(vote => {
+    const ciphertexts = verifySelectionVote(ballot, vote, publicKey);
+    if (!ciphertexts) return;
+
+    // We sum them element-wise
+    ciphertexts.forEach((ciphertext, i) => {
+      encryptedTallies[i] = encryptedTallies[i] === null
+        ? ciphertext
+        : homomorphic.addCiphertexts(encryptedTallies[i], ciphertext);
+    });
+    console.log(`  Processed vector vote ${vote.voteId}`);
+    processedCount++;
+    totalWeight += voteWeight(vote);
+  });
+
+  return { encryptedTallies, processedCount, totalWeight };
+}
+
+// Decryption shares are only valid for one exact set of encrypted sums
+function digestTallies(serializedTallies) {
+  return crypto.createHash("sha256").update(JSON.stringify(serializedTallies)).digest("hex");
+}
+
+/**
+ * Encrypted preference lists of a ranked ballot, in ledger order
+ * Votes whose slot proofs fail against the joint key are skipped.
+ * @returns {Array<Array<{ c1: {x, y}, c2: {x, y} }>>}
+ */
+function collectRankedVotes(ballot, allVotes, publicKey) {
+  const rankedVotes = [];
+
+  allVotes.forEach(vote => {
+    if (!Array.isArray(vote.encryptedVote) || vote.encryptedVote.length !== ballot.options.length) {
+      console.warn(`  Ranked vote ${vote.voteId} missing or wrong length - skipping`);
+      return;
+    }
+    if (!verifyRanking(publicKey, vote.encryptedVote, vote.sumProof)) {
+      console.warn(`  Ranked vote ${vote.voteId} slot proofs missing or invalid - skipping`);
+      return;
+    }
+    rankedVotes.push(vote.encryptedVote.map(slot => ({ c1: slot.c1, c2: slot.c2 })));
+  });
+
+  return rankedVotes;
+}
+
+/**
+ * Mix-net input: every valid encrypted vote vector of the ballot, in ledger order
+ * @returns {Array<Array<{ c1: {x, y}, c2: {x, y} }>>}
+ */
+function collectMixInput(ballot, allVotes, publicKey) {
+  if (ballotSelectionRule(ballot).type === "ranked") {
+    return collectRankedVotes(ballot, allVotes, publicKey);
+  }
+
+  const input = [];
+  allVotes.forEach(vote => {
+    const ciphertexts = verifySelectionVote(ballot, vote, publicKey);
+    if (ciphertexts) {
+      input.push(ciphertexts.map(homomorphic.serializeCiphertext));
+    }
+  });
+  return input;
+}
+
+// Ballots coming out of the last mix stage
+function mixOutput(mix) {
+  return mix.stages[mix.stages.length - 1].output;
+}
+
+module.exports = {
+  getCountedVotes,
+  voteWeight,
+  verifySelectionVote,
+  aggregateEncryptedVotes,
+  digestTallies,
+  collectMixInput,
+  mixOutput,
+};
@@ -206,7 +206,7 @@ async function testCommitment() {
   console.log(`secretKey: ${regData.secretKey.toString().slice(0, 30)}...`);
   console.log(`commitment: ${regData.commitment.toString().slice(0, 30)}...`);
 
-  // Verify commitment = Poseidon(faceHash, secretKey)
+  // Verify commitment = Poseidon(Poseidon(faceHash, secretKey), weight)
   const recomputed = await snark.computeCommitment(regData.faceHash, regData.secretKey);
   console.log(`Recomputed: ${recomputed.toString().slice(0, 30)}...`);
   console.log(`Match: ${regData.commitment === recomputed}`);
@@ -0,0 +1,300 @@
+// ============================
+// Tally Trustee CLI
+// Runs one trustee's side of the threshold ElGamal ceremony.
+// The trustee's identity key and its per-ballot key shares stay
+// in TRUSTEE_DIR on the trustee's machine; the API server only
+// ever sees public commitments, encrypted shares and proofs.
+//
+// Usage:
+//   node trustee.js init     --id trustee1                  # create identity key
+//   node trustee.js deal     --id trustee1 --ballot <id>    # post DKG dealing
+//   node trustee.js finalize --id trustee1 --ballot <id>    # check shares, confirm
+//   node trustee.js decrypt  --id trustee1 --ballot <id>    # post decryption shares
+//
+// Before decrypting, the trustee re-derives the decryption job from
+// the ledger: the homomorphic sums of the counted votes, or a mix
+// whose proofs of shuffle start from those votes. Anything else the
+// server asks it to decrypt (e.g. a single voter's ballot) is refused.
+//
+// Environment:
+//   API_URL          API server base URL (default http://localhost:3000)
+//   TRUSTEE_DIR      where trustee key files live (default ./trustees)
+//   ADMIN_API_TOKEN  operator token the server requires for dealings and confirmations
+//   FABRIC_IDENTITY  wallet identity used to read votes from the ledger (default appUser)
+// ============================
+
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const BN = require("bn.js");
+const EC = require("elliptic").ec;
+const homomorphic = require("./crypto/homomorphic");
+const threshold = require("./crypto/threshold");
+const shuffle = require("./crypto/shuffle");
+const FabricClient = require("./fabric-client");
+const {
+  getCountedVotes, aggregateEncryptedVotes, digestTallies, collectMixInput, mixOutput
+} = require("./tally-input");
+
+const ec = new EC("secp256k1");
+
+const API_URL = process.env.API_URL || "http://localhost:3000";
+const TRUSTEE_DIR = process.env.TRUSTEE_DIR || path.join(__dirname, "trustees");
+
+const args = process.argv.slice(2);
+const command = args[0];
+const getArg = (name) => args.find((_, i, a) => a[i - 1] === `--${name}`);
+
+// Ceremony routes are operator-only; the trustee signature still says who posted
+const operatorAuth = () => ({ headers: { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN || ""}` } });
+
+// ============================
+// Local key storage
+// ============================
+
+function trusteePath(trusteeId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(trusteeId)) {
+    throw new Error("Trustee ID may only contain letters, digits, '-' and '_'");
+  }
+  return path.join(TRUSTEE_DIR, `${trusteeId}.json`);
+}
+
+function loadTrustee(trusteeId) {
+  const filePath = trusteePath(trusteeId);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No key file for ${trusteeId}. Run: node trustee.js init --id ${trusteeId}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function saveTrustee(trustee) {
+  if (!fs.existsSync(TRUSTEE_DIR)) {
+    fs.mkdirSync(TRUSTEE_DIR, { recursive: true });
+  }
+  fs.writeFileSync(trusteePath(trustee.id), JSON.stringify(trustee, null, 2), { encoding: "utf8", mode: 0o600 });
+}
+
+function identityPrivateKey(trustee) {
+  return new BN(trustee.privateKey, 16);
+}
+
+// Find this trustee in the ceremony roster, checking that the
+// server has our identity key (not someone else's) on record
+function findSelf(ceremony, trustee) {
+  const self = ceremony.trustees.find(t => t.id === trustee.id);
+  if (!self) {
+    throw new Error(`${trustee.id} is not a trustee for ballot ${ceremony.ballotId}`);
+  }
+  if (self.publicKey.x !== trustee.publicKey.x || self.publicKey.y !== trustee.publicKey.y) {
+    throw new Error(`Ceremony lists a different public key for ${trustee.id}`);
+  }
+  return self;
+}
+
+async function fetchCeremony(ballotId) {
+  const res = await axios.get(`${API_URL}/api/v1/tally/ceremony/${encodeURIComponent(ballotId)}`);
+  return res.data.ceremony;
+}
+
+// Ciphertexts this trustee agrees to decrypt for a job, re-derived from
+// the counted votes on the ledger rather than taken from the server
+async function expectedDecryptionJob(ballotId, publicKey, job) {
+  const fabricClient = new FabricClient();
+  await fabricClient.connect(process.env.FABRIC_IDENTITY || "appUser");
+  let ballot, votes;
+  try {
+    ballot = await fabricClient.getBallot(ballotId);
+    votes = await getCountedVotes(fabricClient, ballotId);
+  } finally {
+    await fabricClient.disconnect();
+  }
+
+  if (job.backend !== "mixnet") {
+    const { encryptedTallies } = aggregateEncryptedVotes(ballot, votes, publicKey);
+    return encryptedTallies.map(sum => sum === null ? null : homomorphic.serializeCiphertext(sum));
+  }
+
+  const input = collectMixInput(ballot, votes, publicKey);
+  const res = await axios.get(`${API_URL}/api/v1/tally/mix/${encodeURIComponent(ballotId)}`);
+  const { inputDigest, stages } = res.data;
+  if (inputDigest !== digestTallies(input)) {
+    throw new Error("Mix input is not the counted votes on the ledger — refusing to decrypt");
+  }
+  if (!shuffle.verifyMix(publicKey, input, stages)) {
+    throw new Error("Mix proofs of shuffle do not verify — refusing to decrypt");
+  }
+  return [].concat(...mixOutput({ stages }));
+}
+
+// ============================
+// Commands
+// ============================
+
+async function init(trusteeId) {
+  if (fs.existsSync(trusteePath(trusteeId))) {
+    throw new Error(`Key file for ${trusteeId} already exists`);
+  }
+
+  const key = ec.genKeyPair();
+  const trustee = {
+    id: trusteeId,
+    privateKey: key.getPrivate().toString(16),
+    publicKey: threshold.serializePoint(key.getPublic()),
+    ballots: {}
+  };
+  saveTrustee(trustee);
+
+  console.log(`Trustee ${trusteeId} initialized: ${trusteePath(trusteeId)}`);
+  console.log("Add this entry to the trustee roster (trustees.json):");
+  console.log(JSON.stringify({ id: trusteeId, publicKey: trustee.publicKey }, null, 2));
+}
+
+async function deal(trusteeId, ballotId) {
+  const trustee = loadTrustee(trusteeId);
+  const ceremony = await fetchCeremony(ballotId);
+  findSelf(ceremony, trustee);
+
+  if (ceremony.status !== "dealing") {
+    throw new Error(`Ceremony is not accepting dealings (status: ${ceremony.status})`);
+  }
+
+  const dealing = threshold.createDealing(ceremony.threshold, ceremony.trustees.length);
+  const commitments = dealing.commitments.map(threshold.serializePoint);
+
+  const encryptedShares = {};
+  ceremony.trustees.forEach(t => {
+    encryptedShares[t.id] = threshold.encryptShare(
+      threshold.deserializePoint(t.publicKey),
+      dealing.shares[t.index]
+    );
+  });
+
+  const payload = { ballotId, trusteeId, commitments, encryptedShares };
+  const signature = threshold.signPayload(identityPrivateKey(trustee), payload);
+
+  const res = await axios.post(
+    `${API_URL}/api/v1/tally/ceremony/${encodeURIComponent(ballotId)}/dealing`,
+    { ...payload, signature },
+    operatorAuth()
+  );
+  console.log(`Dealing posted (${res.data.dealings}/${res.data.trustees}), ceremony status: ${res.data.status}`);
+}
+
+async function finalize(trusteeId, ballotId) {
+  const trustee = loadTrustee(trusteeId);
+  const ceremony = await fetchCeremony(ballotId);
+  const self = findSelf(ceremony, trustee);
+
+  if (ceremony.status !== "confirming") {
+    throw new Error(`Ceremony is not awaiting confirmations (status: ${ceremony.status})`);
+  }
+
+  // Decrypt and check the share every dealer sent us
+  const complaints = [];
+  const receivedShares = [];
+  ceremony.trustees.forEach(dealer => {
+    const { commitments, encryptedShares } = ceremony.dealings[dealer.id];
+    try {
+      const share = threshold.decryptShare(identityPrivateKey(trustee), encryptedShares[trustee.id]);
+      if (!threshold.verifyShare(self.index, share, commitments.map(threshold.deserializePoint))) {
+        throw new Error("share does not match commitments");
+      }
+      receivedShares.push(share);
+    } catch (err) {
+      console.warn(`Invalid share from ${dealer.id}: ${err.message}`);
+      complaints.push(dealer.id);
+    }
+  });
+
+  if (complaints.length === 0) {
+    const keyShare = threshold.combineKeyShares(receivedShares);
+    const expected = threshold.deserializePoint(ceremony.verificationKeys[trustee.id]);
+    if (!ec.g.mul(keyShare).eq(expected)) {
+      throw new Error("Combined key share does not match the published verification key");
+    }
+
+    trustee.ballots[ballotId] = {
+      index: self.index,
+      keyShare: keyShare.toString(16),
+      publicKey: ceremony.publicKey
+    };
+    saveTrustee(trustee);
+  }
+
+  const payload = { ballotId, trusteeId, complaints };
+  const signature = threshold.signPayload(identityPrivateKey(trustee), payload);
+
+  const res = await axios.post(
+    `${API_URL}/api/v1/tally/ceremony/${encodeURIComponent(ballotId)}/confirm`,
+    { ...payload, signature },
+    operatorAuth()
+  );
+
+  if (complaints.length > 0) {
+    console.log(`Complained about: ${complaints.join(", ")} — ceremony status: ${res.data.status}`);
+  } else {
+    console.log(`Key share stored, confirmed (${res.data.confirmations}/${res.data.trustees}), ceremony status: ${res.data.status}`);
+  }
+}
+
+async function decrypt(trusteeId, ballotId) {
+  const trustee = loadTrustee(trusteeId);
+  const ballotKey = trustee.ballots[ballotId];
+  if (!ballotKey) {
+    throw new Error(`${trusteeId} holds no key share for ballot ${ballotId}`);
+  }
+
+  const res = await axios.get(`${API_URL}/api/v1/tally/decryption/${encodeURIComponent(ballotId)}`);
+  const { digest, encryptedTallies } = res.data;
+
+  const expected = await expectedDecryptionJob(ballotId, threshold.deserializePoint(ballotKey.publicKey), res.data);
+  if (digestTallies(expected) !== digest || JSON.stringify(expected) !== JSON.stringify(encryptedTallies)) {
+    throw new Error("Decryption job does not match the counted votes on the ledger — refusing to decrypt " +
+      "(if votes were cast since, run /tally/compute again)");
+  }
+
+  const keyShare = new BN(ballotKey.keyShare, 16);
+  const shares = encryptedTallies.map(sum =>
+    sum === null
+      ? null
+      : threshold.partialDecrypt(keyShare, ballotKey.index, homomorphic.deserializeCiphertext(sum))
+  );
+
+  const payload = { ballotId, trusteeId, digest, shares };
+  const signature = threshold.signPayload(identityPrivateKey(trustee), payload);
+
+  const post = await axios.post(
+    `${API_URL}/api/v1/tally/decryption/${encodeURIComponent(ballotId)}/share`,
+    { ...payload, signature }
+  );
+  console.log(`Decryption shares posted (${post.data.sharesReceived}/${post.data.threshold})` +
+    (post.data.ready ? " — tally can now be computed" : ""));
+}
+
+async function main() {
+  const trusteeId = getArg("id");
+  const ballotId = getArg("ballot");
+
+  if (!trusteeId || (command !== "init" && !ballotId)) {
+    console.log("Usage: node trustee.js <init|deal|finalize|decrypt> --id <trusteeId> [--ballot <ballotId>]");
+    process.exit(1);
+  }
+
+  switch (command) {
+    case "init": return init(trusteeId);
+    case "deal": return deal(trusteeId, ballotId);
+    case "finalize": return finalize(trusteeId, ballotId);
+    case "decrypt": return decrypt(trusteeId, ballotId);
+    default:
+      console.log(`Unknown command: ${command}`);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  const message = err.response && err.response.data && err.response.data.error
+    ? err.response.data.error
+    : err.message;
+  console.error(`❌ ${message}`);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+// ============================================================
+// biometricPolicy.js — Per-ballot minimum biometric thresholds
+// The match thresholds are public circuit inputs chosen by the
+// prover, so a proof is only meaningful if the verifier checks
+// them against a policy. Shared by the chaincode (castVote) and
+// the API server verifiers (crypto/snark.js, crypto/iris-snark.js).
+// ============================================================
+
+// Matches the defaults used by the provers:
+//   face: cosine >= 0.5  (threshold_sq = 25/100)
+//   iris: Hamming distance < 123  (0.478 × 256, strict less-than)
+const DEFAULT_BIOMETRIC_POLICY = {
+  minCosineSimilarity: 0.5,
+  hammingThreshold: 123
+};
+
+const IRIS_CODE_BITS = 256;
+
+// Threshold terms far below the circuit's 128-bit comparator range,
+// so wrapped field elements can never pass as "small" fractions
+const MAX_THRESHOLD_TERM = 2n ** 32n;
+
+// Validate a policy and fill in defaults for missing fields
+function normalizeBiometricPolicy(policy) {
+  const merged = { ...DEFAULT_BIOMETRIC_POLICY, ...(policy || {}) };
+
+  const minCosineSimilarity = Number(merged.minCosineSimilarity);
+  if (!Number.isFinite(minCosineSimilarity) || minCosineSimilarity <= 0 || minCosineSimilarity > 1) {
+    throw new Error('minCosineSimilarity must be a number in (0, 1]');
+  }
+
+  const hammingThreshold = Number(merged.hammingThreshold);
+  if (!Number.isInteger(hammingThreshold) || hammingThreshold < 1 || hammingThreshold > IRIS_CODE_BITS) {
+    throw new Error(`hammingThreshold must be an integer in [1, ${IRIS_CODE_BITS}]`);
+  }
+
+  return { minCosineSimilarity, hammingThreshold };
+}
+
+// Face circuit compares squared cosine against a fraction:
+//   minCosineSimilarity (2 decimals) → (round(c × 100))² / 10000
+function faceThresholdFromPolicy(policy) {
+  const { minCosineSimilarity } = normalizeBiometricPolicy(policy);
+  const scaled = BigInt(Math.round(minCosineSimilarity * 100));
+  return {
+    thresholdSqNum: scaled * scaled,
+    thresholdSqDen: 10000n
+  };
+}
+
+// Throw unless the proof's threshold signals are at least as strict as the policy.
+// thresholds: { thresholdSqNum, thresholdSqDen } for face, { hammingThreshold } for iris
+function assertBiometricPolicy(modality, thresholds, policy) {
+  const normalized = normalizeBiometricPolicy(policy);
+
+  if (modality === 'face') {
+    const num = BigInt(thresholds.thresholdSqNum);
+    const den = BigInt(thresholds.thresholdSqDen);
+    if (den <= 0n || num >= MAX_THRESHOLD_TERM || den >= MAX_THRESHOLD_TERM) {
+      throw new Error('Face proof threshold is malformed');
+    }
+
+    // num / den >= policyNum / policyDen, cross-multiplied
+    const required = faceThresholdFromPolicy(normalized);
+    if (num * required.thresholdSqDen < required.thresholdSqNum * den) {
+      throw new Error(`Face proof threshold is weaker than the ballot policy (cosine >= ${normalized.minCosineSimilarity})`);
+    }
+    return;
+  }
+
+  if (modality === 'iris') {
+    const hammingThreshold = BigInt(thresholds.hammingThreshold);
+    if (hammingThreshold > BigInt(normalized.hammingThreshold)) {
+      throw new Error(`Iris proof Hamming threshold is weaker than the ballot policy (< ${normalized.hammingThreshold})`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown biometric modality: ${modality}`);
+}
+
+module.exports = {
+  DEFAULT_BIOMETRIC_POLICY,
+  normalizeBiometricPolicy,
+  faceThresholdFromPolicy,
+  assertBiometricPolicy
+};
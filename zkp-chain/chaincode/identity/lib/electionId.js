@@ -0,0 +1,23 @@
+'use strict';
+
+// ============================================================
+// electionId.js — Ballot ID → circuit electionId derivation
+// Shared by the chaincode (castVote) and the API server
+// (routes/vote.js) so a proof is bound to exactly one ballot.
+// ============================================================
+
+const crypto = require('crypto');
+
+// electionId = first 128 bits of sha256(ballotId)
+// (128 bits always fits in the BN128 scalar field)
+function deriveElectionId(ballotId) {
+  if (ballotId === undefined || ballotId === null || String(ballotId) === '') {
+    throw new Error('deriveElectionId() requires a ballot ID');
+  }
+  const digest = crypto.createHash('sha256').update(String(ballotId)).digest('hex');
+  return BigInt('0x' + digest.slice(0, 32));
+}
+
+module.exports = {
+  deriveElectionId
+};
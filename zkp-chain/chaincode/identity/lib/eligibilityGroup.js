@@ -0,0 +1,43 @@
+'use strict';
+
+// ============================================================
+// eligibilityGroup.js — Per-ballot voter eligibility groups
+// A group is a registrar-approved subset of the registered voters
+// with its own Poseidon Merkle tree per modality, so a ballot that
+// lists groups only admits proofs over those groups' trees.
+//
+// A group's registrars are drawn from the on-chain registrar roster;
+// they approve members by signing
+//   { action: 'approveGroupMember', groupId, nidHash }
+// (see registrarRoster.js), so the approval is checked on-chain
+// whichever client submits it.
+// ============================================================
+
+const { verifyRegistrarSignature } = require('./registrarRoster');
+
+const GROUP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Ledger keys for a group's per-modality tree and its root registry
+function groupMerkleKeys(groupId, biometricType) {
+  return {
+    tree: `GROUP_MERKLE_TREE_${groupId}_${biometricType}`,
+    rootPrefix: `GROUP_MERKLE_ROOT_${groupId}_${biometricType}_`,
+    groupId
+  };
+}
+
+function approvalPayload(groupId, nidHash) {
+  return { action: 'approveGroupMember', groupId, nidHash };
+}
+
+// True if one of the group's registrars signed the approval
+function verifyApproval(registrars, groupId, nidHash, registrarId, signature) {
+  return verifyRegistrarSignature(registrars, registrarId, approvalPayload(groupId, nidHash), signature);
+}
+
+module.exports = {
+  GROUP_ID_PATTERN,
+  groupMerkleKeys,
+  approvalPayload,
+  verifyApproval
+};
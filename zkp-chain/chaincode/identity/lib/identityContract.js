@@ -1,6 +1,29 @@
 'use strict';
 
 const { Contract } = require('fabric-contract-api');
+const proofVerifier = require('./proofVerifier');
+const merkleTree = require('./merkleTree');
+const { deriveElectionId } = require('./electionId');
+const { computeSignalHash } = require('./signalHash');
+const { normalizeBiometricPolicy, assertBiometricPolicy } = require('./biometricPolicy');
+const { toPoint, verifyVoteProof } = require('./voteSumProof');
+const { normalizeSelectionRule } = require('./selectionRule');
+const eligibilityGroup = require('./eligibilityGroup');
+const registrarRoster = require('./registrarRoster');
+
+// Ledger keys for the per-modality commitment store, Merkle tree state and root registry
+const MERKLE_KEYS = {
+  face: { store: 'GLOBAL_COMMITMENTS', tree: 'MERKLE_TREE', rootPrefix: 'MERKLE_ROOT_' },
+  iris: { store: 'GLOBAL_IRIS_COMMITMENTS', tree: 'IRIS_MERKLE_TREE', rootPrefix: 'IRIS_MERKLE_ROOT_' }
+};
+
+// Enrollment ID of the CA bootstrap identity allowed to run admin transactions
+const ADMIN_ENROLLMENT_ID = 'admin';
+
+// Log form of an eligibility snapshot: voters per tree
+function describeSnapshot(snapshot) {
+  return snapshot.trees.map(t => `${t.groupId || 'all'}/${t.biometricType}: ${t.leafCount}`).join(', ');
+}
 
 class IdentityContract extends Contract {
 
@@ -21,6 +44,14 @@ class IdentityContract extends Contract {
       docType: 'iris_commitments'
     };
     await ctx.stub.putState('GLOBAL_IRIS_COMMITMENTS', Buffer.from(JSON.stringify(irisCommitmentsStore)));
+
+    // Initialize empty Poseidon Merkle trees (roots are tracked on-chain)
+    for (const biometricType of Object.keys(MERKLE_KEYS)) {
+      const tree = await merkleTree.emptyTree();
+      tree.biometricType = biometricType;
+      tree.docType = 'merkle_tree';
+      await ctx.stub.putState(MERKLE_KEYS[biometricType].tree, Buffer.from(JSON.stringify(tree)));
+    }
     
     console.log('Identity verification and voting ledger initialized (Merkle + Nullifier, face + iris)');
     console.log('============= END : Initialize Ledger ===========');
@@ -31,12 +62,16 @@ class IdentityContract extends Contract {
   // ============================
 
   // Register a new voter by adding their Poseidon commitment
-  async register(ctx, nidHash, commitment) {
+  // innerCommitment: Poseidon(faceHash, secretKey); the chain derives the
+  // Merkle leaf from it and the approved weight (see merkleTree.voterLeaf)
+  // weightApprovalJSON: { weight, registrarId, signature } for voters
+  // with more than one vote (omitted → weight 1)
+  async register(ctx, nidHash, innerCommitment, weightApprovalJSON = '') {
     console.log('============= START : Register Identity ===========');
     
     // Validate inputs
-    if (!nidHash || !commitment) {
-      throw new Error('All parameters (nidHash, commitment) are required');
+    if (!nidHash || !innerCommitment) {
+      throw new Error('All parameters (nidHash, innerCommitment) are required');
     }
 
     // Check if already registered (by NID)
@@ -45,6 +80,16 @@ class IdentityContract extends Contract {
       throw new Error(`Identity with NID hash ${nidHash} is already registered`);
     }
 
+    // One NID may hold only one biometric modality; otherwise the same person
+    // would own two secret keys and therefore two nullifiers per election
+    const irisBytes = await ctx.stub.getState(`IRIS_${nidHash}`);
+    if (irisBytes && irisBytes.length > 0) {
+      throw new Error(`Identity with NID hash ${nidHash} is already registered with iris biometric`);
+    }
+
+    const approvedWeight = await this._approvedWeight(ctx, nidHash, weightApprovalJSON);
+    const commitment = await merkleTree.voterLeaf(innerCommitment, approvedWeight.weight);
+
     // Get deterministic timestamp from transaction
     const txTimestamp = ctx.stub.getTxTimestamp();
     const timestampStr = new Date(txTimestamp.seconds.low * 1000).toISOString();
@@ -53,6 +98,7 @@ class IdentityContract extends Contract {
     const identity = {
       nidHash,
       commitment,
+      ...approvedWeight,
       registeredAt: timestampStr,
       docType: 'identity'
     };
@@ -85,6 +131,29 @@ class IdentityContract extends Contract {
     return identityBytes && identityBytes.length > 0;
   }
 
+  // Helper: Check a registrar-signed weight approval
+  // Refuses anyone above weight 1 without a roster registrar's signature.
+  // The returned weight is the one hashed into the voter's leaf and
+  // recorded on the identity for audit.
+  async _approvedWeight(ctx, nidHash, weightApprovalJSON) {
+    if (!weightApprovalJSON) {
+      return { weight: 1 };
+    }
+
+    const { weight, registrarId, signature } = JSON.parse(weightApprovalJSON);
+    if (!Number.isInteger(weight) || weight < 1 || weight > registrarRoster.MAX_WEIGHT) {
+      throw new Error('Approved weight must be a positive integer below 2^32');
+    }
+
+    const registrars = await this._getRegistrarRoster(ctx);
+    const payload = registrarRoster.weightApprovalPayload(nidHash, weight);
+    if (!registrarRoster.verifyRegistrarSignature(registrars, registrarId, payload, signature)) {
+      throw new Error(`Invalid weight approval from registrar ${registrarId}`);
+    }
+
+    return { weight, weightApprovedBy: registrarId };
+  }
+
   // Helper: Add commitment to global list
   async _addCommitment(ctx, commitment, timestamp) {
     // Get current commitments
@@ -112,6 +181,9 @@ class IdentityContract extends Contract {
 
     // Update store
     await ctx.stub.putState('GLOBAL_COMMITMENTS', Buffer.from(JSON.stringify(store)));
+
+    // Recompute the face Merkle root and record it as accepted
+    await this._appendToMerkleTree(ctx, 'face', store.commitments, timestamp);
     
     console.log(`Added commitment. Total commitments: ${store.commitments.length}`);
   }
@@ -159,11 +231,12 @@ class IdentityContract extends Contract {
   // ============================
 
   // Register a new voter via iris biometric
-  async registerIris(ctx, nidHash, commitment) {
+  // innerCommitment: Poseidon(irisHash, secretKey), hashed with the approved weight as in register
+  async registerIris(ctx, nidHash, innerCommitment, weightApprovalJSON = '') {
     console.log('============= START : Register Iris Identity ===========');
     
-    if (!nidHash || !commitment) {
-      throw new Error('All parameters (nidHash, commitment) are required');
+    if (!nidHash || !innerCommitment) {
+      throw new Error('All parameters (nidHash, innerCommitment) are required');
     }
 
     // Check if already registered with iris (separate key space)
@@ -173,6 +246,15 @@ class IdentityContract extends Contract {
       throw new Error(`Iris identity with NID hash ${nidHash} is already registered`);
     }
 
+    // Reject if the NID already holds a face identity (one modality per voter)
+    const faceExists = await this.userExists(ctx, nidHash);
+    if (faceExists) {
+      throw new Error(`Identity with NID hash ${nidHash} is already registered with face biometric`);
+    }
+
+    const approvedWeight = await this._approvedWeight(ctx, nidHash, weightApprovalJSON);
+    const commitment = await merkleTree.voterLeaf(innerCommitment, approvedWeight.weight);
+
     const txTimestamp = ctx.stub.getTxTimestamp();
     const timestampStr = new Date(txTimestamp.seconds.low * 1000).toISOString();
 
@@ -180,6 +262,7 @@ class IdentityContract extends Contract {
       nidHash,
       commitment,
       biometricType: 'iris',
+      ...approvedWeight,
       registeredAt: timestampStr,
       docType: 'iris_identity'
     };
@@ -229,6 +312,10 @@ class IdentityContract extends Contract {
     });
 
     await ctx.stub.putState('GLOBAL_IRIS_COMMITMENTS', Buffer.from(JSON.stringify(store)));
+
+    // Recompute the iris Merkle root and record it as accepted
+    await this._appendToMerkleTree(ctx, 'iris', store.commitments, timestamp);
+
     console.log(`Added iris commitment. Total iris commitments: ${store.commitments.length}`);
   }
 
@@ -268,6 +355,745 @@ class IdentityContract extends Contract {
     return store.commitments.length;
   }
 
+  // ============================
+  // MERKLE ROOT REGISTRY
+  // (One incremental tree per biometric modality)
+  // ============================
+
+  // Helper: Insert the newest commitment into the modality's Merkle tree
+  // and register the resulting root. `commitments` is the full stored list
+  // with the new commitment already appended. `keys` selects an eligibility
+  // group's tree instead of the global one.
+  async _appendToMerkleTree(ctx, biometricType, commitments, timestamp, keys = MERKLE_KEYS[biometricType]) {
+    const treeBytes = await ctx.stub.getState(keys.tree);
+    let tree = treeBytes && treeBytes.length > 0 ? JSON.parse(treeBytes.toString()) : null;
+
+    if (tree && tree.nextIndex === commitments.length - 1) {
+      tree = await merkleTree.insertLeaf(tree, commitments[commitments.length - 1].value);
+    } else {
+      // Tree state missing or out of sync (e.g. ledger created before the
+      // root registry existed) — rebuild it from the stored commitments
+      console.log(`Rebuilding ${biometricType} Merkle tree from ${commitments.length} commitments`);
+      tree = await merkleTree.buildTree(commitments.map(c => c.value));
+    }
+
+    tree.biometricType = biometricType;
+    tree.updatedAt = timestamp;
+    tree.docType = 'merkle_tree';
+    await ctx.stub.putState(keys.tree, Buffer.from(JSON.stringify(tree)));
+
+    // Every root the tree has ever had stays valid for proofs
+    const rootRecord = {
+      root: tree.root,
+      biometricType,
+      leafCount: tree.nextIndex,
+      createdAt: timestamp,
+      docType: 'merkle_root'
+    };
+    if (keys.groupId) {
+      rootRecord.groupId = keys.groupId;
+      rootRecord.docType = 'group_merkle_root';
+    }
+    await ctx.stub.putState(`${keys.rootPrefix}${tree.root}`, Buffer.from(JSON.stringify(rootRecord)));
+
+    console.log(`${biometricType} Merkle root${keys.groupId ? ` (group ${keys.groupId})` : ''}: ${tree.root.slice(0, 20)}... (${tree.nextIndex} leaves)`);
+  }
+
+  // Helper: Current tree summary for a modality
+  async _getMerkleRoot(ctx, biometricType) {
+    const treeBytes = await ctx.stub.getState(MERKLE_KEYS[biometricType].tree);
+    const tree = treeBytes && treeBytes.length > 0
+      ? JSON.parse(treeBytes.toString())
+      : await merkleTree.emptyTree();
+
+    return JSON.stringify({
+      biometricType,
+      root: tree.root,
+      leafCount: tree.nextIndex,
+      levels: tree.levels,
+      updatedAt: tree.updatedAt || null
+    });
+  }
+
+  // Helper: All registered roots for a modality (or one group's tree), oldest first
+  async _getMerkleRootHistory(ctx, biometricType, groupId = '') {
+    const queryString = {
+      selector: groupId
+        ? { docType: 'group_merkle_root', biometricType, groupId }
+        : { docType: 'merkle_root', biometricType }
+    };
+
+    const roots = [];
+    const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
+    let result = await iterator.next();
+
+    while (!result.done) {
+      const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
+      try {
+        const record = JSON.parse(strValue);
+        roots.push({
+          root: record.root,
+          leafCount: record.leafCount,
+          createdAt: record.createdAt
+        });
+      } catch (err) {
+        console.log('Error parsing record:', err);
+      }
+      result = await iterator.next();
+    }
+    await iterator.close();
+
+    roots.sort((a, b) => a.leafCount - b.leafCount);
+    return JSON.stringify(roots);
+  }
+
+  // Get the current face Merkle root
+  async getMerkleRoot(ctx) {
+    console.log('============= START : Get Merkle Root ===========');
+    const result = await this._getMerkleRoot(ctx, 'face');
+    console.log('============= END : Get Merkle Root ===========');
+    return result;
+  }
+
+  // Get every face Merkle root accepted for proofs
+  async getMerkleRootHistory(ctx) {
+    console.log('============= START : Get Merkle Root History ===========');
+    const result = await this._getMerkleRootHistory(ctx, 'face');
+    console.log('============= END : Get Merkle Root History ===========');
+    return result;
+  }
+
+  // Get the current iris Merkle root
+  async getIrisMerkleRoot(ctx) {
+    console.log('============= START : Get Iris Merkle Root ===========');
+    const result = await this._getMerkleRoot(ctx, 'iris');
+    console.log('============= END : Get Iris Merkle Root ===========');
+    return result;
+  }
+
+  // Get every iris Merkle root accepted for proofs
+  async getIrisMerkleRootHistory(ctx) {
+    console.log('============= START : Get Iris Merkle Root History ===========');
+    const result = await this._getMerkleRootHistory(ctx, 'iris');
+    console.log('============= END : Get Iris Merkle Root History ===========');
+    return result;
+  }
+
+  // ============================
+  // REGISTRAR ROSTER
+  // (Keys of the registrars who approve voter weights and
+  //  group memberships; only the admin identity may set it)
+  // ============================
+
+  // Helper: Admin transactions need the CA's bootstrap identity (enrollAdmin.js)
+  _isAdmin(ctx) {
+    return ctx.clientIdentity.getAttributeValue('hf.EnrollmentID') === ADMIN_ENROLLMENT_ID;
+  }
+
+  _assertAdmin(ctx, action) {
+    if (!this._isAdmin(ctx)) {
+      throw new Error(`Only the ${ADMIN_ENROLLMENT_ID} identity may ${action}`);
+    }
+  }
+
+  // Helper: Current roster (empty until the admin sets one)
+  async _getRegistrarRoster(ctx) {
+    const rosterBytes = await ctx.stub.getState(registrarRoster.ROSTER_KEY);
+    if (!rosterBytes || rosterBytes.length === 0) {
+      return [];
+    }
+    return JSON.parse(rosterBytes.toString()).registrars;
+  }
+
+  // Replace the registrar roster (admin only)
+  async setRegistrarRoster(ctx, registrarsJSON) {
+    console.log('============= START : Set Registrar Roster ===========');
+
+    this._assertAdmin(ctx, 'set the registrar roster');
+    const registrars = registrarRoster.normalizeRegistrars(JSON.parse(registrarsJSON));
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    const timestampStr = new Date(txTimestamp.seconds.low * 1000).toISOString();
+
+    const roster = {
+      registrars,
+      updatedAt: timestampStr,
+      docType: 'registrar_roster'
+    };
+    await ctx.stub.putState(registrarRoster.ROSTER_KEY, Buffer.from(JSON.stringify(roster)));
+
+    await ctx.stub.setEvent('RegistrarRosterSet', Buffer.from(JSON.stringify({
+      registrarIds: registrars.map(r => r.id),
+      timestamp: timestampStr
+    })));
+
+    console.log(`Registrar roster set: ${registrars.map(r => r.id).join(', ')}`);
+    console.log('============= END : Set Registrar Roster ===========');
+
+    return JSON.stringify(roster);
+  }
+
+  // Get the registrar roster
+  async getRegistrarRoster(ctx) {
+    return JSON.stringify(await this._getRegistrarRoster(ctx));
+  }
+
+  // ============================
+  // ELIGIBILITY GROUPS
+  // (Registrar-approved voter subsets, each with its own Merkle
+  //  tree per modality; ballots that list groups only accept
+  //  proofs over those trees)
+  // ============================
+
+  // Helper: Load a group or throw
+  async _getGroup(ctx, groupId) {
+    if (!groupId) {
+      throw new Error('Group ID is required');
+    }
+    const groupBytes = await ctx.stub.getState(`GROUP_${groupId}`);
+    if (!groupBytes || groupBytes.length === 0) {
+      throw new Error(`Eligibility group ${groupId} does not exist`);
+    }
+    return JSON.parse(groupBytes.toString());
+  }
+
+  // Create an eligibility group run by registrars from the on-chain roster
+  // registrarIdsJSON: the roster registrars who may admit members (omitted → all of them)
+  async createEligibilityGroup(ctx, groupId, name, description, registrarIdsJSON = '') {
+    console.log('============= START : Create Eligibility Group ===========');
+
+    if (!groupId || !name) {
+      throw new Error('Required parameters: groupId, name');
+    }
+    if (!eligibilityGroup.GROUP_ID_PATTERN.test(groupId)) {
+      throw new Error('Group ID may only contain letters, digits, \'-\' and \'_\' (max 64)');
+    }
+
+    const existing = await ctx.stub.getState(`GROUP_${groupId}`);
+    if (existing && existing.length > 0) {
+      throw new Error(`Eligibility group ${groupId} already exists`);
+    }
+
+    const roster = await this._getRegistrarRoster(ctx);
+    if (roster.length === 0) {
+      throw new Error('No registrar roster on the ledger - the admin must set one first');
+    }
+    const registrarIds = registrarIdsJSON ? JSON.parse(registrarIdsJSON) : roster.map(r => r.id);
+    if (!Array.isArray(registrarIds) || registrarIds.length === 0) {
+      throw new Error('A group needs at least one registrar');
+    }
+    const unknown = registrarIds.find(id => !roster.some(r => r.id === id));
+    if (unknown !== undefined) {
+      throw new Error(`${unknown} is not on the registrar roster`);
+    }
+    const registrars = roster.filter(r => registrarIds.includes(r.id));
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    const timestampStr = new Date(txTimestamp.seconds.low * 1000).toISOString();
+
+    const group = {
+      id: groupId,
+      name,
+      description: description || '',
+      registrars,
+      // Member commitments per modality, in approval order (= leaf order)
+      commitments: { face: [], iris: [] },
+      // Membership requests awaiting a registrar signature
+      pending: [],
+      createdAt: timestampStr,
+      docType: 'eligibility_group'
+    };
+
+    await ctx.stub.putState(`GROUP_${groupId}`, Buffer.from(JSON.stringify(group)));
+
+    // Empty trees have a root too: a group ballot may open before anyone is approved
+    for (const biometricType of Object.keys(MERKLE_KEYS)) {
+      await this._appendToMerkleTree(ctx, biometricType, [], timestampStr, eligibilityGroup.groupMerkleKeys(groupId, biometricType));
+    }
+
+    await ctx.stub.setEvent('EligibilityGroupCreated', Buffer.from(JSON.stringify({
+      groupId,
+      name,
+      timestamp: timestampStr
+    })));
+
+    console.log(`Eligibility group created: ${groupId} (${registrars.length} registrars)`);
+    console.log('============= END : Create Eligibility Group ===========');
+
+    return JSON.stringify(group);
+  }
+
+  // Ask for a registered voter to be added to a group (approved separately by a registrar)
+  async requestGroupMembership(ctx, groupId, nidHash) {
+    console.log('============= START : Request Group Membership ===========');
+
+    if (!nidHash) {
+      throw new Error('NID hash is required');
+    }
+    const group = await this._getGroup(ctx, groupId);
+
+    // The voter's commitment, from whichever modality they registered with
+    const faceBytes = await ctx.stub.getState(nidHash);
+    const irisBytes = await ctx.stub.getState(`IRIS_${nidHash}`);
+    const identityBytes = faceBytes && faceBytes.length > 0 ? faceBytes : irisBytes;
+    if (!identityBytes || identityBytes.length === 0) {
+      throw new Error(`Identity with NID hash ${nidHash} is not registered`);
+    }
+    const identity = JSON.parse(identityBytes.toString());
+    const biometricType = identity.biometricType || 'face';
+
+    if (group.commitments[biometricType].some(c => c.value === identity.commitment)) {
+      throw new Error(`Identity is already a member of group ${groupId}`);
+    }
+    if (group.pending.some(p => p.nidHash === nidHash)) {
+      throw new Error(`Identity already has a pending request for group ${groupId}`);
+    }
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    const request = {
+      nidHash,
+      biometricType,
+      requestedAt: new Date(txTimestamp.seconds.low * 1000).toISOString()
+    };
+    group.pending.push(request);
+
+    await ctx.stub.putState(`GROUP_${groupId}`, Buffer.from(JSON.stringify(group)));
+
+    console.log(`Membership requested: ${nidHash} → ${groupId}`);
+    console.log('============= END : Request Group Membership ===========');
+
+    return JSON.stringify(request);
+  }
+
+  // Approve a pending request with a registrar's signature; the voter's
+  // commitment joins the group tree and the new root is registered
+  async approveGroupMembership(ctx, groupId, nidHash, registrarId, signature) {
+    console.log('============= START : Approve Group Membership ===========');
+
+    const group = await this._getGroup(ctx, groupId);
+    const request = group.pending.find(p => p.nidHash === nidHash);
+    if (!request) {
+      throw new Error(`No pending request from ${nidHash} for group ${groupId}`);
+    }
+    // Checked against the current roster, so a registrar removed from it can no longer admit anyone
+    const roster = await this._getRegistrarRoster(ctx);
+    const registrars = roster.filter(r => group.registrars.some(g => g.id === r.id));
+    if (!eligibilityGroup.verifyApproval(registrars, groupId, nidHash, registrarId, signature)) {
+      throw new Error(`Invalid approval signature from registrar ${registrarId}`);
+    }
+
+    const identityKey = request.biometricType === 'iris' ? `IRIS_${nidHash}` : nidHash;
+    const identity = JSON.parse((await ctx.stub.getState(identityKey)).toString());
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    const timestampStr = new Date(txTimestamp.seconds.low * 1000).toISOString();
+
+    const commitments = group.commitments[request.biometricType];
+    commitments.push({ value: identity.commitment, addedAt: timestampStr, approvedBy: registrarId });
+    group.pending = group.pending.filter(p => p !== request);
+
+    await ctx.stub.putState(`GROUP_${groupId}`, Buffer.from(JSON.stringify(group)));
+    await this._appendToMerkleTree(ctx, request.biometricType, commitments, timestampStr,
+      eligibilityGroup.groupMerkleKeys(groupId, request.biometricType));
+
+    // The event carries no nidHash: only that the group grew
+    await ctx.stub.setEvent('GroupMemberApproved', Buffer.from(JSON.stringify({
+      groupId,
+      biometricType: request.biometricType,
+      memberCount: commitments.length,
+      timestamp: timestampStr
+    })));
+
+    console.log(`Group ${groupId}: ${request.biometricType} member approved by ${registrarId} (${commitments.length} members)`);
+    console.log('============= END : Approve Group Membership ===========');
+
+    return JSON.stringify({ groupId, biometricType: request.biometricType, memberCount: commitments.length });
+  }
+
+  // Get a group: registrars, pending requests and member counts
+  async getEligibilityGroup(ctx, groupId) {
+    const group = await this._getGroup(ctx, groupId);
+    const { commitments, ...summary } = group;
+    return JSON.stringify({
+      ...summary,
+      memberCount: { face: commitments.face.length, iris: commitments.iris.length }
+    });
+  }
+
+  // List all eligibility groups (summaries)
+  async listEligibilityGroups(ctx) {
+    console.log('============= START : List Eligibility Groups ===========');
+
+    const groups = [];
+    const iterator = await ctx.stub.getQueryResult(JSON.stringify({ selector: { docType: 'eligibility_group' } }));
+    let result = await iterator.next();
+
+    while (!result.done) {
+      const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
+      try {
+        const { commitments, pending, ...summary } = JSON.parse(strValue);
+        groups.push({
+          ...summary,
+          pendingCount: pending.length,
+          memberCount: { face: commitments.face.length, iris: commitments.iris.length }
+        });
+      } catch (err) {
+        console.log('Error parsing record:', err);
+      }
+      result = await iterator.next();
+    }
+    await iterator.close();
+
+    groups.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    console.log(`Found ${groups.length} eligibility groups`);
+    console.log('============= END : List Eligibility Groups ===========');
+
+    return JSON.stringify(groups);
+  }
+
+  // Member commitments of one group's modality tree, in leaf order
+  async getGroupCommitments(ctx, groupId, biometricType = 'face') {
+    if (!MERKLE_KEYS[biometricType]) {
+      throw new Error(`Unknown biometric type: ${biometricType}`);
+    }
+    const group = await this._getGroup(ctx, groupId);
+    return JSON.stringify(group.commitments[biometricType].map(c => c.value));
+  }
+
+  // Every root one group's modality tree has had, oldest first
+  async getGroupMerkleRootHistory(ctx, groupId, biometricType = 'face') {
+    if (!MERKLE_KEYS[biometricType]) {
+      throw new Error(`Unknown biometric type: ${biometricType}`);
+    }
+    await this._getGroup(ctx, groupId);
+    return this._getMerkleRootHistory(ctx, biometricType, groupId);
+  }
+
+  // ============================
+  // BALLOT FUNCTIONS
+  // (Ballots are ledger assets so every peer agrees on the options)
+  // ============================
+
+  // Helper: Freeze the voter trees a ballot's proofs must use — the global
+  // tree of each modality, or each of its eligibility groups' trees — so
+  // voters registered or admitted later cannot vote. Trees are append-only:
+  // the first leafCount commitments of the list rebuild the snapshot root.
+  // A vote record names its tree (merkleRoot, biometricType), so a voter
+  // hides only among that one tree's leafCount voters; there is no
+  // ballot-wide anonymity set to add up.
+  async _takeEligibilitySnapshot(ctx, eligibilityGroups, timestamp) {
+    const trees = [];
+    for (const groupId of eligibilityGroups.length > 0 ? eligibilityGroups : [null]) {
+      const group = groupId ? await this._getGroup(ctx, groupId) : null;
+
+      for (const biometricType of Object.keys(MERKLE_KEYS)) {
+        const keys = group ? eligibilityGroup.groupMerkleKeys(groupId, biometricType) : MERKLE_KEYS[biometricType];
+        let commitments;
+        if (group) {
+          commitments = group.commitments[biometricType];
+        } else {
+          const storeBytes = await ctx.stub.getState(keys.store);
+          commitments = storeBytes && storeBytes.length > 0 ? JSON.parse(storeBytes.toString()).commitments : [];
+        }
+
+        // Stored tree state, unless it lags the commitment list (pre-registry ledgers)
+        const treeBytes = await ctx.stub.getState(keys.tree);
+        let tree = treeBytes && treeBytes.length > 0 ? JSON.parse(treeBytes.toString()) : null;
+        if (!tree || tree.nextIndex !== commitments.length) {
+          tree = await merkleTree.buildTree(commitments.map(c => c.value));
+        }
+
+        trees.push({ groupId, biometricType, root: tree.root, leafCount: tree.nextIndex });
+      }
+    }
+
+    return { takenAt: timestamp, trees };
+  }
+
+  // Create a new ballot
+  async createBallot(ctx, ballotId, title, description, optionsJSON, startTime, endTime, allowMultipleVotes, biometricPolicyJSON = '', selectionRuleJSON = '', eligibilityGroupsJSON = '') {
+    console.log('============= START : Create Ballot ===========');
+
+    if (!ballotId || !title || !optionsJSON) {
+      throw new Error('Required parameters: ballotId, title, options');
+    }
+
+    const ballotKey = `BALLOT_${ballotId}`;
+    const existing = await ctx.stub.getState(ballotKey);
+    if (existing && existing.length > 0) {
+      throw new Error(`Ballot ${ballotId} already exists`);
+    }
+
+    const options = JSON.parse(optionsJSON);
+    if (!Array.isArray(options) || options.length < 2) {
+      throw new Error('A ballot needs at least 2 options');
+    }
+    if (new Set(options).size !== options.length) {
+      throw new Error('Duplicate options detected');
+    }
+
+    // Minimum biometric match thresholds every vote proof must meet
+    const biometricPolicy = normalizeBiometricPolicy(
+      biometricPolicyJSON ? JSON.parse(biometricPolicyJSON) : null
+    );
+
+    // How many options each vote may select (single-choice unless specified)
+    const selectionRule = normalizeSelectionRule(
+      selectionRuleJSON ? JSON.parse(selectionRuleJSON) : null,
+      options.length
+    );
+
+    // Who may vote: members of any listed group (everyone registered if none)
+    const eligibilityGroups = eligibilityGroupsJSON ? JSON.parse(eligibilityGroupsJSON) : [];
+    if (!Array.isArray(eligibilityGroups) || new Set(eligibilityGroups).size !== eligibilityGroups.length) {
+      throw new Error('Eligibility groups must be a list of distinct group IDs');
+    }
+    for (const groupId of eligibilityGroups) {
+      await this._getGroup(ctx, groupId);
+    }
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    const txTime = new Date(txTimestamp.seconds.low * 1000);
+    const timestampStr = txTime.toISOString();
+
+    const ballot = {
+      id: ballotId,
+      title,
+      description: description || '',
+      // Option order defines the position of each entry in the encrypted vote vector
+      options: options.map((name, idx) => ({
+        id: `option_${idx}`,
+        name
+      })),
+      startTime: startTime || timestampStr,
+      endTime: endTime || null,
+      allowMultipleVotes: allowMultipleVotes === 'true',
+      biometricPolicy,
+      selectionRule,
+      eligibilityGroups,
+      // Voter set frozen when the ballot opens (see _openBallot)
+      eligibilitySnapshot: null,
+      // Only this identity (or the admin) may attach eligibility groups later
+      createdBy: ctx.clientIdentity.getID(),
+      status: 'active',
+      createdAt: timestampStr,
+      closedAt: null,
+      docType: 'ballot'
+    };
+
+    // A ballot without a later startTime opens right away
+    if (new Date(ballot.startTime) <= txTime) {
+      ballot.eligibilitySnapshot = await this._takeEligibilitySnapshot(ctx, eligibilityGroups, timestampStr);
+    }
+
+    await ctx.stub.putState(ballotKey, Buffer.from(JSON.stringify(ballot)));
+
+    await ctx.stub.setEvent('BallotCreated', Buffer.from(JSON.stringify({
+      ballotId,
+      title,
+      timestamp: timestampStr
+    })));
+
+    console.log(`Ballot created: ${ballotId} (${options.length} options, ${ballot.eligibilitySnapshot ? `voters per tree ${describeSnapshot(ballot.eligibilitySnapshot)}` : `opens ${ballot.startTime}`})`);
+    console.log('============= END : Create Ballot ===========');
+
+    return JSON.stringify(ballot);
+  }
+
+  // Close an active ballot
+  async closeBallot(ctx, ballotId) {
+    console.log('============= START : Close Ballot ===========');
+
+    const ballot = JSON.parse(await this.getBallot(ctx, ballotId));
+    if (ballot.status !== 'active') {
+      throw new Error(`Ballot ${ballotId} is already ${ballot.status}`);
+    }
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    ballot.status = 'closed';
+    ballot.closedAt = new Date(txTimestamp.seconds.low * 1000).toISOString();
+
+    await ctx.stub.putState(`BALLOT_${ballotId}`, Buffer.from(JSON.stringify(ballot)));
+
+    await ctx.stub.setEvent('BallotClosed', Buffer.from(JSON.stringify({
+      ballotId,
+      timestamp: ballot.closedAt
+    })));
+
+    console.log(`Ballot closed: ${ballotId}`);
+    console.log('============= END : Close Ballot ===========');
+
+    return JSON.stringify(ballot);
+  }
+
+  // Helper: Open a ballot whose startTime has passed by freezing its voter
+  // set. Runs in openBallot or, if nobody called that, in the first vote;
+  // concurrent first votes then conflict on the ballot key and one retries.
+  async _openBallot(ctx, ballot, txTime) {
+    if (ballot.eligibilitySnapshot) {
+      return ballot;
+    }
+    if (ballot.startTime && new Date(ballot.startTime) > txTime) {
+      throw new Error(`Ballot ${ballot.id} has not started yet`);
+    }
+
+    ballot.eligibilitySnapshot = await this._takeEligibilitySnapshot(
+      ctx, ballot.eligibilityGroups || [], txTime.toISOString()
+    );
+    await ctx.stub.putState(`BALLOT_${ballot.id}`, Buffer.from(JSON.stringify(ballot)));
+
+    await ctx.stub.setEvent('BallotOpened', Buffer.from(JSON.stringify({
+      ballotId: ballot.id,
+      trees: ballot.eligibilitySnapshot.trees,
+      timestamp: txTime.toISOString()
+    })));
+
+    console.log(`Ballot opened: ${ballot.id} (voters per tree ${describeSnapshot(ballot.eligibilitySnapshot)})`);
+    return ballot;
+  }
+
+  // Open a ballot once its startTime has passed: freezes the voter set so
+  // clients can build proofs over the snapshot before the first vote.
+  // Anyone may call it; opening an already open ballot changes nothing.
+  async openBallot(ctx, ballotId) {
+    console.log('============= START : Open Ballot ===========');
+
+    const ballot = JSON.parse(await this.getBallot(ctx, ballotId));
+    if (ballot.status !== 'active') {
+      throw new Error(`Ballot ${ballotId} is ${ballot.status}`);
+    }
+
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    await this._openBallot(ctx, ballot, new Date(txTimestamp.seconds.low * 1000));
+
+    console.log('============= END : Open Ballot ===========');
+
+    return JSON.stringify(ballot);
+  }
+
+  // Restrict a ballot to one more eligibility group. Only before it opens:
+  // from startTime on, its voter set is frozen.
+  async attachEligibilityGroup(ctx, ballotId, groupId) {
+    console.log('============= START : Attach Eligibility Group ===========');
+
+    const ballot = JSON.parse(await this.getBallot(ctx, ballotId));
+    if (ballot.createdBy !== ctx.clientIdentity.getID() && !this._isAdmin(ctx)) {
+      throw new Error(`Only the creator of ballot ${ballotId} or the ${ADMIN_ENROLLMENT_ID} identity may attach eligibility groups`);
+    }
+    if (ballot.status !== 'active') {
+      throw new Error(`Ballot ${ballotId} is ${ballot.status}`);
+    }
+    await this._getGroup(ctx, groupId);
+
+    const groups = ballot.eligibilityGroups || [];
+    if (groups.includes(groupId)) {
+      throw new Error(`Group ${groupId} is already attached to ballot ${ballotId}`);
+    }
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    if (ballot.eligibilitySnapshot || new Date(ballot.startTime) <= new Date(txTimestamp.seconds.low * 1000)) {
+      throw new Error(`Ballot ${ballotId} has already opened; its eligibility can no longer change`);
+    }
+
+    ballot.eligibilityGroups = [...groups, groupId];
+    await ctx.stub.putState(`BALLOT_${ballotId}`, Buffer.from(JSON.stringify(ballot)));
+
+    console.log(`Group ${groupId} attached to ballot ${ballotId}`);
+    console.log('============= END : Attach Eligibility Group ===========');
+
+    return JSON.stringify(ballot);
+  }
+
+  // Publish the ballot's joint ElGamal public key (from the tally trustee
+  // ceremony) so castVote can check vote sum proofs on-chain. Set once, by
+  // the ballot's creator or the admin identity.
+  async setBallotEncryptionKey(ctx, ballotId, publicKeyJSON) {
+    console.log('============= START : Set Ballot Encryption Key ===========');
+
+    const ballot = JSON.parse(await this.getBallot(ctx, ballotId));
+    if (ballot.createdBy !== ctx.clientIdentity.getID() && !this._isAdmin(ctx)) {
+      throw new Error(`Only the creator of ballot ${ballotId} or the ${ADMIN_ENROLLMENT_ID} identity may set its encryption key`);
+    }
+    if (ballot.status !== 'active') {
+      throw new Error(`Ballot ${ballotId} is ${ballot.status}`);
+    }
+    if (ballot.encryptionKey) {
+      throw new Error(`Ballot ${ballotId} already has an encryption key`);
+    }
+
+    const publicKey = JSON.parse(publicKeyJSON);
+    if (!publicKey || !/^[0-9a-f]+$/i.test(publicKey.x) || !/^[0-9a-f]+$/i.test(publicKey.y)) {
+      throw new Error('Encryption key must be { x, y } hex coordinates');
+    }
+    // Every later vote is checked against this key: an off-curve one
+    // would make each of those checks throw
+    try {
+      toPoint(publicKey);
+    } catch (err) {
+      throw new Error('Encryption key is not a point on secp256k1');
+    }
+    ballot.encryptionKey = { x: publicKey.x, y: publicKey.y };
+
+    await ctx.stub.putState(`BALLOT_${ballotId}`, Buffer.from(JSON.stringify(ballot)));
+
+    console.log(`Encryption key set for ballot: ${ballotId}`);
+    console.log('============= END : Set Ballot Encryption Key ===========');
+
+    return JSON.stringify(ballot);
+  }
+
+  // Get a ballot by ID
+  async getBallot(ctx, ballotId) {
+    if (!ballotId) {
+      throw new Error('Ballot ID is required');
+    }
+
+    const ballotBytes = await ctx.stub.getState(`BALLOT_${ballotId}`);
+    if (!ballotBytes || ballotBytes.length === 0) {
+      throw new Error(`Ballot ${ballotId} does not exist`);
+    }
+
+    return ballotBytes.toString();
+  }
+
+  // List ballots, optionally filtered by status ('active' | 'closed')
+  async listBallots(ctx, status = '') {
+    console.log('============= START : List Ballots ===========');
+
+    const queryString = {
+      selector: {
+        docType: 'ballot'
+      }
+    };
+
+    if (status && status.trim() !== '') {
+      queryString.selector.status = status;
+    }
+
+    const ballots = [];
+    const iterator = await ctx.stub.getQueryResult(JSON.stringify(queryString));
+    let result = await iterator.next();
+
+    while (!result.done) {
+      const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
+      try {
+        const record = JSON.parse(strValue);
+        if (record.docType === 'ballot') ballots.push(record);
+      } catch (err) {
+        console.log('Error parsing record:', err);
+      }
+      result = await iterator.next();
+    }
+    await iterator.close();
+
+    ballots.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    console.log(`Found ${ballots.length} ballots`);
+    console.log('============= END : List Ballots ===========');
+
+    return JSON.stringify(ballots);
+  }
+
   // ============================
   // VOTING FUNCTIONS
   // ============================
@@ -275,15 +1101,39 @@ class IdentityContract extends Contract {
   // Cast a vote with ZK-SNARK proof + nullifier
   // The chaincode is completely oblivious to the voter's identity.
   // The nullifier prevents double voting without revealing who voted.
-  async castVote(ctx, proofJSON, publicSignalsJSON, nullifier, encryptedVoteJSON, ballotId) {
+  // On re-voting ballots (allowMultipleVotes) a repeated nullifier instead
+  // supersedes the voter's earlier vote: only the last one before endTime
+  // counts. Earlier vote records are never rewritten, but every vote
+  // record carries its public nullifier, so re-votes are not hidden:
+  // anyone who knows a nullifier (e.g. a coercer who watched the first
+  // vote being cast) sees the replacement in getVoteHistory or
+  // getAllVotes(includeSuperseded). Re-voting only resists a coercer who
+  // does not learn the nullifier.
+  async castVote(ctx, proofJSON, publicSignalsJSON, nullifier, encryptedVoteJSON, ballotId, sumProofJSON = '') {
     console.log('============= START : Cast Vote ===========');
     
-    if (!proofJSON || !publicSignalsJSON || !nullifier) {
-      throw new Error('Required parameters: proof, publicSignals, nullifier');
+    if (!proofJSON || !publicSignalsJSON || !nullifier || !ballotId) {
+      throw new Error('Required parameters: proof, publicSignals, nullifier, ballotId');
     }
 
     const proof = JSON.parse(proofJSON);
     const publicSignals = JSON.parse(publicSignalsJSON);
+
+    // Verify the Groth16 proof on-chain against the face/iris verification key
+    const modality = await proofVerifier.verifyVoteProof(proof, publicSignals);
+    console.log(`✅ ${modality} ZK-SNARK proof verified on-chain`);
+
+    // The nullifier argument must be the one the proof commits to
+    const provenNullifier = proofVerifier.getSignal(publicSignals, modality, 'nullifier');
+    if (provenNullifier !== BigInt(nullifier).toString()) {
+      throw new Error('Nullifier does not match the nullifier in the proof public signals');
+    }
+
+    // The proof must have been generated for this ballot
+    const provenElectionId = proofVerifier.getSignal(publicSignals, modality, 'electionId');
+    if (provenElectionId !== deriveElectionId(ballotId).toString()) {
+      throw new Error(`Proof electionId does not match ballot ${ballotId}`);
+    }
     
     // Parse encrypted vote if provided
     let encryptedVote = null;
@@ -298,11 +1148,78 @@ class IdentityContract extends Contract {
       console.log('⚠️  Warning: No encrypted vote provided');
     }
 
+    // The proof must have been generated for exactly these ciphertexts
+    const provenSignalHash = proofVerifier.getSignal(publicSignals, modality, 'signalHash');
+    if (provenSignalHash !== computeSignalHash(ballotId, encryptedVote).toString()) {
+      throw new Error('Encrypted vote does not match the signalHash in the proof public signals');
+    }
+
+    // The ballot must exist on the ledger and be open for voting
+    const ballot = JSON.parse(await this.getBallot(ctx, ballotId));
+    const txTimestamp = ctx.stub.getTxTimestamp();
+    const txTime = new Date(txTimestamp.seconds.low * 1000);
+
+    if (ballot.status !== 'active') {
+      throw new Error(`Ballot ${ballotId} is ${ballot.status}. Voting is not allowed.`);
+    }
+    if (ballot.startTime && new Date(ballot.startTime) > txTime) {
+      throw new Error(`Ballot ${ballotId} has not started yet`);
+    }
+    if (ballot.endTime && new Date(ballot.endTime) < txTime) {
+      throw new Error(`Ballot ${ballotId} has expired`);
+    }
+    // Until the trustee ceremony publishes the ballot's encryption key no
+    // vote proof can be checked, and an unchecked vote would still spend
+    // the voter's nullifier
+    if (!ballot.encryptionKey) {
+      throw new Error(`Ballot ${ballotId} has no encryption key yet - voting opens once the tally trustees publish it`);
+    }
+
+    // The proof's Merkle root must be one of the trees frozen when the ballot
+    // opened (the first vote opens it if openBallot was never called)
+    await this._openBallot(ctx, ballot, txTime);
+    const merkleRoot = proofVerifier.getSignal(publicSignals, modality, 'merkleRoot');
+    if (!ballot.eligibilitySnapshot.trees.some(tree => tree.biometricType === modality && tree.root === merkleRoot)) {
+      throw new Error(`${modality} Merkle root is not in the eligibility snapshot of ballot ${ballotId} - prove against the snapshot tree`);
+    }
+
+    if (Array.isArray(encryptedVote) && encryptedVote.length !== ballot.options.length) {
+      throw new Error(`Encrypted vote has ${encryptedVote.length} entries but ballot has ${ballot.options.length} options`);
+    }
+
+    // The proof opens a leaf the chain derived from this weight at registration
+    const weight = Number(proofVerifier.getSignal(publicSignals, modality, 'weight'));
+    if (!Number.isSafeInteger(weight) || weight < 1) {
+      throw new Error('Proof carries an invalid vote weight');
+    }
+
+    // Every entry must hold 0 or the voter's weight and the ciphertexts must select an allowed
+    // number of options (per the ballot's selection rule), or for ranked ballots hold a valid
+    // preference slot each. A vote without ciphertexts or proofs is never accepted.
+    const sumProof = sumProofJSON ? JSON.parse(sumProofJSON) : null;
+    if (encryptedVote === null) {
+      throw new Error(`Ballot ${ballotId} only accepts encrypted votes`);
+    }
+    if (!verifyVoteProof(ballot, ballot.encryptionKey, encryptedVote, sumProof, weight)) {
+      throw new Error('Encrypted vote validity or sum proof is missing or invalid');
+    }
+
+    // The prover picks the match thresholds; they must be at least as strict as the ballot policy
+    // (ballots created before policies existed fall back to the defaults)
+    const thresholds = modality === 'face'
+      ? {
+        thresholdSqNum: proofVerifier.getSignal(publicSignals, modality, 'thresholdSqNum'),
+        thresholdSqDen: proofVerifier.getSignal(publicSignals, modality, 'thresholdSqDen')
+      }
+      : { hammingThreshold: proofVerifier.getSignal(publicSignals, modality, 'hammingThreshold') };
+    assertBiometricPolicy(modality, thresholds, ballot.biometricPolicy);
+
     // Check for double voting using nullifier
     const nullifierKey = `NULLIFIER_${nullifier}`;
     const existingVote = await ctx.stub.getState(nullifierKey);
-    
-    if (existingVote && existingVote.length > 0) {
+    const previous = existingVote && existingVote.length > 0 ? JSON.parse(existingVote.toString()) : null;
+
+    if (previous && !ballot.allowMultipleVotes) {
       throw new Error('Double voting detected - this identity has already voted');
     }
 
@@ -310,18 +1227,19 @@ class IdentityContract extends Contract {
     const txId = ctx.stub.getTxID();
     const voteId = `VOTE_${txId}`;
 
-    // Get timestamp
-    const txTimestamp = ctx.stub.getTxTimestamp();
-    const timestampStr = new Date(txTimestamp.seconds.low * 1000).toISOString();
+    const timestampStr = txTime.toISOString();
 
     // Create vote record — NO plaintext or hashed candidate names stored!
     const vote = {
       voteId,
-      ballotId: ballotId || '',
+      ballotId,
       proof,
       publicSignals,
       nullifier,
+      biometricType: modality,
+      weight,
       encryptedVote,
+      sumProof,
       timestamp: timestampStr,
       txId,
       docType: 'vote'
@@ -330,10 +1248,13 @@ class IdentityContract extends Contract {
     // Store vote — key is unique per transaction, zero read-write conflict
     await ctx.stub.putState(voteId, Buffer.from(JSON.stringify(vote)));
 
-    // Store nullifier to prevent double voting
+    // Store nullifier to prevent double voting; on re-voting ballots it points
+    // at the counted vote and keeps the append-only list of every vote cast
+    const history = previous ? (previous.history || [{ voteId: previous.voteId, timestamp: previous.timestamp }]) : [];
     const nullifierRecord = {
       voteId,
       timestamp: timestampStr,
+      history: [...history, { voteId, timestamp: timestampStr }],
       docType: 'nullifier'
     };
     await ctx.stub.putState(nullifierKey, Buffer.from(JSON.stringify(nullifierRecord)));
@@ -341,7 +1262,7 @@ class IdentityContract extends Contract {
     // Emit vote event (without revealing identity or choice)
     const eventPayload = {
       voteId,
-      ballotId: ballotId || '',
+      ballotId,
       hasEncryption: encryptedVote !== null,
       timestamp: timestampStr
     };
@@ -349,18 +1270,28 @@ class IdentityContract extends Contract {
     await ctx.stub.setEvent('VoteCast', Buffer.from(JSON.stringify(eventPayload)));
 
     console.log(`Vote cast: ${voteId}`);
-    console.log(`Ballot: ${ballotId || 'not specified'}`);
+    console.log(`Ballot: ${ballotId}`);
     console.log(`Nullifier: ${nullifier.slice(0, 20)}...`);
     console.log(`Encrypted: ${encryptedVote !== null}`);
     console.log('============= END : Cast Vote ===========');
 
     return JSON.stringify({
       voteId,
-      ballotId: ballotId || '',
+      ballotId,
       timestamp: timestampStr
     });
   }
 
+  // Helper: The vote currently counted for a nullifier (its last vote)
+  // cache: Map of nullifier → voteId shared across one query
+  async _countedVoteId(ctx, nullifier, cache) {
+    if (!cache.has(nullifier)) {
+      const nullifierBytes = await ctx.stub.getState(`NULLIFIER_${nullifier}`);
+      cache.set(nullifier, nullifierBytes && nullifierBytes.length > 0 ? JSON.parse(nullifierBytes.toString()).voteId : null);
+    }
+    return cache.get(nullifier);
+  }
+
   // Check if a nullifier has been used (double-vote check)
   async hasVoted(ctx, nullifier) {
     console.log('============= START : Check Has Voted ===========');
@@ -376,11 +1307,33 @@ class IdentityContract extends Contract {
     return hasVoted;
   }
 
+  // Every vote cast under a nullifier, oldest first; the last one is counted
+  async getVoteHistory(ctx, nullifier) {
+    console.log('============= START : Get Vote History ===========');
+
+    const nullifierBytes = await ctx.stub.getState(`NULLIFIER_${nullifier}`);
+    if (!nullifierBytes || nullifierBytes.length === 0) {
+      throw new Error('No vote has been cast under this nullifier');
+    }
+
+    const record = JSON.parse(nullifierBytes.toString());
+    const history = record.history || [{ voteId: record.voteId, timestamp: record.timestamp }];
+
+    console.log(`Votes cast: ${history.length}`);
+    console.log('============= END : Get Vote History ===========');
+
+    return JSON.stringify({
+      countedVoteId: record.voteId,
+      history
+    });
+  }
+
   // Get vote results (tally)
   async getVoteResults(ctx, ballotId = '') {
     console.log('============= START : Get Vote Results ===========');
     
     let totalVotes = 0;
+    const counted = new Map();
 
     const queryString = {
       selector: {
@@ -401,7 +1354,8 @@ class IdentityContract extends Contract {
       try {
         const record = JSON.parse(strValue);
         
-        if (record.docType === 'vote') {
+        // Superseded re-votes are kept for audit but not counted
+        if (record.docType === 'vote' && await this._countedVoteId(ctx, record.nullifier, counted) === record.voteId) {
           totalVotes++;
         }
       } catch (err) {
@@ -459,6 +1413,7 @@ class IdentityContract extends Contract {
     console.log('============= START : Get Vote Count ===========');
 
     let count = 0;
+    const counted = new Map();
     
     const queryString = {
       selector: {
@@ -477,7 +1432,7 @@ class IdentityContract extends Contract {
       const strValue = Buffer.from(result.value.value.toString()).toString('utf8');
       try {
         const record = JSON.parse(strValue);
-        if (record.docType === 'vote') count++;
+        if (record.docType === 'vote' && await this._countedVoteId(ctx, record.nullifier, counted) === record.voteId) count++;
       } catch (_) {}
       result = await iterator.next();
     }
@@ -489,11 +1444,15 @@ class IdentityContract extends Contract {
     return count;
   }
 
-  // Get all votes (for auditing)
-  async getAllVotes(ctx, ballotId = '') {
+  // Get all counted votes (for tallying and auditing)
+  // On re-voting ballots only each nullifier's last vote is returned;
+  // includeSuperseded = 'true' adds the replaced ones, with supersededBy
+  // read from the nullifier record
+  async getAllVotes(ctx, ballotId = '', includeSuperseded = '') {
     console.log('============= START : Get All Votes ===========');
     
     const allVotes = [];
+    const counted = new Map();
     
     const queryString = {
       selector: {
@@ -513,16 +1472,23 @@ class IdentityContract extends Contract {
       
       try {
         const record = JSON.parse(strValue);
+        const countedVoteId = record.docType === 'vote'
+          ? await this._countedVoteId(ctx, record.nullifier, counted)
+          : null;
+        const supersededBy = countedVoteId === record.voteId ? null : countedVoteId;
         
-        if (record.docType === 'vote') {
+        if (record.docType === 'vote' && (!supersededBy || includeSuperseded === 'true')) {
           allVotes.push({
             voteId: record.voteId,
             ballotId: record.ballotId || '',
             nullifier: record.nullifier,
             timestamp: record.timestamp,
+            weight: record.weight || 1,
             encryptedVote: record.encryptedVote,
+            sumProof: record.sumProof || null,
             proof: record.proof,
-            publicSignals: record.publicSignals
+            publicSignals: record.publicSignals,
+            supersededBy
           });
         }
       } catch (err) {
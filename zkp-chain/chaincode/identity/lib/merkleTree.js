@@ -0,0 +1,117 @@
+'use strict';
+
+// ============================================================
+// merkleTree.js — Incremental Poseidon Merkle tree for the ledger
+// Mirrors the sparse tree built by the API server (crypto/snark.js):
+//   - empty leaf = 0
+//   - zeroHashes[i + 1] = Poseidon(zeroHashes[i], zeroHashes[i])
+//   - leaves are appended in registration order
+// Only the rightmost filled subtree per level is kept, so each
+// insertion costs MERKLE_TREE_LEVELS Poseidon hashes.
+// ============================================================
+
+const MERKLE_TREE_LEVELS = 20; // Must match the circuits (~1M voters)
+
+let _poseidon = null;
+let _zeroHashes = null;
+
+async function initPoseidon() {
+  if (!_poseidon) {
+    const circomlibjs = require('circomlibjs');
+    _poseidon = await circomlibjs.buildPoseidon();
+  }
+  return _poseidon;
+}
+
+async function poseidonHash2(left, right) {
+  const poseidon = await initPoseidon();
+  const F = poseidon.F;
+  return F.toObject(poseidon([F.e(left), F.e(right)]));
+}
+
+// Hash of an empty subtree at each level (computed once per process)
+async function getZeroHashes() {
+  if (!_zeroHashes) {
+    const zeroHashes = [0n];
+    for (let i = 0; i < MERKLE_TREE_LEVELS; i++) {
+      zeroHashes.push(await poseidonHash2(zeroHashes[i], zeroHashes[i]));
+    }
+    _zeroHashes = zeroHashes;
+  }
+  return _zeroHashes;
+}
+
+// Empty tree state as stored on the ledger (all values are decimal strings)
+async function emptyTree() {
+  const zeroHashes = await getZeroHashes();
+  return {
+    levels: MERKLE_TREE_LEVELS,
+    nextIndex: 0,
+    filledSubtrees: zeroHashes.slice(0, MERKLE_TREE_LEVELS).map(z => z.toString()),
+    root: zeroHashes[MERKLE_TREE_LEVELS].toString()
+  };
+}
+
+// Append a leaf and return the updated tree state
+async function insertLeaf(tree, leaf) {
+  if (tree.nextIndex >= 2 ** MERKLE_TREE_LEVELS) {
+    throw new Error('Merkle tree is full');
+  }
+
+  const zeroHashes = await getZeroHashes();
+  const filledSubtrees = [...tree.filledSubtrees];
+  let currentIndex = tree.nextIndex;
+  let currentHash = BigInt(leaf);
+
+  for (let level = 0; level < MERKLE_TREE_LEVELS; level++) {
+    let left;
+    let right;
+    if (currentIndex % 2 === 0) {
+      // Left child: remember it, pair with an empty right sibling
+      filledSubtrees[level] = currentHash.toString();
+      left = currentHash;
+      right = zeroHashes[level];
+    } else {
+      left = BigInt(filledSubtrees[level]);
+      right = currentHash;
+    }
+    currentHash = await poseidonHash2(left, right);
+    currentIndex = Math.floor(currentIndex / 2);
+  }
+
+  return {
+    levels: MERKLE_TREE_LEVELS,
+    nextIndex: tree.nextIndex + 1,
+    filledSubtrees,
+    root: currentHash.toString()
+  };
+}
+
+// Voter leaf for a registration: Poseidon(innerCommitment, weight), where
+// innerCommitment = Poseidon(biometricHash, secretKey) comes from the voter.
+// The chain hashes in the weight it approved itself, so a leaf can only
+// ever prove that weight (mirrors WeightedCommitment in the circuits).
+async function voterLeaf(innerCommitment, weight) {
+  const poseidon = await initPoseidon();
+  if (!/^[0-9]+$/.test(String(innerCommitment)) || BigInt(innerCommitment) >= poseidon.F.p) {
+    throw new Error('Commitment must be a decimal field element');
+  }
+  return (await poseidonHash2(BigInt(innerCommitment), BigInt(weight))).toString();
+}
+
+// Build a tree state from an ordered list of leaves
+async function buildTree(leaves) {
+  let tree = await emptyTree();
+  for (const leaf of leaves) {
+    tree = await insertLeaf(tree, leaf);
+  }
+  return tree;
+}
+
+module.exports = {
+  MERKLE_TREE_LEVELS,
+  emptyTree,
+  insertLeaf,
+  buildTree,
+  voterLeaf
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+// ============================================================
+// proofVerifier.js — On-chain Groth16 verification for votes
+// Every peer re-checks the SNARK proof before endorsing castVote,
+// so a vote no longer depends on the API server being honest.
+// ============================================================
+
+const path = require('path');
+const fs = require('fs');
+const snarkjs = require('snarkjs');
+
+const KEYS_DIR = path.join(__dirname, '..', 'keys');
+
+// Verification keys are copied here by the circuit build scripts
+// (api-server/circuits/build_circuit.sh, build_iris_circuit.sh)
+const VKEY_PATHS = {
+  face: path.join(KEYS_DIR, 'face_verification_key.json'),
+  iris: path.join(KEYS_DIR, 'iris_verification_key.json')
+};
+
+// Public signal layout (snarkjs puts circuit outputs first, then public inputs)
+//   face: [valid, merkleRoot, nullifier, electionId, signalHash, threshold_sq_num, threshold_sq_den, weight]
+//   iris: [valid, merkleRoot, nullifier, electionId, signalHash, hammingThreshold, weight]
+// faceHash / irisHash are private witnesses: they are constant per voter,
+// so publishing them would link a voter's ballots across elections.
+const SIGNAL_INDEX = {
+  face: {
+    valid: 0,
+    merkleRoot: 1,
+    nullifier: 2,
+    electionId: 3,
+    signalHash: 4,
+    thresholdSqNum: 5,
+    thresholdSqDen: 6,
+    weight: 7
+  },
+  iris: {
+    valid: 0,
+    merkleRoot: 1,
+    nullifier: 2,
+    electionId: 3,
+    signalHash: 4,
+    hammingThreshold: 5,
+    weight: 6
+  }
+};
+
+const _vkeys = {};
+
+// Load (and cache) the verification key for a biometric modality
+function getVerificationKey(modality) {
+  if (!_vkeys[modality]) {
+    const vkeyPath = VKEY_PATHS[modality];
+    if (!vkeyPath) {
+      throw new Error(`Unknown biometric modality: ${modality}`);
+    }
+    if (!fs.existsSync(vkeyPath)) {
+      throw new Error(`Verification key for ${modality} not found at ${vkeyPath}`);
+    }
+    _vkeys[modality] = JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
+  }
+  return _vkeys[modality];
+}
+
+// Work out which circuit produced the proof from the number of public signals
+function detectModality(publicSignals) {
+  if (!Array.isArray(publicSignals)) {
+    throw new Error('Public signals must be an array');
+  }
+
+  for (const modality of Object.keys(VKEY_PATHS)) {
+    if (getVerificationKey(modality).nPublic === publicSignals.length) {
+      return modality;
+    }
+  }
+
+  throw new Error(`Unrecognised public signal layout (${publicSignals.length} signals)`);
+}
+
+// Read a named public signal as a canonical decimal string
+function getSignal(publicSignals, modality, name) {
+  const index = SIGNAL_INDEX[modality][name];
+  if (index === undefined) {
+    throw new Error(`Signal ${name} is not part of the ${modality} circuit`);
+  }
+  return BigInt(publicSignals[index]).toString();
+}
+
+// Verify a vote proof against the matching verification key.
+// Returns the detected modality; throws if the proof is invalid.
+async function verifyVoteProof(proof, publicSignals) {
+  if (!proof || typeof proof !== 'object') {
+    throw new Error('Proof must be a Groth16 proof object');
+  }
+
+  const modality = detectModality(publicSignals);
+  const vkey = getVerificationKey(modality);
+
+  const isValid = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+  if (!isValid) {
+    throw new Error(`Invalid ${modality} ZK-SNARK proof`);
+  }
+
+  if (getSignal(publicSignals, modality, 'valid') !== '1') {
+    throw new Error(`The ${modality} circuit did not report a valid biometric match`);
+  }
+
+  return modality;
+}
+
+module.exports = {
+  SIGNAL_INDEX,
+  getVerificationKey,
+  detectModality,
+  getSignal,
+  verifyVoteProof
+};
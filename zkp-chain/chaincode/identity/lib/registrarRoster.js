@@ -0,0 +1,69 @@
+'use strict';
+
+// ============================================================
+// registrarRoster.js — Registrar keys and signed approvals
+// Registrars are the people allowed to vouch for voters: they set
+// a voter's weight at registration and admit members to
+// eligibility groups. Each approval is an ECDSA/secp256k1
+// signature over sha256(JSON.stringify(payload)) — the same scheme
+// tally trustees use (api-server crypto/threshold.js signPayload).
+//
+// The roster itself ([{ id, publicKey: { x, y } }]) lives on the
+// ledger under REGISTRAR_ROSTER and only the admin identity may
+// replace it, so no client can bring its own registrars.
+// ============================================================
+
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+
+const ec = new EC('secp256k1');
+
+const ROSTER_KEY = 'REGISTRAR_ROSTER';
+
+// Largest weight the circuit's 32-bit range check accepts
+const MAX_WEIGHT = 2 ** 32 - 1;
+
+// Registrar roster: [{ id, publicKey: { x, y } }] with hex coordinates
+function normalizeRegistrars(registrars) {
+  if (!Array.isArray(registrars) || registrars.length === 0) {
+    throw new Error('A registrar roster needs at least one registrar');
+  }
+  const ids = new Set();
+  return registrars.map(registrar => {
+    const { id, publicKey } = registrar || {};
+    if (!id || ids.has(id)) {
+      throw new Error('Every registrar needs a unique id');
+    }
+    if (!publicKey || !/^[0-9a-f]+$/i.test(publicKey.x) || !/^[0-9a-f]+$/i.test(publicKey.y)) {
+      throw new Error(`Registrar ${id} public key must be { x, y } hex coordinates`);
+    }
+    ids.add(id);
+    return { id, publicKey: { x: publicKey.x, y: publicKey.y } };
+  });
+}
+
+// True if the registrar is on the roster and signed the payload
+function verifyRegistrarSignature(registrars, registrarId, payload, signature) {
+  const registrar = registrars.find(r => r.id === registrarId);
+  if (!registrar || !signature) {
+    return false;
+  }
+  const digest = crypto.createHash('sha256').update(JSON.stringify(payload)).digest();
+  try {
+    return ec.keyFromPublic(registrar.publicKey).verify(digest, signature);
+  } catch (err) {
+    return false;
+  }
+}
+
+function weightApprovalPayload(nidHash, weight) {
+  return { action: 'approveVoterWeight', nidHash, weight };
+}
+
+module.exports = {
+  ROSTER_KEY,
+  MAX_WEIGHT,
+  normalizeRegistrars,
+  verifyRegistrarSignature,
+  weightApprovalPayload
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+// ============================================================
+// selectionRule.js — How many options a ballot lets a voter pick
+//   single:   exactly one option (default)
+//   upTo:     between minSelections (default 1) and k options
+//   approval: approve any number of options, up to all of them
+//   ranked:   order between minSelections (default 1) and all of the
+//             options; counted by instant-runoff ('irv') or single
+//             transferable vote ('stv', with `seats` winners)
+// For the selection types the bounds drive the vote sum proof
+// (voteSumProof.js): the encrypted vector must sum to a value in
+// [min, max]. A ranked vote is a preference list instead — slot j
+// holds the (1-based) option ranked j-th, or 0. Shared by
+// the chaincode (createBallot, castVote) and the API server
+// (routes/ballot.js, routes/vote.js, routes/tally.js).
+// ============================================================
+
+const SELECTION_TYPES = ['single', 'upTo', 'approval', 'ranked'];
+const RANKING_METHODS = ['irv', 'stv'];
+
+// Validate a rule against the ballot's option count and fill in bounds
+function normalizeSelectionRule(rule, optionCount) {
+  const merged = { type: 'single', ...(rule || {}) };
+
+  if (!SELECTION_TYPES.includes(merged.type)) {
+    throw new Error(`selectionRule.type must be one of: ${SELECTION_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(optionCount) || optionCount < 1) {
+    throw new Error('Ballot must have options before a selection rule can apply');
+  }
+
+  if (merged.type === 'single') {
+    return { type: 'single', minSelections: 1, maxSelections: 1 };
+  }
+
+  if (merged.type === 'ranked') {
+    return normalizeRankedRule(merged, optionCount);
+  }
+
+  const maxSelections = merged.type === 'upTo' ? Number(merged.k) : optionCount;
+  if (!Number.isInteger(maxSelections) || maxSelections < 1 || maxSelections > optionCount) {
+    throw new Error(`selectionRule.k must be an integer in [1, ${optionCount}]`);
+  }
+
+  const minSelections = merged.minSelections === undefined ? 1 : Number(merged.minSelections);
+  if (!Number.isInteger(minSelections) || minSelections < 0 || minSelections > maxSelections) {
+    throw new Error(`selectionRule.minSelections must be an integer in [0, ${maxSelections}]`);
+  }
+
+  const normalized = { type: merged.type, minSelections, maxSelections };
+  if (merged.type === 'upTo') {
+    normalized.k = maxSelections;
+  }
+  return normalized;
+}
+
+function normalizeRankedRule(rule, optionCount) {
+  const method = rule.method === undefined ? 'irv' : rule.method;
+  if (!RANKING_METHODS.includes(method)) {
+    throw new Error(`selectionRule.method must be one of: ${RANKING_METHODS.join(', ')}`);
+  }
+  if (optionCount < 2) {
+    throw new Error('Ranked ballots need at least two options');
+  }
+
+  const seats = method === 'irv' ? 1 : Number(rule.seats === undefined ? 1 : rule.seats);
+  if (!Number.isInteger(seats) || seats < 1 || seats >= optionCount) {
+    throw new Error(`selectionRule.seats must be an integer in [1, ${optionCount - 1}]`);
+  }
+
+  const minSelections = rule.minSelections === undefined ? 1 : Number(rule.minSelections);
+  if (!Number.isInteger(minSelections) || minSelections < 1 || minSelections > optionCount) {
+    throw new Error(`selectionRule.minSelections must be an integer in [1, ${optionCount}]`);
+  }
+
+  return { type: 'ranked', method, seats, minSelections, maxSelections: optionCount };
+}
+
+// Selection rule of a stored ballot (ballots created before rules existed are single-choice)
+function ballotSelectionRule(ballot) {
+  return normalizeSelectionRule(ballot.selectionRule, ballot.options.length);
+}
+
+module.exports = {
+  SELECTION_TYPES,
+  RANKING_METHODS,
+  normalizeSelectionRule,
+  ballotSelectionRule
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+// ============================================================
+// signalHash.js — Binds the encrypted vote to the SNARK proof
+// The face/iris circuits take signalHash as a public input, so a
+// proof is only valid together with the exact ciphertext vector
+// and ballot it was generated for. Shared by the chaincode
+// (castVote) and the API server (routes/vote.js).
+// ============================================================
+
+const crypto = require('crypto');
+
+// signalHash = first 248 bits of sha256(JSON([ballotId, encryptedVote]))
+// (248 bits always fits in the BN128 scalar field)
+// encryptedVote is the parsed ciphertext vector, or null if the vote
+// was submitted without encryption.
+function computeSignalHash(ballotId, encryptedVote) {
+  if (ballotId === undefined || ballotId === null || String(ballotId) === '') {
+    throw new Error('computeSignalHash() requires a ballot ID');
+  }
+  const payload = JSON.stringify([String(ballotId), encryptedVote === undefined ? null : encryptedVote]);
+  const digest = crypto.createHash('sha256').update(payload).digest('hex');
+  return BigInt('0x' + digest.slice(0, 62));
+}
+
+module.exports = {
+  computeSignalHash
+};
@@ -0,0 +1,372 @@
+'use strict';
+
+// ============================================================
+// voteSumProof.js — Proof that an encrypted vote vector selects
+// an allowed number of options (exactly 1 for single-choice,
+// [min, max] for multi-select — see selectionRule.js).
+// Per-entry validity proofs only show each ciphertext holds 0 or 1;
+// this proof covers the homomorphic sum of the whole vector, so
+// "1 for every candidate" is rejected. Neither suffices alone
+// ([2, −1, 0] has a valid sum), so verifyVoteProof checks both.
+//
+// Disjunctive Chaum-Pedersen (same construction as
+// homomorphic.proveValidVote): for the summed ciphertext (A, B)
+// with randomness R, prove log_G(A) = log_h(B − m·G) for some m in
+// the allowed set, without revealing which.
+//
+// Ranked ballots carry a preference list instead of a selection
+// vector, so the same disjunctive proof is applied per slot: each
+// slot encrypts a value in [0, n] (0 = unranked, i = option i).
+// Duplicate or gapped rankings cannot be excluded without revealing
+// the list; they are rejected after mixing and decryption.
+//
+// Weighted voters (weight w proven by the SNARK) encrypt w per
+// selected option: every entry holds 0 or w and the sum is w times
+// an allowed selection count. Ranked ballots are unweighted.
+//
+// Shared by the chaincode (castVote) and the API server
+// (routes/vote.js proves, routes/tally.js verifies).
+// ============================================================
+
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const BN = require('bn.js');
+const { ballotSelectionRule } = require('./selectionRule');
+
+const ec = new EC('secp256k1');
+
+// Accepts {x, y} hex or a Point from any elliptic instance (the API
+// server has its own copy), always returning a point on this curve
+function toPoint(data) {
+  if (data && typeof data.getX === 'function') {
+    data = fromPoint(data);
+  }
+  if (!data || !data.x || !data.y) {
+    throw new Error('Invalid point data');
+  }
+  const point = ec.curve.point(new BN(data.x, 16), new BN(data.y, 16));
+  if (!point.validate()) {
+    throw new Error('Point is not on secp256k1');
+  }
+  return point;
+}
+
+function fromPoint(point) {
+  return { x: point.getX().toString(16), y: point.getY().toString(16) };
+}
+
+function randomScalar() {
+  return new BN(crypto.randomBytes(32)).umod(ec.curve.n);
+}
+
+// m·G (point at infinity for m = 0)
+function encodeValue(m) {
+  return ec.g.mul(new BN(m));
+}
+
+/**
+ * Plaintext sums a ballot accepts (Σ v_i over the vector)
+ * @param {Object} ballot
+ * @param {number} weight - the voter's vote weight (each selection counts w)
+ * @returns {number[]} w · [minSelections .. maxSelections] from the ballot's selection rule
+ */
+function allowedVoteSums(ballot, weight = 1) {
+  const { minSelections, maxSelections } = ballotSelectionRule(ballot);
+  const sums = [];
+  for (let m = minSelections; m <= maxSelections; m++) {
+    sums.push(m * weight);
+  }
+  return sums;
+}
+
+/**
+ * Homomorphic sum of a serialized vote vector: (Σ c1, Σ c2)
+ * @param {Array<{ c1: {x, y}, c2: {x, y} }>} encryptedVote
+ * @returns {{ c1: Point, c2: Point }}
+ */
+function sumCiphertexts(encryptedVote) {
+  if (!Array.isArray(encryptedVote) || encryptedVote.length === 0) {
+    throw new Error('Encrypted vote must be a non-empty vector');
+  }
+  return encryptedVote
+    .map(entry => ({ c1: toPoint(entry.c1), c2: toPoint(entry.c2) }))
+    .reduce((acc, c) => ({ c1: acc.c1.add(c.c1), c2: acc.c2.add(c.c2) }));
+}
+
+function hashSumProof(publicKey, sum, branches) {
+  const points = [publicKey, sum.c1, sum.c2];
+  branches.forEach(branch => points.push(branch.a, branch.b));
+  const data = branches.map(branch => branch.value).join(',') + '|' +
+    points.map(P => P.getX().toString(16, 64) + P.getY().toString(16, 64)).join('');
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  return new BN(hash, 16).umod(ec.curve.n);
+}
+
+/**
+ * Prove the vote vector's sum is one of allowedSums
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {Array} encryptedVote - serialized ciphertext vector
+ * @param {number} selected - actual number of options selected (Σ v_i)
+ * @param {BN|string} randomness - Σ r_i over the vector (BN or hex)
+ * @param {number[]} allowedSums - e.g. [1] for single-choice
+ * @returns {{ branches: Array<{ value, a, b, d, r }> }}
+ */
+function proveVoteSum(publicKey, encryptedVote, selected, randomness, allowedSums = [1]) {
+  if (!allowedSums.includes(selected)) {
+    throw new Error(`Vote selects ${selected} options; allowed: ${allowedSums.join(', ')}`);
+  }
+
+  const h = toPoint(publicKey);
+  const sum = sumCiphertexts(encryptedVote);
+  const R = new BN(randomness.toString(16), 16).umod(ec.curve.n);
+  const w = randomScalar();
+
+  // Simulate every branch except the real one
+  const branches = allowedSums.map(value => {
+    if (value === selected) {
+      return { value, a: ec.g.mul(w), b: h.mul(w) };
+    }
+    const d = randomScalar();
+    const r = randomScalar();
+    const shifted = sum.c2.add(encodeValue(value).neg());
+    return {
+      value,
+      a: ec.g.mul(r).add(sum.c1.mul(d)),
+      b: h.mul(r).add(shifted.mul(d)),
+      d,
+      r
+    };
+  });
+
+  // Challenge split: the real branch gets whatever is left over
+  const challenge = hashSumProof(h, sum, branches);
+  const real = branches.find(branch => branch.value === selected);
+  const simulatedTotal = branches
+    .filter(branch => branch !== real)
+    .reduce((acc, branch) => acc.add(branch.d), new BN(0));
+  real.d = challenge.sub(simulatedTotal).umod(ec.curve.n);
+  real.r = w.sub(real.d.mul(R)).umod(ec.curve.n);
+
+  return {
+    branches: branches.map(branch => ({
+      value: branch.value,
+      a: fromPoint(branch.a),
+      b: fromPoint(branch.b),
+      d: branch.d.toString(16),
+      r: branch.r.toString(16)
+    }))
+  };
+}
+
+/**
+ * Verify a vote sum proof
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {Array} encryptedVote - serialized ciphertext vector
+ * @param {Object} sumProof - output of proveVoteSum()
+ * @param {number[]} allowedSums - must match the set the proof was made for
+ * @returns {boolean}
+ */
+function verifyVoteSum(publicKey, encryptedVote, sumProof, allowedSums = [1]) {
+  try {
+    const h = toPoint(publicKey);
+    if (!sumProof || !Array.isArray(sumProof.branches) ||
+        sumProof.branches.length !== allowedSums.length) {
+      return false;
+    }
+
+    // The proof must cover exactly the allowed set, in order
+    const branches = sumProof.branches.map((branch, i) => {
+      if (branch.value !== allowedSums[i]) {
+        throw new Error('Sum proof does not match the allowed selections');
+      }
+      return {
+        value: branch.value,
+        a: toPoint(branch.a),
+        b: toPoint(branch.b),
+        d: new BN(branch.d, 16),
+        r: new BN(branch.r, 16)
+      };
+    });
+
+    const sum = sumCiphertexts(encryptedVote);
+    const challenge = hashSumProof(h, sum, branches);
+    const total = branches.reduce((acc, branch) => acc.add(branch.d), new BN(0)).umod(ec.curve.n);
+    if (!challenge.eq(total)) {
+      return false;
+    }
+
+    return branches.every(branch => {
+      const shifted = sum.c2.add(encodeValue(branch.value).neg());
+      return branch.a.eq(ec.g.mul(branch.r).add(sum.c1.mul(branch.d))) &&
+        branch.b.eq(h.mul(branch.r).add(shifted.mul(branch.d)));
+    });
+  } catch (err) {
+    return false;
+  }
+}
+
+// ============================================================
+// Per-entry proofs
+// The sum proof alone does not bound the entries: [2, −1, 0]
+// sums to 1. Every entry of a selection vote must also prove it
+// holds 0 or the voter's weight.
+// ============================================================
+
+// Fiat-Shamir challenge of homomorphic.proveValidVote (api-server crypto/homomorphic.js)
+function hashBinaryProof(c1, c2, a1, b1, a2, b2) {
+  const data = [c1, c2, a1, b1, a2, b2]
+    .map(point => point.getX().toString(16, 64) + point.getY().toString(16, 64))
+    .join('');
+  const hash = crypto.createHash('sha256').update(data).digest('hex');
+  return new BN(hash, 16).umod(ec.curve.n);
+}
+
+/**
+ * Verify an unweighted entry's 0-or-1 proof (homomorphic.proveValidVote format)
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {{ c1, c2 }} entry - serialized ciphertext
+ * @param {{ a1, b1, a2, b2, d1, d2, r1, r2 }} proof
+ * @returns {boolean}
+ */
+function verifyBinaryEntry(publicKey, entry, proof) {
+  try {
+    const h = toPoint(publicKey);
+    const c1 = toPoint(entry.c1);
+    const c2 = toPoint(entry.c2);
+    const [a1, b1, a2, b2] = [proof.a1, proof.b1, proof.a2, proof.b2].map(toPoint);
+    const [d1, d2, r1, r2] = [proof.d1, proof.d2, proof.r1, proof.r2].map(v => new BN(v, 16));
+
+    if (!hashBinaryProof(c1, c2, a1, b1, a2, b2).eq(d1.add(d2).umod(ec.curve.n))) {
+      return false;
+    }
+    // Branch m = 0, then branch m = 1
+    return a1.eq(ec.g.mul(r1).add(c1.mul(d1))) &&
+      b1.eq(h.mul(r1).add(c2.mul(d1))) &&
+      a2.eq(ec.g.mul(r2).add(c1.mul(d2))) &&
+      b2.eq(h.mul(r2).add(c2.add(ec.g.neg()).mul(d2)));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Verify every entry of a selection vote carries a valid 0-or-weight proof
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {Array} encryptedVote - serialized ciphertexts, each with validityProof
+ * @param {number} weight
+ * @returns {boolean}
+ */
+function verifyEntryProofs(publicKey, encryptedVote, weight = 1) {
+  return Array.isArray(encryptedVote) && encryptedVote.every(entry =>
+    !!entry && !!entry.validityProof && (weight === 1
+      ? verifyBinaryEntry(publicKey, entry, entry.validityProof)
+      : verifyWeightedEntry(publicKey, entry, entry.validityProof, weight))
+  );
+}
+
+// ============================================================
+// Weighted entries
+// ============================================================
+
+/**
+ * Prove one entry of a weighted vote encrypts 0 or the voter's weight
+ * (the weight-1 case is homomorphic.proveValidVote)
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {{ c1, c2 }} entry - serialized ciphertext
+ * @param {number} value - 0 or weight
+ * @param {BN|string} randomness - the entry's encryption randomness
+ * @param {number} weight
+ * @returns {{ branches }}
+ */
+function proveWeightedEntry(publicKey, entry, value, randomness, weight) {
+  return proveVoteSum(publicKey, [entry], value, randomness, [0, weight]);
+}
+
+/**
+ * Verify a weighted entry proof
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {{ c1, c2 }} entry - serialized ciphertext
+ * @param {Object} proof - output of proveWeightedEntry()
+ * @param {number} weight
+ * @returns {boolean}
+ */
+function verifyWeightedEntry(publicKey, entry, proof, weight) {
+  return verifyVoteSum(publicKey, [entry], proof, [0, weight]);
+}
+
+// ============================================================
+// Ranked ballots
+// ============================================================
+
+// Values a preference slot may hold: 0 (unranked) or a 1-based option index
+function rankSlotValues(optionCount) {
+  return Array.from({ length: optionCount + 1 }, (_, value) => value);
+}
+
+/**
+ * Prove every slot of a ranked vote holds 0 or an option index
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {Array} encryptedVote - serialized ciphertext per preference slot
+ * @param {number[]} slotValues - plaintext of each slot
+ * @param {Array<BN|string>} randomness - encryption randomness of each slot
+ * @returns {{ slots: Array<{ branches }> }}
+ */
+function proveRanking(publicKey, encryptedVote, slotValues, randomness) {
+  const allowed = rankSlotValues(encryptedVote.length);
+  return {
+    slots: encryptedVote.map((slot, j) =>
+      proveVoteSum(publicKey, [slot], slotValues[j], randomness[j], allowed)
+    )
+  };
+}
+
+/**
+ * Verify a ranked vote's slot proofs
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {Array} encryptedVote - serialized ciphertext per preference slot
+ * @param {Object} rankingProof - output of proveRanking()
+ * @returns {boolean}
+ */
+function verifyRanking(publicKey, encryptedVote, rankingProof) {
+  if (!Array.isArray(encryptedVote) || !rankingProof || !Array.isArray(rankingProof.slots) ||
+      rankingProof.slots.length !== encryptedVote.length) {
+    return false;
+  }
+  const allowed = rankSlotValues(encryptedVote.length);
+  return encryptedVote.every((slot, j) =>
+    verifyVoteSum(publicKey, [slot], rankingProof.slots[j], allowed)
+  );
+}
+
+/**
+ * Verify the proofs a vote carries for its ballot's selection rule
+ * (per-entry 0-or-weight proofs and the sum proof for selection ballots,
+ * slot proofs for ranked ballots)
+ * @param {Object} ballot
+ * @param {Point|{x, y}} publicKey - ElGamal public key h
+ * @param {Array} encryptedVote - serialized ciphertext vector
+ * @param {Object} proof - vote.sumProof as stored on the ledger
+ * @param {number} weight - the voter's vote weight from the SNARK's public signals
+ * @returns {boolean}
+ */
+function verifyVoteProof(ballot, publicKey, encryptedVote, proof, weight = 1) {
+  if (ballotSelectionRule(ballot).type === 'ranked') {
+    return weight === 1 && verifyRanking(publicKey, encryptedVote, proof);
+  }
+  return verifyEntryProofs(publicKey, encryptedVote, weight) &&
+    verifyVoteSum(publicKey, encryptedVote, proof, allowedVoteSums(ballot, weight));
+}
+
+module.exports = {
+  toPoint,
+  allowedVoteSums,
+  proveVoteSum,
+  verifyVoteSum,
+  proveWeightedEntry,
+  verifyWeightedEntry,
+  verifyBinaryEntry,
+  verifyEntryProofs,
+  proveRanking,
+  verifyRanking,
+  verifyVoteProof
+};
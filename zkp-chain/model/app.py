@@ -18,6 +18,7 @@ from scipy.ndimage import uniform_filter
 # Import DeepFace/TensorFlow LAST
 from deepface import DeepFace
 from fastapi import FastAPI, File, UploadFile, HTTPException, Body
+from fastapi.middleware.cors import CORSMiddleware
 import uvicorn
 from contextlib import asynccontextmanager
 
@@ -393,6 +394,15 @@ async def lifespan(app: FastAPI):
 # ============================
 app = FastAPI(lifespan=lifespan)
 
+# The voting frontend calls /face/get-embedding directly when it proves in the
+# browser, so the live embedding never passes through the API server
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=os.environ.get("CORS_ORIGINS", "http://localhost:5173").split(","),
+    allow_methods=["POST"],
+    allow_headers=["*"],
+)
+
 
 # ============================
 # FACE DETECTION (internal)